@@ -9,53 +9,196 @@ const CONFIG = {
     selectionRadius: 15,
     skeletonColor: '#3b82f6', // Neon Blue
     junctionColor: '#ffffff',
+    pinColor: '#f59e0b', // Amber anchor drawn around pinned joints
     onionSkinColor: 'rgba(255, 255, 255, 0.2)',
-    maxFPS: 60
+    maxFPS: 60,
+    bakeFPS: 30, // Sampling rate of baked exports and of playhead stepping
+    minFrameDuration: 0.01, // Shortest tween (seconds) the retiming tools allow
+    // Palette cycled through when adding new figures to the scene
+    figureColors: ['#3b82f6', '#f97316', '#22c55e', '#e11d48', '#a855f7', '#eab308']
 };
 
 // --- Initial Data ---
-// 12-Point Rig Hierarchy
-const SKELETON_HIERARCHY = {
-    // ID: { parent: ParentID or null, children: [ChildIDs] }
-    0: { id: 0, name: 'head', parent: 1 },
-    1: { id: 1, name: 'neck', parent: 2 },
-    2: { id: 2, name: 'spine_mid', parent: 6 },
-    3: { id: 3, name: 'l_elbow', parent: 1 },
-    4: { id: 4, name: 'l_hand', parent: 3 },
-    5: { id: 5, name: 'r_elbow', parent: 1 },
-    6: { id: 6, name: 'r_hand', parent: 5 },
-    7: { id: 7, name: 'spine_pelvis', parent: null }, // ROOT
-    8: { id: 7, name: 'l_knee', parent: 7 }, // Fixed parent from 8 to 7 based on hierarchy logic
-    9: { id: 8, name: 'l_foot', parent: 8 },
-    10: { id: 7, name: 'r_knee', parent: 7 }, // Fixed parent
-    11: { id: 10, name: 'r_foot', parent: 10 }
+// Default 12-Point Rig (Single Source of Truth for the skeleton)
+// Joint `id` doubles as the index into a figure's `points` array.
+// Bones are derived from the parent links, IK chains list joint ids from the
+// end effector up to the chain root.
+const DEFAULT_RIG = {
+    joints: [
+        { id: 0, name: 'head', parent: 1 },
+        { id: 1, name: 'neck', parent: 2 },
+        { id: 2, name: 'spine_mid', parent: 7 },
+        { id: 3, name: 'l_elbow', parent: 1 },
+        { id: 4, name: 'l_hand', parent: 3 },
+        { id: 5, name: 'r_elbow', parent: 1 },
+        { id: 6, name: 'r_hand', parent: 5 },
+        { id: 7, name: 'spine_pelvis', parent: null }, // ROOT
+        { id: 8, name: 'l_knee', parent: 7 },
+        { id: 9, name: 'l_foot', parent: 8 },
+        { id: 10, name: 'r_knee', parent: 7 },
+        { id: 11, name: 'r_foot', parent: 10 }
+    ],
+    ikChains: [
+        [4, 3, 1],   // L_Hand -> L_Elbow -> Neck
+        [6, 5, 1],   // R_Hand -> R_Elbow -> Neck
+        [9, 8, 7],   // L_Foot -> L_Knee -> Pelvis
+        [11, 10, 7], // R_Foot -> R_Knee -> Pelvis
+        [0, 1, 2, 7] // Head -> Neck -> SpineMid -> Pelvis (bends the spine)
+    ]
 };
 
-// Connections for Drawing
-const CONNECTIONS = [
-    [0, 1], // Head -> Neck
-    [1, 2], // Neck -> SpineMid
-    [2, 7], // SpineMid -> Pelvis
-    [1, 3], // Neck -> LElbow
-    [3, 4], // LElbow -> LHand
-    [1, 5], // Neck -> RElbow
-    [5, 6], // RElbow -> RHand
-    [7, 8], // Pelvis -> LKnee
-    [8, 9], // LKnee -> LFoot
-    [7, 10], // Pelvis -> RKnee
-    [10, 11] // RKnee -> RFoot
-];
+// Fresh, editable copy of the default rig
+function createDefaultRig() {
+    return JSON.parse(JSON.stringify(DEFAULT_RIG));
+}
+
+// Derived lookup tables for a rig (bones, parent map, FK order, IK map).
+// Cheap enough to rebuild on demand, so edits never leave stale tables behind.
+function getRigInfo(rig) {
+    const parentMap = rig.joints.map(j => j.parent);
+    const connections = [];
+    const childrenMap = rig.joints.map(() => []);
+
+    rig.joints.forEach(j => {
+        if (j.parent !== null) {
+            connections.push([j.parent, j.id]);
+            childrenMap[j.parent].push(j.id);
+        }
+    });
+
+    // Topological sort (Parent -> Children) for FK Calculation
+    const roots = rig.joints.filter(j => j.parent === null).map(j => j.id);
+    const traversalOrder = [];
+    const queue = [...roots];
+    while (queue.length > 0) {
+        const idx = queue.shift();
+        traversalOrder.push(idx);
+        queue.push(...childrenMap[idx]);
+    }
+
+    // Map Leaf ID -> Full Chain [Leaf ID, ..., RootJoint ID]
+    // Only chains of 2+ bones that still follow the parent links are kept
+    const ikMap = {};
+    rig.ikChains.forEach(chain => {
+        const valid = chain.length >= 3 && chain.every((id, i) => i === 0 || parentMap[chain[i - 1]] === id);
+        if (valid) ikMap[chain[0]] = chain;
+    });
+
+    return { parentMap, connections, childrenMap, roots, traversalOrder, ikMap };
+}
+
+// Validate a rig loaded from a file against the number of points per frame
+function normalizeRig(rig, numPoints) {
+    if (!rig || !Array.isArray(rig.joints)) {
+        throw new Error("Figure is missing its rig definition.");
+    }
+    if (rig.joints.length !== numPoints) {
+        throw new Error(`Rig has ${rig.joints.length} joints but frames have ${numPoints} points.`);
+    }
+
+    const joints = rig.joints.map((j, i) => ({
+        id: i,
+        name: String(j.name || `joint_${i}`),
+        parent: (j.parent === null || j.parent === undefined) ? null : Number(j.parent)
+    }));
 
-// Map for Parenting Logic (Child Index -> Parent Index)
-const PARENT_MAP = {
-    0: 1, 1: 2, 2: 7, 
-    3: 1, 4: 3,
-    5: 1, 6: 5,
-    7: null,
-    8: 7, 9: 8,
-    10: 7, 11: 10
+    joints.forEach(j => {
+        if (j.parent !== null && !(j.parent >= 0 && j.parent < joints.length)) {
+            throw new Error(`Joint "${j.name}" has an unknown parent.`);
+        }
+    });
+
+    const result = {
+        joints: joints,
+        ikChains: Array.isArray(rig.ikChains) ? rig.ikChains.map(c => c.map(Number)) : []
+    };
+
+    // Cycle check: every joint must reach a root
+    if (getRigInfo(result).traversalOrder.length !== joints.length) {
+        throw new Error("Rig hierarchy contains a cycle.");
+    }
+    return result;
+}
+
+// Default Figure Style
+const DEFAULT_STYLE = {
+    lineWidth: 4,
+    head: { jointId: 0, radius: 16, fill: false }, // Circle drawn around a joint (radius 0 = none)
+    showJoints: true, // Junction dots in final renders (always shown while editing)
+    bones: {} // Child Joint ID -> { width, color } overrides for the bone leading into it
 };
 
+function createDefaultStyle() {
+    return JSON.parse(JSON.stringify(DEFAULT_STYLE));
+}
+
+// Same shape, single colour (onion skins are tinted with the figure colour)
+function getTintStyle(style) {
+    const bones = {};
+    Object.keys(style.bones).forEach(key => {
+        if (style.bones[key].width) bones[key] = { width: style.bones[key].width };
+    });
+    return { ...style, bones: bones };
+}
+
+// Resolved width/colour of the bone leading into `childIdx` (colour null = figure colour)
+function getBoneStyle(style, childIdx) {
+    const override = (style.bones && style.bones[childIdx]) || {};
+    return {
+        width: override.width || style.lineWidth || DEFAULT_STYLE.lineWidth,
+        color: override.color || null
+    };
+}
+
+// Validate a style loaded from a file (missing fields fall back to defaults)
+function normalizeStyle(style, numPoints) {
+    const result = createDefaultStyle();
+    if (!style) return result;
+
+    if (Number(style.lineWidth) > 0) result.lineWidth = Number(style.lineWidth);
+    if (style.head) {
+        const jointId = style.head.jointId === null ? null : Number(style.head.jointId);
+        result.head = {
+            jointId: jointId !== null && jointId >= 0 && jointId < numPoints ? jointId : null,
+            radius: Math.max(0, Number(style.head.radius) || 0),
+            fill: !!style.head.fill
+        };
+    }
+    result.showJoints = style.showJoints !== false;
+    if (style.bones) {
+        Object.keys(style.bones).forEach(key => {
+            const idx = Number(key);
+            const bone = style.bones[key];
+            if (!(idx >= 0 && idx < numPoints) || !bone) return;
+            result.bones[idx] = {};
+            if (Number(bone.width) > 0) result.bones[idx].width = Number(bone.width);
+            if (bone.color) result.bones[idx].color = String(bone.color);
+        });
+    }
+    return result;
+}
+
+// Validate a spring ({ stiffness, damping }) loaded from a file; null if unusable
+function normalizeSpring(spring) {
+    if (!spring) return null;
+    const stiffness = Number(spring.stiffness);
+    const damping = Number(spring.damping);
+    if (!(stiffness > 0) || !(damping >= 0)) return null;
+    return { stiffness, damping };
+}
+
+// Validate per-joint springs (secondary motion) loaded from a file
+function normalizeSecondary(secondary, numPoints) {
+    const result = {};
+    if (!secondary) return result;
+    Object.keys(secondary).forEach(key => {
+        const idx = Number(key);
+        const spring = normalizeSpring(secondary[key]);
+        if (idx >= 0 && idx < numPoints && spring) result[idx] = spring;
+    });
+    return result;
+}
+
 // Initial Pose Generator (Dynamic Center)
 function getInitialPose(cw = 800, ch = 600) {
     const cx = cw / 2;
@@ -78,47 +221,206 @@ function getInitialPose(cw = 800, ch = 600) {
     ];
 }
 
+// Rig Presets (rig + rest pose generator), offered in the rig editor
+const RIG_PRESETS = {
+    biped: {
+        label: 'Biped (12 joints)',
+        rig: DEFAULT_RIG,
+        pose: getInitialPose
+    },
+    quadruped: {
+        label: 'Quadruped (15 joints)',
+        rig: {
+            joints: [
+                { id: 0, name: 'head', parent: 1 },
+                { id: 1, name: 'neck', parent: 2 },
+                { id: 2, name: 'spine_front', parent: 3 },
+                { id: 3, name: 'spine_mid', parent: 4 },
+                { id: 4, name: 'spine_pelvis', parent: null }, // ROOT
+                { id: 5, name: 'tail_base', parent: 4 },
+                { id: 6, name: 'tail_tip', parent: 5 },
+                { id: 7, name: 'l_front_knee', parent: 2 },
+                { id: 8, name: 'l_front_foot', parent: 7 },
+                { id: 9, name: 'r_front_knee', parent: 2 },
+                { id: 10, name: 'r_front_foot', parent: 9 },
+                { id: 11, name: 'l_back_knee', parent: 4 },
+                { id: 12, name: 'l_back_foot', parent: 11 },
+                { id: 13, name: 'r_back_knee', parent: 4 },
+                { id: 14, name: 'r_back_foot', parent: 13 }
+            ],
+            ikChains: [[8, 7, 2], [10, 9, 2], [12, 11, 4], [14, 13, 4], [6, 5, 4], [0, 1, 2, 3]]
+        },
+        pose: (cw = 800, ch = 600) => {
+            const cx = cw / 2;
+            const cy = ch * 0.4;
+            return [
+                { id: 0, x: cx + 110, y: cy - 40 },  // Head
+                { id: 1, x: cx + 80, y: cy },        // Neck
+                { id: 2, x: cx + 50, y: cy + 20 },   // SpineFront (Shoulders)
+                { id: 3, x: cx, y: cy + 20 },        // SpineMid
+                { id: 4, x: cx - 50, y: cy + 20 },   // Pelvis (Root)
+                { id: 5, x: cx - 80, y: cy + 10 },   // TailBase
+                { id: 6, x: cx - 120, y: cy - 20 },  // TailTip
+                { id: 7, x: cx + 60, y: cy + 70 },   // LFrontKnee
+                { id: 8, x: cx + 60, y: cy + 120 },  // LFrontFoot
+                { id: 9, x: cx + 40, y: cy + 70 },   // RFrontKnee
+                { id: 10, x: cx + 40, y: cy + 120 }, // RFrontFoot
+                { id: 11, x: cx - 40, y: cy + 70 },  // LBackKnee
+                { id: 12, x: cx - 40, y: cy + 120 }, // LBackFoot
+                { id: 13, x: cx - 60, y: cy + 70 },  // RBackKnee
+                { id: 14, x: cx - 60, y: cy + 120 }  // RBackFoot
+            ];
+        }
+    }
+};
+
+// Figure (Character) Metadata
+// Scene-level info shared by all frames. Each frame stores the matching
+// points in `frame.figures`, in the same order as `State.figures`.
+function createFigure(id, name, color, rig = createDefaultRig(), style = createDefaultStyle()) {
+    return {
+        id: id,
+        name: name,
+        color: color,
+        isOnionSkinEnabled: true,
+        rig: rig,
+        style: style,
+        secondary: {} // Joint id -> spring { stiffness, damping } for follow-through
+    };
+}
+
+// Build a frame holding one pose per figure (and one key per prop)
+function createFrame(id, duration, figurePoses, propKeys = []) {
+    return {
+        id: id,
+        duration: duration,
+        figures: figurePoses.map(fp => ({ id: fp.id, points: fp.points })),
+        props: propKeys
+    };
+}
+
+// Prop Shapes
+// Vector shapes point along +x, which follows the parent bone's direction
+// (e.g. a sword's blade extends the forearm, a hat's crown extends the neck).
+const PROP_SHAPES = {
+    sword: { label: '🗡 Sword', size: 90, color: '#cbd5e1' },
+    ball: { label: '⚽ Ball', size: 30, color: '#f97316' },
+    hat: { label: '🎩 Hat', size: 40, color: '#1f2937' },
+    phone: { label: '📱 Phone', size: 24, color: '#111827' },
+    image: { label: '🖼 Image', size: 60, color: '#ffffff' }
+};
+
+// Prop Metadata
+// Scene-level like figures; each frame stores the matching keys in `frame.props`.
+function createProp(id, name, shape, color, size, image = null) {
+    return {
+        id: id,
+        name: name,
+        shape: shape,
+        color: color,
+        size: size,
+        image: image, // Data URL for 'image' props (saved with the project)
+        secondary: null // Spring { stiffness, damping } that lets the prop swing, or null
+    };
+}
 
+// Keyframe of a prop: offset/rotation (degrees) local to the parent joint.
+// parent is { figureId, jointId }, or null when the prop is free (world space).
+function createPropKey(id, parent, x, y, rotation) {
+    return {
+        id: id,
+        parent: parent,
+        x: x,
+        y: y,
+        rotation: rotation
+    };
+}
 
 // --- Application State ---
 const State = {
+    figures: [
+        createFigure(1, 'Stickman 1', CONFIG.skeletonColor)
+    ],
+    props: [],
+    poseLibrary: [], // Saved poses, persisted in localStorage (not part of the project)
     frames: [
-        {
-            id: 1,
-            duration: 0.5,
-            points: getInitialPose()
-        },
-        {
-            id: 2,
-            duration: 0.5,
-            points: getInitialPose() 
-        }
+        createFrame(1, 0.5, [{ id: 1, points: getInitialPose() }]),
+        createFrame(2, 0.5, [{ id: 1, points: getInitialPose() }])
     ],
     currentFrameIndex: 0,
+    selectedFrameIndices: [], // Timeline cards selected for copy/duplicate/reverse/move
+    trailMode: 'selected', // Motion trails: 'selected' joints, 'all' joints of the figure, or 'off'
+    draggedPathHandle: null, // { endIdx, which: 'c1' | 'c2' } while bending a tween's spatial path
+    ragdollGround: null, // Ground line (y) previewed while the ragdoll dialog is open
     isPlaying: false,
+    selectedFigureIndex: 0,
     draggedPointIndex: null,
-    selectedPointIndex: null,
+    selectedPointIndex: null, // Primary joint (shown in the panels)
+    selectedPointIndices: [], // Every selected joint of the selected figure (incl. the primary)
+    selectionPivot: null, // Custom pivot for selection transforms (null = the figure's root)
+    selectionTransform: null, // Active move/rotate/scale of the selection
+    marquee: null, // Rubber-band selection rectangle while dragging
+    selectedPropIndex: null,
+    draggedPropIndex: null,
+    propDragOffset: null, // Cursor -> prop origin while dragging
     isIKEnabled: false,
+    isRotateFKEnabled: true, // FK drags rotate around the parent instead of stretching
     ikDragData: null,
     background: null,
     isDraggingBg: false,
+    pressRevision: null, // History.revision when the current mouse/touch press began (null = no press)
     isOnionSkinEnabled: true,
+    isSecondaryEnabled: true, // Apply the secondary motion springs in playback and export
+    onionSkin: {
+        past: 1, // Ghosts before the current frame (keys, or samples in 'inbetweens' mode)
+        future: 0, // Ghosts after it
+        mode: 'keys', // 'keys' or 'inbetweens'
+        sampleRate: 10, // In-between ghosts per second
+        opacity: 0.3, // Nearest ghost
+        falloff: 0.6, // Opacity multiplier per step further away
+        useTint: false, // false = figure colour
+        pastColor: '#ef4444',
+        futureColor: '#22c55e'
+    },
     lastFrameTime: 0,
     playStartTime: 0,
     playCurrentGlobalTime: 0,
+    playheadTime: 0, // Timeline ruler position (seconds)
+    isPreviewingTime: false, // Canvas shows the in-between pose at the playhead instead of the current key
+    loopIn: null, // Playback range markers (seconds, null = start/end of the animation)
+    loopOut: null,
     playbackMode: 'loop' // 'loop', 'pingpong', 'once'
 };
 
+// --- Figure Helpers ---
+// Points of one figure inside a frame (defaults to the selected figure)
+function getFigurePoints(frame, figureIndex = State.selectedFigureIndex) {
+    return frame.figures[figureIndex].points;
+}
+
+// Points currently being edited (selected figure on the current frame)
+function getEditablePoints() {
+    return getFigurePoints(State.frames[State.currentFrameIndex]);
+}
+
+// Rig of one figure (defaults to the selected figure)
+function getFigureRig(figureIndex = State.selectedFigureIndex) {
+    return State.figures[figureIndex].rig;
+}
+
 // --- History System (Undo/Redo) ---
 const History = {
     stack: [],
     redoStack: [],
     maxSize: 50,
+    revision: 0, // Bumped on every edit, so caches built from the frames know when to rebuild
     
     // Helper to create a deep copy of current state
     _createSnapshot: function() {
         const framesCopy = JSON.parse(JSON.stringify(State.frames));
-        
+        const figuresCopy = JSON.parse(JSON.stringify(State.figures));
+        const propsCopy = JSON.parse(JSON.stringify(State.props));
+
         // Clone Background Props
         let bgCopy = null;
         if (State.background) {
@@ -127,14 +429,20 @@ const History = {
 
         return {
             frames: framesCopy,
+            figures: figuresCopy,
+            props: propsCopy,
             currentFrameIndex: State.currentFrameIndex,
             background: bgCopy,
-            selectedPointIndex: State.selectedPointIndex
+            selectedFigureIndex: State.selectedFigureIndex,
+            selectedPointIndex: State.selectedPointIndex,
+            selectedPointIndices: [...State.selectedPointIndices],
+            selectedPropIndex: State.selectedPropIndex
         };
     },
 
     saveState: function() {
         const snapshot = this._createSnapshot();
+        this.revision++;
 
         this.stack.push(snapshot);
         if (this.stack.length > this.maxSize) this.stack.shift();
@@ -166,10 +474,18 @@ const History = {
     },
 
     restore: function(snapshot) {
+        this.revision++;
+
         // Restore Data
         State.frames = snapshot.frames; // These are deep copies, so safe
+        State.figures = snapshot.figures;
         State.currentFrameIndex = snapshot.currentFrameIndex;
+        State.selectedFigureIndex = snapshot.selectedFigureIndex;
         State.selectedPointIndex = snapshot.selectedPointIndex;
+        State.selectedPointIndices = snapshot.selectedPointIndices;
+        State.selectionPivot = null;
+        State.props = snapshot.props;
+        State.selectedPropIndex = snapshot.selectedPropIndex;
         
         // Restore Background
         if (snapshot.background) {
@@ -180,18 +496,14 @@ const History = {
 
         // Update UI
         if (State.selectedPointIndex !== null) {
-            panelProperties.classList.remove('hidden');
-            const p = State.frames[State.currentFrameIndex].points[State.selectedPointIndex];
-            selectEasing.value = p.easing || 'linear';
-            
-            const chkPassthrough = document.getElementById('point-passthrough');
-            if (chkPassthrough) chkPassthrough.checked = !!p.isIgnored;
-            
+            updatePointPanel();
         } else {
             panelProperties.classList.add('hidden');
         }
 
         renderTimeline();
+        renderFigureList();
+        renderPropPanel();
         updateUIControls();
         frameNumDisplay.textContent = State.currentFrameIndex + 1;
         draw();
@@ -208,17 +520,170 @@ const btnStop = document.getElementById('btn-stop');
 const btnExport = document.getElementById('btn-export');
 const btnAddFrame = document.getElementById('btn-add-frame');
 const btnDeleteFrame = document.getElementById('btn-delete-frame'); // New Button
+const btnCopyFrames = document.getElementById('btn-copy-frames');
+const btnCutFrames = document.getElementById('btn-cut-frames');
+const btnPasteFrames = document.getElementById('btn-paste-frames');
+const btnDuplicateFrames = document.getElementById('btn-duplicate-frames');
+const btnReverseFrames = document.getElementById('btn-reverse-frames');
+const btnRetime = document.getElementById('btn-retime');
+const divRetimePopover = document.getElementById('retime-popover');
+const lblRetimeSelection = document.getElementById('retime-selection');
+const inputRetimeScale = document.getElementById('retime-scale');
+const btnRetimeScale = document.getElementById('btn-retime-scale');
+const inputRetimeLength = document.getElementById('retime-length');
+const btnRetimeLength = document.getElementById('btn-retime-length');
+const inputRetimeTotal = document.getElementById('retime-total');
+const btnRetimeTotal = document.getElementById('btn-retime-total');
+const btnRetimeSnap = document.getElementById('btn-retime-snap');
+const rulerCanvas = document.getElementById('timeline-ruler');
+const lblPlayheadTime = document.getElementById('playhead-time');
+const btnPlayPause = document.getElementById('btn-play-pause');
+const btnStepBack = document.getElementById('btn-step-back');
+const btnStepForward = document.getElementById('btn-step-forward');
+const btnLoopIn = document.getElementById('btn-loop-in');
+const btnLoopOut = document.getElementById('btn-loop-out');
+const btnLoopClear = document.getElementById('btn-loop-clear');
 const exportModal = document.getElementById('export-modal');
 const exportOutput = document.getElementById('export-output');
+const inputExportName = document.getElementById('export-name');
+const btnDownload = document.getElementById('btn-download');
+const selectExportFormat = document.getElementById('export-format');
+const divExportJsonOptions = document.getElementById('export-json-options');
+const divExportRenderOptions = document.getElementById('export-render-options');
+const inputExportFps = document.getElementById('export-fps');
+const lblExportSize = document.getElementById('export-size-label');
+const inputExportWidth = document.getElementById('export-width');
+const inputExportHeight = document.getElementById('export-height');
+const inputExportBgColor = document.getElementById('export-bg-color');
+const chkExportTransparent = document.getElementById('export-transparent');
+const chkExportRotoscope = document.getElementById('export-rotoscope');
+const inputGifLoops = document.getElementById('gif-loops');
+const inputExportPadding = document.getElementById('export-padding');
+const chkExportTrim = document.getElementById('export-trim');
+const inputWebmBitrate = document.getElementById('webm-bitrate');
+const chkWebmJitter = document.getElementById('webm-jitter');
+const lblExportStatus = document.getElementById('export-status');
 const closeModalBtn = document.querySelector('.close-modal');
+const btnGenerate = document.getElementById('btn-generate');
+const generatorModal = document.getElementById('generator-modal');
+const btnCloseGenerator = document.getElementById('btn-close-generator');
+const btnRunGenerator = document.getElementById('btn-run-generator');
+const selectCycleType = document.getElementById('cycle-type');
+const selectCycleDirection = document.getElementById('cycle-direction');
+const inputCycleStride = document.getElementById('cycle-stride');
+const inputCycleSpeed = document.getElementById('cycle-speed');
+const inputCycleBounce = document.getElementById('cycle-bounce');
+const inputCycleArmSwing = document.getElementById('cycle-arm-swing');
+const inputCycleCount = document.getElementById('cycle-count');
+const chkCycleInPlace = document.getElementById('cycle-in-place');
+const btnRagdoll = document.getElementById('btn-ragdoll');
+const ragdollModal = document.getElementById('ragdoll-modal');
+const btnCloseRagdoll = document.getElementById('btn-close-ragdoll');
+const btnRunRagdoll = document.getElementById('btn-run-ragdoll');
+const inputRagdollDuration = document.getElementById('ragdoll-duration');
+const inputRagdollKeyRate = document.getElementById('ragdoll-key-rate');
+const inputRagdollGround = document.getElementById('ragdoll-ground');
+const inputRagdollGravity = document.getElementById('ragdoll-gravity');
+const selectRagdollJoint = document.getElementById('ragdoll-impulse-joint');
+const inputRagdollImpulseX = document.getElementById('ragdoll-impulse-x');
+const inputRagdollImpulseY = document.getElementById('ragdoll-impulse-y');
+const inputRagdollStiffness = document.getElementById('ragdoll-stiffness');
+const inputRagdollFriction = document.getElementById('ragdoll-friction');
 // const btnCopy = document.getElementById('btn-copy'); // Removed
 const chkOnionSkin = document.getElementById('chk-onion-skin');
+const btnOnionSettings = document.getElementById('btn-onion-settings');
+const divOnionPopover = document.getElementById('onion-popover');
+const inputOnionPast = document.getElementById('onion-past');
+const inputOnionFuture = document.getElementById('onion-future');
+const selectOnionMode = document.getElementById('onion-mode');
+const divOnionRate = document.getElementById('onion-rate-group');
+const inputOnionRate = document.getElementById('onion-rate');
+const inputOnionOpacity = document.getElementById('onion-opacity');
+const inputOnionFalloff = document.getElementById('onion-falloff');
+const chkOnionTint = document.getElementById('onion-tint');
+const inputOnionPastColor = document.getElementById('onion-past-color');
+const inputOnionFutureColor = document.getElementById('onion-future-color');
 
 // New Property Panel Elements
 const panelProperties = document.getElementById('point-properties');
+const lblPointProperties = document.getElementById('point-properties-title');
 const selectEasing = document.getElementById('point-easing');
+const divEasingEditor = document.getElementById('easing-editor');
+const easingCanvas = document.getElementById('easing-curve');
+const selectEasingPreset = document.getElementById('easing-preset');
+const inputEasingBezier = document.getElementById('easing-bezier');
+const selectInterp = document.getElementById('point-interp');
 const selectPlaybackMode = document.getElementById('select-playback-mode');
 const chkPassthrough = document.getElementById('point-passthrough');
+const btnCurvePath = document.getElementById('btn-curve-path');
+const selectTrailMode = document.getElementById('trail-mode');
+const btnFlipBend = document.getElementById('btn-flip-bend');
+const divPinControls = document.getElementById('pin-controls');
+const chkPinned = document.getElementById('point-pinned');
+const inputPinRangeEnd = document.getElementById('pin-range-end');
+const btnPinRange = document.getElementById('btn-pin-range');
+
+// Figures Panel Elements
+const figureList = document.getElementById('figure-list');
+const btnAddFigure = document.getElementById('btn-add-figure');
+
+// Rig Editor Elements
+const rigJointList = document.getElementById('rig-joint-list');
+const btnAddJoint = document.getElementById('btn-add-joint');
+const selectRigPreset = document.getElementById('select-rig-preset');
+const btnApplyRigPreset = document.getElementById('btn-apply-rig-preset');
+
+// Style Panel Elements
+const rngStyleWidth = document.getElementById('rng-style-width');
+const lblStyleWidth = document.getElementById('style-width-val');
+const rngStyleHead = document.getElementById('rng-style-head');
+const lblStyleHead = document.getElementById('style-head-val');
+const selectStyleHeadJoint = document.getElementById('select-style-head-joint');
+const chkStyleHeadFill = document.getElementById('chk-style-head-fill');
+const chkStyleJoints = document.getElementById('chk-style-joints');
+const divStyleBone = document.getElementById('style-bone');
+const lblStyleBoneName = document.getElementById('style-bone-name');
+const inputStyleBoneColor = document.getElementById('style-bone-color');
+const inputStyleBoneWidth = document.getElementById('style-bone-width');
+const btnStyleBoneReset = document.getElementById('btn-style-bone-reset');
+
+// Props Panel Elements
+const selectPropShape = document.getElementById('select-prop-shape');
+const btnAddProp = document.getElementById('btn-add-prop');
+const btnImportProp = document.getElementById('btn-import-prop');
+const fileProp = document.getElementById('file-prop-image');
+const propList = document.getElementById('prop-list');
+const divPropSettings = document.getElementById('prop-settings');
+const selectPropParent = document.getElementById('select-prop-parent');
+const rngPropRotation = document.getElementById('rng-prop-rotation');
+const lblPropRotation = document.getElementById('prop-rotation-val');
+const rngPropSize = document.getElementById('rng-prop-size');
+const lblPropSize = document.getElementById('prop-size-val');
+const selectPropEasing = document.getElementById('prop-easing');
+
+// Secondary Motion Elements
+const chkSecondary = document.getElementById('chk-secondary');
+const lblSecondaryHint = document.getElementById('secondary-hint');
+const divSecondaryTarget = document.getElementById('secondary-target');
+const lblSecondaryTarget = document.getElementById('secondary-target-name');
+const chkSecondarySpring = document.getElementById('chk-secondary-spring');
+const rngSecondaryStiffness = document.getElementById('rng-secondary-stiffness');
+const lblSecondaryStiffness = document.getElementById('secondary-stiffness-val');
+const rngSecondaryDamping = document.getElementById('rng-secondary-damping');
+const lblSecondaryDamping = document.getElementById('secondary-damping-val');
+const lblSecondaryList = document.getElementById('secondary-list');
+const btnBakeSecondary = document.getElementById('btn-bake-secondary');
+
+// Pose Library Elements
+const inputPoseName = document.getElementById('pose-name');
+const btnSavePose = document.getElementById('btn-save-pose');
+const poseList = document.getElementById('pose-list');
+const chkPoseKeepRoot = document.getElementById('chk-pose-keep-root');
+const selectPoseJoints = document.getElementById('select-pose-joints');
+const btnMirrorPose = document.getElementById('btn-mirror-pose');
+const btnExportPoses = document.getElementById('btn-export-poses');
+const btnImportPoses = document.getElementById('btn-import-poses');
+const filePoses = document.getElementById('file-poses');
 
 // --- Initialization ---
 function init() {
@@ -229,8 +694,8 @@ function init() {
         
         // Reset Initial State for new resolution
         State.frames = [
-            { id: 1, duration: 0.5, points: getInitialPose(600, 800) },
-            { id: 2, duration: 0.5, points: getInitialPose(600, 800) }
+            createFrame(1, 0.5, [{ id: 1, points: getInitialPose(600, 800) }]),
+            createFrame(2, 0.5, [{ id: 1, points: getInitialPose(600, 800) }])
         ];
     } else {
          // Desktop default
@@ -238,7 +703,12 @@ function init() {
          canvas.height = 600;
     }
 
+    loadPoseLibrary();
+
     renderTimeline();
+    renderFigureList();
+    renderPropPanel();
+    renderPoseLibrary();
     updateUIControls(); // Initial check
     draw();
     setupEventListeners();
@@ -252,6 +722,23 @@ function setupEventListeners() {
     canvas.addEventListener('mouseup', handleMouseUp);
     canvas.addEventListener('mouseleave', handleMouseUp);
 
+    // Drags and slider slides save once when pressed and then edit on every move, so the
+    // edit only counts (and derived caches rebuild) when the press ends
+    const startPress = () => { State.pressRevision = History.revision; };
+    const endPress = () => {
+        if (State.pressRevision === null) return;
+        const edited = State.pressRevision !== History.revision;
+        State.pressRevision = null;
+        if (edited) {
+            History.revision++;
+            draw();
+        }
+    };
+    window.addEventListener('mousedown', startPress, true);
+    window.addEventListener('touchstart', startPress, { capture: true, passive: true });
+    window.addEventListener('mouseup', endPress);
+    window.addEventListener('touchend', endPress);
+
     canvas.addEventListener('touchstart', handleMouseDown, { passive: false });
     canvas.addEventListener('touchmove', handleMouseMove, { passive: false });
     canvas.addEventListener('touchend', handleMouseUp);
@@ -260,39 +747,200 @@ function setupEventListeners() {
     // Controls
     btnPlay.addEventListener('click', startPlayback);
     btnStop.addEventListener('click', stopPlayback);
+
+    // Time Ruler & Transport
+    if (rulerCanvas) {
+        rulerCanvas.addEventListener('mousedown', handleRulerDown);
+        rulerCanvas.addEventListener('touchstart', handleRulerDown, { passive: false });
+        window.addEventListener('resize', renderRuler);
+        btnPlayPause.addEventListener('click', togglePlayback);
+        btnStepBack.addEventListener('click', () => stepPlayhead(-1));
+        btnStepForward.addEventListener('click', () => stepPlayhead(1));
+        btnLoopIn.addEventListener('click', () => setLoopMarker('in', State.playheadTime));
+        btnLoopOut.addEventListener('click', () => setLoopMarker('out', State.playheadTime));
+        btnLoopClear.addEventListener('click', () => {
+            State.loopIn = null;
+            State.loopOut = null;
+            renderRuler();
+        });
+    }
     btnAddFrame.addEventListener('click', addNewFrame);
+    if (btnAddFigure) btnAddFigure.addEventListener('click', addFigure);
+
+    // Rig Editor
+    if (btnAddJoint) btnAddJoint.addEventListener('click', addJoint);
+    if (btnApplyRigPreset && selectRigPreset) {
+        Object.keys(RIG_PRESETS).forEach(key => {
+            const opt = document.createElement('option');
+            opt.value = key;
+            opt.textContent = RIG_PRESETS[key].label;
+            selectRigPreset.appendChild(opt);
+        });
+        btnApplyRigPreset.addEventListener('click', () => {
+            if (confirm('Replace this figure\'s rig? Its poses in every frame will be reset.')) {
+                applyRigPreset(selectRigPreset.value);
+            }
+        });
+    }
     
     // Global Delete Button
-    btnDeleteFrame.addEventListener('click', () => {
-        deleteFrame(State.currentFrameIndex);
-    });
+    btnDeleteFrame.addEventListener('click', deleteSelectedFrames);
+
+    // Frame Clipboard & Range Operations
+    if (btnCopyFrames) {
+        btnCopyFrames.addEventListener('click', copyFrames);
+        btnCutFrames.addEventListener('click', cutFrames);
+        btnPasteFrames.addEventListener('click', pasteFrames);
+        btnDuplicateFrames.addEventListener('click', duplicateFrames);
+        btnReverseFrames.addEventListener('click', reverseFrames);
+    }
+
+    // Retiming Popover
+    if (divRetimePopover) {
+        btnRetime.addEventListener('click', (e) => {
+            e.stopPropagation();
+            divRetimePopover.classList.toggle('hidden');
+            updateRetimePanel();
+        });
+        divRetimePopover.addEventListener('click', (e) => e.stopPropagation());
+        document.addEventListener('click', () => divRetimePopover.classList.add('hidden'));
+
+        const readPositive = (input) => {
+            const value = parseFloat(input.value);
+            return value > 0 ? value : null;
+        };
+        btnRetimeScale.addEventListener('click', () => {
+            const percent = readPositive(inputRetimeScale);
+            if (percent) scaleSelectionTiming(percent);
+        });
+        btnRetimeLength.addEventListener('click', () => {
+            const length = readPositive(inputRetimeLength);
+            if (length) stretchSelectionTo(length);
+        });
+        btnRetimeTotal.addEventListener('click', () => {
+            const length = readPositive(inputRetimeTotal);
+            if (length) setTotalDuration(length);
+        });
+        btnRetimeSnap.addEventListener('click', () => snapDurationsToFPS());
+    }
     
     chkOnionSkin.addEventListener('change', (e) => {
         State.isOnionSkinEnabled = e.target.checked;
         if (!State.isPlaying) draw();
     });
 
+    // Onion Skin Settings Popover
+    if (divOnionPopover) {
+        btnOnionSettings.addEventListener('click', (e) => {
+            e.stopPropagation();
+            divOnionPopover.classList.toggle('hidden');
+        });
+        divOnionPopover.addEventListener('click', (e) => e.stopPropagation());
+        document.addEventListener('click', () => divOnionPopover.classList.add('hidden'));
+
+        const clampInt = (value, min, max) => Math.max(min, Math.min(max, parseInt(value, 10) || 0));
+        inputOnionPast.addEventListener('change', (e) => setOnionSkinSetting('past', clampInt(e.target.value, 0, 10)));
+        inputOnionFuture.addEventListener('change', (e) => setOnionSkinSetting('future', clampInt(e.target.value, 0, 10)));
+        selectOnionMode.addEventListener('change', (e) => setOnionSkinSetting('mode', e.target.value));
+        inputOnionRate.addEventListener('change', (e) => setOnionSkinSetting('sampleRate', clampInt(e.target.value, 1, CONFIG.bakeFPS)));
+        inputOnionOpacity.addEventListener('input', (e) => setOnionSkinSetting('opacity', parseFloat(e.target.value)));
+        inputOnionFalloff.addEventListener('input', (e) => setOnionSkinSetting('falloff', parseFloat(e.target.value)));
+        chkOnionTint.addEventListener('change', (e) => setOnionSkinSetting('useTint', e.target.checked));
+        inputOnionPastColor.addEventListener('input', (e) => setOnionSkinSetting('pastColor', e.target.value));
+        inputOnionFutureColor.addEventListener('input', (e) => setOnionSkinSetting('futureColor', e.target.value));
+        updateOnionSkinPanel();
+    }
+
     if (selectPlaybackMode) {
         selectPlaybackMode.addEventListener('change', (e) => {
             State.playbackMode = e.target.value;
+            // Seamless loops add the last key's tween (timeline, ruler, ghosts and trails)
+            renderTimeline();
+            if (!State.isPlaying) draw();
         });
     }
 
     // Property Panel Inputs
+    // (Easing and passthrough apply to every selected joint)
     selectEasing.addEventListener('change', (e) => {
         if (State.selectedPointIndex !== null && State.frames[State.currentFrameIndex]) {
-            History.saveState();
-            const point = State.frames[State.currentFrameIndex].points[State.selectedPointIndex];
-            point.easing = e.target.value;
+            if (e.target.value === 'custom') {
+                // Start the custom curve from the closest match to the current easing
+                const point = getEditablePoints()[State.selectedPointIndex];
+                const bezier = getEasingBezier(point.easing) || EASING_PRESETS.ease.bezier;
+                setSelectedEasing(formatCubicBezier(bezier));
+            } else {
+                setSelectedEasing(e.target.value);
+            }
         }
     });
 
+    // Easing Curve Editor
+    if (divEasingEditor) {
+        Object.keys(EASING_PRESETS).forEach(key => {
+            const opt = document.createElement('option');
+            opt.value = key;
+            opt.textContent = EASING_PRESETS[key].label;
+            selectEasingPreset.appendChild(opt);
+        });
+        selectEasingPreset.addEventListener('change', (e) => {
+            const preset = EASING_PRESETS[e.target.value];
+            e.target.value = '';
+            if (preset && State.selectedPointIndex !== null) setSelectedEasing(formatCubicBezier(preset.bezier));
+        });
+        inputEasingBezier.addEventListener('change', (e) => {
+            if (State.selectedPointIndex === null) return;
+            const bezier = parseCubicBezier(e.target.value.trim()) || parseCubicBezier(`cubic-bezier(${e.target.value})`);
+            if (bezier) setSelectedEasing(formatCubicBezier(bezier));
+            else updatePointPanel(); // Revert the text
+        });
+        easingCanvas.addEventListener('mousedown', handleEasingCurveDown);
+        easingCanvas.addEventListener('touchstart', handleEasingCurveDown, { passive: false });
+    }
+
+    if (selectInterp) {
+        selectInterp.addEventListener('change', (e) => {
+            if (State.selectedPointIndex !== null && State.frames[State.currentFrameIndex]) {
+                History.saveState();
+                getSelectedPoints().forEach(point => {
+                    if (e.target.value) point.interpolation = e.target.value;
+                    else delete point.interpolation; // Follow the segment
+                });
+            }
+        });
+    }
+
+    if (btnFlipBend) btnFlipBend.addEventListener('click', flipIKBend);
+    if (btnCurvePath) btnCurvePath.addEventListener('click', toggleSegmentPath);
+
+    if (selectTrailMode) {
+        selectTrailMode.addEventListener('change', (e) => {
+            State.trailMode = e.target.value;
+            if (!State.isPlaying) draw();
+        });
+    }
+
+    // Pinning
+    if (chkPinned) {
+        chkPinned.addEventListener('change', (e) => {
+            if (State.selectedPointIndex !== null && !State.isPlaying) {
+                setPointPinned(State.selectedPointIndex, e.target.checked);
+            }
+        });
+    }
+    if (btnPinRange && inputPinRangeEnd) {
+        btnPinRange.addEventListener('click', () => {
+            if (State.selectedPointIndex === null || State.isPlaying) return;
+            const endIndex = (parseInt(inputPinRangeEnd.value, 10) || 1) - 1;
+            applyPinToRange(State.selectedPointIndex, State.currentFrameIndex, endIndex);
+        });
+    }
+
     if (chkPassthrough) {
         chkPassthrough.addEventListener('change', (e) => {
              if (State.selectedPointIndex !== null && State.frames[State.currentFrameIndex]) {
                 History.saveState();
-                const point = State.frames[State.currentFrameIndex].points[State.selectedPointIndex];
-                point.isIgnored = e.target.checked;
+                getSelectedPoints().forEach(point => point.isIgnored = e.target.checked);
                 draw();
             }
         });
@@ -301,6 +949,38 @@ function setupEventListeners() {
     // Video/GIF Export (Placeholder for future)
     btnExport.addEventListener('click', showExportModal);
     closeModalBtn.addEventListener('click', () => exportModal.classList.add('hidden'));
+
+    // Motion Cycle Generator
+    if (generatorModal) {
+        Object.keys(CYCLE_TYPES).forEach(key => {
+            const opt = document.createElement('option');
+            opt.value = key;
+            opt.textContent = CYCLE_TYPES[key].label;
+            selectCycleType.appendChild(opt);
+        });
+        btnGenerate.addEventListener('click', () => {
+            if (!State.isPlaying) generatorModal.classList.remove('hidden');
+        });
+        btnCloseGenerator.addEventListener('click', () => generatorModal.classList.add('hidden'));
+        btnRunGenerator.addEventListener('click', () => {
+            generatorModal.classList.add('hidden');
+            generateCycle(selectCycleType.value, readCycleParams());
+        });
+    }
+
+    // Ragdoll Fall
+    if (ragdollModal) {
+        btnRagdoll.addEventListener('click', openRagdollDialog);
+        btnCloseRagdoll.addEventListener('click', closeRagdollDialog);
+        inputRagdollGround.addEventListener('input', () => {
+            State.ragdollGround = parseFloat(inputRagdollGround.value);
+            draw();
+        });
+        btnRunRagdoll.addEventListener('click', () => {
+            ragdollModal.classList.add('hidden');
+            generateRagdoll(readRagdollParams());
+        });
+    }
     
     // Import JSON
     const btnImport = document.getElementById('btn-import');
@@ -317,7 +997,7 @@ function setupEventListeners() {
             try {
                 const data = JSON.parse(event.target.result);
                 if (data.keyframes && Array.isArray(data.keyframes)) {
-                    loadProject(data.keyframes);
+                    loadProject(data.keyframes, data.figures, data.props);
                 } else if (Array.isArray(data)) {
                      // Support raw array format if user edited it extensively
                      loadProject(data);
@@ -333,24 +1013,65 @@ function setupEventListeners() {
         e.target.value = ''; // Reset so same file can be selected again
     });
 
-    // Download JSON
-    const btnDownload = document.getElementById('btn-download');
-    const inputExportName = document.getElementById('export-name');
+    // Export Formats
+    if (selectExportFormat) {
+        Object.keys(EXPORT_FORMATS).forEach(key => {
+            const opt = document.createElement('option');
+            opt.value = key;
+            opt.textContent = EXPORT_FORMATS[key].label;
+            selectExportFormat.appendChild(opt);
+        });
+        selectExportFormat.addEventListener('change', updateExportFormat);
+        chkExportTransparent.addEventListener('change', () => inputExportBgColor.disabled = chkExportTransparent.checked);
+        // Start at the canvas size (portrait on mobile); height follows the aspect ratio unless typed separately
+        inputExportWidth.value = canvas.width;
+        inputExportHeight.value = canvas.height;
+        inputExportWidth.addEventListener('input', () => {
+            const width = parseFloat(inputExportWidth.value);
+            if (width > 0) inputExportHeight.value = Math.round(width * canvas.height / canvas.width);
+        });
+    }
 
+    // Download (JSON, or render the chosen format)
     btnDownload.addEventListener('click', () => {
-        const dataStr = "data:text/json;charset=utf-8," + encodeURIComponent(exportOutput.value);
-        const downloadAnchorNode = document.createElement('a');
-        downloadAnchorNode.setAttribute("href", dataStr);
-        
+        const format = selectExportFormat ? getSelectedExportFormat() : 'json';
+        const extension = EXPORT_FORMATS[format].extension;
+
         // Determine filename
         let fileName = inputExportName.value.trim();
         if (!fileName) fileName = "animation";
-        if (!fileName.toLowerCase().endsWith('.json')) fileName += ".json";
-        
-        downloadAnchorNode.setAttribute("download", fileName);
-        document.body.appendChild(downloadAnchorNode); // required for firefox
-        downloadAnchorNode.click();
-        downloadAnchorNode.remove();
+        if (!fileName.toLowerCase().endsWith('.' + extension)) fileName += '.' + extension;
+
+        if (format === 'json') {
+            const dataStr = "data:text/json;charset=utf-8," + encodeURIComponent(exportOutput.value);
+            downloadFile(dataStr, fileName);
+            return;
+        }
+
+        const options = readExportRenderOptions();
+        let job;
+        if (format === 'gif') {
+            const loops = parseInt(inputGifLoops.value, 10);
+            job = exportGIF(fileName, { ...options, loops: loops >= 0 ? loops : 0 });
+        } else if (format === 'spritesheet' || format === 'pngsequence') {
+            const padding = Math.max(0, parseInt(inputExportPadding.value, 10) || 0);
+            const spriteOptions = { ...options, padding: padding, trim: chkExportTrim.checked };
+            job = format === 'spritesheet' ? exportSpriteSheet(fileName, spriteOptions) : exportPNGSequence(fileName, spriteOptions);
+        } else if (format === 'webm') {
+            const kbps = Math.max(100, Math.min(50000, parseFloat(inputWebmBitrate.value) || 2500));
+            job = exportWebM(fileName, { ...options, bitrate: Math.round(kbps * 1000), jitter: chkWebmJitter.checked });
+        } else if (format === 'svg') {
+            job = exportSVG(fileName, options);
+        } else if (format === 'animatedsvg') {
+            job = exportAnimatedSVG(fileName, options);
+        } else if (format === 'lottie') {
+            job = exportLottie(fileName, options);
+        }
+        btnDownload.disabled = true;
+        job.catch(err => {
+            console.error(err);
+            lblExportStatus.textContent = 'Export failed: ' + err.message;
+        }).finally(() => btnDownload.disabled = false);
     });
 
     // IK Toggle
@@ -362,6 +1083,185 @@ function setupEventListeners() {
         });
     }
 
+    // Style Panel
+    if (rngStyleWidth) {
+        rngStyleWidth.addEventListener('mousedown', () => History.saveState()); // Save before slide
+        rngStyleWidth.addEventListener('input', (e) => {
+            const val = parseInt(e.target.value, 10);
+            lblStyleWidth.textContent = val + 'px';
+            updateFigureStyle(style => style.lineWidth = val, false);
+        });
+        rngStyleHead.addEventListener('mousedown', () => History.saveState()); // Save before slide
+        rngStyleHead.addEventListener('input', (e) => {
+            const val = parseInt(e.target.value, 10);
+            lblStyleHead.textContent = val + 'px';
+            updateFigureStyle(style => style.head.radius = val, false);
+        });
+        selectStyleHeadJoint.addEventListener('change', (e) => {
+            updateFigureStyle(style => style.head.jointId = e.target.value === '' ? null : Number(e.target.value));
+        });
+        chkStyleHeadFill.addEventListener('change', (e) => {
+            updateFigureStyle(style => style.head.fill = e.target.checked);
+        });
+        chkStyleJoints.addEventListener('change', (e) => {
+            updateFigureStyle(style => style.showJoints = e.target.checked);
+        });
+        inputStyleBoneColor.addEventListener('change', (e) => {
+            updateSelectedBoneStyle(bone => bone.color = e.target.value);
+        });
+        inputStyleBoneWidth.addEventListener('change', (e) => {
+            const val = parseFloat(e.target.value);
+            updateSelectedBoneStyle(bone => {
+                if (val > 0) bone.width = val;
+                else delete bone.width;
+            });
+        });
+        btnStyleBoneReset.addEventListener('click', () => {
+            updateSelectedBoneStyle(bone => {
+                delete bone.width;
+                delete bone.color;
+            });
+            renderStylePanel();
+        });
+    }
+
+    // Secondary Motion
+    if (chkSecondary) {
+        chkSecondary.addEventListener('change', (e) => {
+            State.isSecondaryEnabled = e.target.checked;
+            draw();
+        });
+        chkSecondarySpring.addEventListener('change', (e) => {
+            updateSecondarySpring(() => (e.target.checked ? { ...SECONDARY_DEFAULTS } : null));
+            draw();
+        });
+        rngSecondaryStiffness.addEventListener('mousedown', () => History.saveState()); // Save before slide
+        rngSecondaryStiffness.addEventListener('input', (e) => {
+            const val = parseFloat(e.target.value);
+            updateSecondarySpring(spring => (spring ? { ...spring, stiffness: val } : spring), false);
+            draw();
+        });
+        rngSecondaryDamping.addEventListener('mousedown', () => History.saveState()); // Save before slide
+        rngSecondaryDamping.addEventListener('input', (e) => {
+            const val = parseFloat(e.target.value);
+            updateSecondarySpring(spring => (spring ? { ...spring, damping: val } : spring), false);
+            draw();
+        });
+        btnBakeSecondary.addEventListener('click', () => {
+            if (!hasSecondaryMotion()) {
+                alert('Add a spring to a joint or prop (with Follow-Through on) first.');
+                return;
+            }
+            if (confirm('Replace every keyframe with the simulated motion, one key per frame?')) bakeSecondaryMotion();
+        });
+    }
+
+    // Props Panel
+    if (btnAddProp && selectPropShape) {
+        Object.keys(PROP_SHAPES).forEach(key => {
+            if (key === 'image') return; // Added through the import button
+            const opt = document.createElement('option');
+            opt.value = key;
+            opt.textContent = PROP_SHAPES[key].label;
+            selectPropShape.appendChild(opt);
+        });
+        btnAddProp.addEventListener('click', () => addProp(selectPropShape.value));
+    }
+    if (btnImportProp && fileProp) {
+        btnImportProp.addEventListener('click', () => fileProp.click());
+        fileProp.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            // Stored as a data URL so the image travels with the exported project
+            const reader = new FileReader();
+            reader.onload = (event) => addProp('image', event.target.result, file.name.replace(/\.[^.]+$/, ''));
+            reader.readAsDataURL(file);
+            e.target.value = '';
+        });
+    }
+    if (selectPropParent) {
+        selectPropParent.addEventListener('change', (e) => {
+            if (State.selectedPropIndex === null) return;
+            let parent = null;
+            if (e.target.value !== '') {
+                const [figureId, jointId] = e.target.value.split(':').map(Number);
+                parent = { figureId, jointId };
+            }
+            setPropParent(State.selectedPropIndex, parent);
+        });
+        rngPropRotation.addEventListener('mousedown', () => History.saveState()); // Save before slide
+        rngPropRotation.addEventListener('input', (e) => {
+            const key = getSelectedPropKey();
+            if (!key) return;
+            key.rotation = parseInt(e.target.value, 10);
+            lblPropRotation.textContent = key.rotation + '°';
+            draw();
+        });
+        rngPropSize.addEventListener('mousedown', () => History.saveState()); // Save before slide
+        rngPropSize.addEventListener('input', (e) => {
+            if (State.selectedPropIndex === null) return;
+            const prop = State.props[State.selectedPropIndex];
+            prop.size = parseInt(e.target.value, 10);
+            lblPropSize.textContent = prop.size + 'px';
+            draw();
+        });
+        rngPropRotation.addEventListener('change', () => renderTimeline());
+        rngPropSize.addEventListener('change', () => renderTimeline());
+        selectPropEasing.addEventListener('change', (e) => {
+            const key = getSelectedPropKey();
+            if (!key) return;
+            History.saveState();
+            key.easing = e.target.value;
+        });
+    }
+
+    // Pose Library
+    if (btnSavePose && inputPoseName) {
+        Object.keys(POSE_JOINT_GROUPS).forEach(key => {
+            const opt = document.createElement('option');
+            opt.value = key;
+            opt.textContent = POSE_JOINT_GROUPS[key].label;
+            selectPoseJoints.appendChild(opt);
+        });
+        btnSavePose.addEventListener('click', () => {
+            savePose(inputPoseName.value);
+            inputPoseName.value = '';
+        });
+        inputPoseName.addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter') return;
+            savePose(inputPoseName.value);
+            inputPoseName.value = '';
+        });
+        btnMirrorPose.addEventListener('click', mirrorPose);
+        btnExportPoses.addEventListener('click', exportPoseLibrary);
+        btnImportPoses.addEventListener('click', () => filePoses.click());
+        filePoses.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+
+            const reader = new FileReader();
+            reader.onload = (event) => {
+                try {
+                    importPoseLibrary(JSON.parse(event.target.result));
+                } catch (err) {
+                    console.error(err);
+                    alert('Error parsing pose library. Check console for details.');
+                }
+            };
+            reader.readAsText(file);
+            e.target.value = '';
+        });
+    }
+
+    // FK Rotate (Length-Preserving) Toggle
+    const chkFKRotate = document.getElementById('chk-fk-rotate');
+    if (chkFKRotate) {
+        chkFKRotate.addEventListener('change', (e) => {
+            State.isRotateFKEnabled = e.target.checked;
+        });
+    }
+
     // Rotoscoping Controls
     const btnUploadBg = document.getElementById('btn-upload-bg');
     const fileBg = document.getElementById('file-bg');
@@ -522,8 +1422,21 @@ function setupEventListeners() {
         switch(e.key) {
             case ' ':
                 e.preventDefault();
-                if (State.isPlaying) stopPlayback();
-                else startPlayback();
+                togglePlayback(); // Pauses in place
+                break;
+            case ',':
+                stepPlayhead(-1);
+                break;
+            case '.':
+                stepPlayhead(1);
+                break;
+            case 'i':
+            case 'I':
+                setLoopMarker('in', State.playheadTime);
+                break;
+            case 'o':
+            case 'O':
+                setLoopMarker('out', State.playheadTime);
                 break;
             case 'ArrowLeft':
                 if (!State.isPlaying && State.currentFrameIndex > 0) {
@@ -541,7 +1454,35 @@ function setupEventListeners() {
                 break;
             case 'Delete':
             case 'Backspace':
-                deleteFrame(State.currentFrameIndex);
+                deleteSelectedFrames();
+                break;
+            case 'c':
+            case 'C':
+                if (e.ctrlKey || e.metaKey) {
+                    e.preventDefault();
+                    copyFrames();
+                }
+                break;
+            case 'x':
+            case 'X':
+                if (e.ctrlKey || e.metaKey) {
+                    e.preventDefault();
+                    cutFrames();
+                }
+                break;
+            case 'v':
+            case 'V':
+                if (e.ctrlKey || e.metaKey) {
+                    e.preventDefault();
+                    pasteFrames();
+                }
+                break;
+            case 'd':
+            case 'D':
+                if (e.ctrlKey || e.metaKey) {
+                    e.preventDefault();
+                    duplicateFrames();
+                }
                 break;
             case 'z':
             case 'Z':
@@ -568,17 +1509,33 @@ function setupEventListeners() {
                 if (State.selectedPointIndex !== null && !State.isPlaying) {
                      History.saveState();
                      const chkPassthrough = document.getElementById('point-passthrough');
-                     const point = State.frames[State.currentFrameIndex].points[State.selectedPointIndex];
-                     point.isIgnored = !point.isIgnored;
+                     const point = getEditablePoints()[State.selectedPointIndex];
+                     const isIgnored = !point.isIgnored; // Primary joint decides for the whole selection
+                     getSelectedPoints().forEach(p => p.isIgnored = isIgnored);
                      
                      // Sync UI if visible
                      if (chkPassthrough) {
-                        chkPassthrough.checked = point.isIgnored;
+                        chkPassthrough.checked = isIgnored;
                         // Optional: Add visual flare or highlight?
                      }
                      draw();
                 }
                 break;
+            case 'f':
+            case 'F':
+                // Hotkey for Flip IK Bend (also works mid-drag)
+                flipIKBend();
+                break;
+            case 'a':
+            case 'A':
+                // Ctrl+A: select every joint of the selected figure
+                if ((e.ctrlKey || e.metaKey) && !State.isPlaying) {
+                    e.preventDefault();
+                    setPointSelection(getFigureRig().joints.map(j => j.id));
+                }
+                break;
+            case 'Escape':
+                if (State.selectedPointIndex !== null) deselectPoint();
                 break;
         }
     });
@@ -593,7 +1550,7 @@ function setupEventListeners() {
     });
 }
 
-function loadProject(keyframes) {
+function loadProject(keyframes, figures, props) {
     console.log("Loading project...", keyframes);
     // Validate structure
     try {
@@ -601,27 +1558,121 @@ function loadProject(keyframes) {
             throw new Error("No keyframes found in file.");
         }
 
-        const newFrames = keyframes.map((f, i) => ({
-            id: f.id || (Date.now() + i), // Ensure ID
-            duration: Number(f.duration) || 0.5,
-            points: f.points.map(p => ({
-                id: Number(p.id),
-                x: Number(p.x),
-                y: Number(p.y),
-                // Preserve easing if present
-                ...(p.easing ? { easing: p.easing } : {})
-            }))
+        const parsePoints = (points) => points.map(p => ({
+            id: Number(p.id),
+            x: Number(p.x),
+            y: Number(p.y),
+            // Preserve easing/interpolation/pins if present
+            ...(normalizeEasing(p.easing) ? { easing: normalizeEasing(p.easing) } : {}),
+            ...(p.interpolation === 'arc' || p.interpolation === 'linear' ? { interpolation: p.interpolation } : {}),
+            ...(p.isPinned ? { isPinned: true } : {}),
+            ...(normalizePath(p.path) ? { path: normalizePath(p.path) } : {})
         }));
 
+        const parsePropKeys = (keys) => (Array.isArray(keys) ? keys : []).map(k => {
+            const key = createPropKey(
+                Number(k.id),
+                k.parent ? { figureId: Number(k.parent.figureId), jointId: Number(k.parent.jointId) } : null,
+                Number(k.x) || 0,
+                Number(k.y) || 0,
+                Number(k.rotation) || 0
+            );
+            if (normalizeEasing(k.easing)) key.easing = normalizeEasing(k.easing);
+            return key;
+        });
+
+        const newFrames = keyframes.map((f, i) => {
+            // Legacy single-figure files store `points` directly on the frame
+            const figurePoses = Array.isArray(f.figures)
+                ? f.figures.map((fig, figIdx) => ({ id: Number(fig.id) || (figIdx + 1), points: parsePoints(fig.points) }))
+                : [{ id: 1, points: parsePoints(f.points) }];
+
+            const frame = createFrame(
+                f.id || (Date.now() + i), // Ensure ID
+                Number(f.duration) || 0.5,
+                figurePoses,
+                parsePropKeys(f.props)
+            );
+            if (f.interpolation === 'arc') frame.interpolation = 'arc';
+            return frame;
+        });
+
+        // Every frame must describe the same figures in the same order
+        const figureIds = newFrames[0].figures.map(fig => fig.id);
+        newFrames.forEach((f, i) => {
+            if (f.figures.length !== figureIds.length || f.figures.some((fig, figIdx) => fig.id !== figureIds[figIdx])) {
+                throw new Error(`Frame ${i + 1} does not match the figures of frame 1.`);
+            }
+        });
+
+        // Figure metadata (names/colours/rig) is optional; fill in defaults for missing entries.
+        // Files without a rig predate custom rigs and use the default 12-point skeleton.
+        const newFigures = figureIds.map((id, figIdx) => {
+            const meta = Array.isArray(figures) ? figures.find(fig => Number(fig.id) === id) : null;
+            const numPoints = newFrames[0].figures[figIdx].points.length;
+            const rig = normalizeRig((meta && meta.rig) || DEFAULT_RIG, numPoints);
+            newFrames.forEach((f, i) => {
+                if (f.figures[figIdx].points.length !== numPoints) {
+                    throw new Error(`Frame ${i + 1} has the wrong number of points for figure ${figIdx + 1}.`);
+                }
+            });
+
+            const style = normalizeStyle(meta && meta.style, numPoints);
+            const fallback = createFigure(id, `Stickman ${figIdx + 1}`, CONFIG.figureColors[figIdx % CONFIG.figureColors.length], rig, style);
+            if (!meta) return fallback;
+            return {
+                ...fallback,
+                name: meta.name || fallback.name,
+                color: meta.color || fallback.color,
+                secondary: normalizeSecondary(meta.secondary, numPoints)
+            };
+        });
+
+        // Props follow the same rule: every frame keys the same props in the same order
+        const propIds = newFrames[0].props.map(k => k.id);
+        newFrames.forEach((f, i) => {
+            if (f.props.length !== propIds.length || f.props.some((k, propIdx) => k.id !== propIds[propIdx])) {
+                throw new Error(`Frame ${i + 1} does not match the props of frame 1.`);
+            }
+            f.props.forEach(k => {
+                // A parent that no longer exists leaves the prop where it is, in world space
+                if (!k.parent) return;
+                const figIdx = figureIds.indexOf(k.parent.figureId);
+                if (figIdx === -1 || !f.figures[figIdx].points[k.parent.jointId]) k.parent = null;
+            });
+        });
+        const newProps = propIds.map((id, propIdx) => {
+            const meta = Array.isArray(props) ? props.find(prop => Number(prop.id) === id) : null;
+            const shape = meta && PROP_SHAPES[meta.shape] ? meta.shape : 'ball';
+            const defaults = PROP_SHAPES[shape];
+            const prop = createProp(
+                id,
+                (meta && meta.name) || `Prop ${propIdx + 1}`,
+                shape,
+                (meta && meta.color) || defaults.color,
+                (meta && Number(meta.size)) || defaults.size,
+                (meta && meta.image) || null
+            );
+            prop.secondary = normalizeSpring(meta && meta.secondary);
+            return prop;
+        });
+
         console.log("Parsed frames:", newFrames);
 
+        State.figures = newFigures;
+        State.props = newProps;
         State.frames = newFrames;
         State.currentFrameIndex = 0;
+        State.selectedFigureIndex = 0;
+        History.revision++;
         
         // Force reset
         if (State.selectedPointIndex !== null) deselectPoint();
+        State.selectedPropIndex = null;
         
         renderTimeline();
+        renderFigureList();
+        renderPropPanel();
         selectFrame(0); // This will also call draw() correctly
         updateUIControls();
         
@@ -631,13 +1682,11 @@ function loadProject(keyframes) {
     }
 }
 
-// Map Leaf ID -> [MiddleJoint ID, RootJoint ID]
-const IK_CHAINS = {
-    4: [3, 1],   // L_Hand -> L_Elbow -> Neck
-    6: [5, 1],   // R_Hand -> R_Elbow -> Neck
-    9: [8, 7],   // L_Foot -> L_Knee -> Pelvis
-    11: [10, 7]  // R_Foot -> R_Knee -> Pelvis
-};
+// Number typed into a dialog field, clamped to a workable range (`fallback` when it isn't a number)
+function readClampedNumber(el, min, max, fallback) {
+    const value = parseFloat(el.value);
+    return isFinite(value) ? Math.max(min, Math.min(max, value)) : fallback;
+}
 
 // --- Canvas Logic ---
 // --- Canvas Logic ---
@@ -674,6 +1723,12 @@ function handleMouseDown(e) {
     }
 
     if (State.isPlaying) return;
+
+    // An in-between isn't editable: the first click returns to the key under the playhead
+    if (State.isPreviewingTime) {
+        selectFrame(getFrameIndexAtTime(State.playheadTime));
+        return;
+    }
     
     // Save state before potential interaction
     History.saveState();
@@ -689,43 +1744,140 @@ function handleMouseDown(e) {
     }
 
     const frame = State.frames[State.currentFrameIndex];
-    let found = false;
-    // Find clicked point 
-    for (let i = 0; i < frame.points.length; i++) {
-        const p = frame.points[i];
-        const dist = Math.sqrt((pos.x - p.x) ** 2 + (pos.y - p.y) ** 2);
-        if (dist <= CONFIG.selectionRadius) {
-            State.draggedPointIndex = i;
-            selectPoint(i); // Update Selection
-            found = true;
-            
-            // Initialize IK Data if applicable
-            if (State.isIKEnabled && IK_CHAINS[i]) {
-                const [jointIdx, rootIdx] = IK_CHAINS[i];
-                const root = frame.points[rootIdx];
-                const joint = frame.points[jointIdx];
-                const effector = frame.points[i];
-                
-                State.ikDragData = {
-                    rootIdx,
-                    jointIdx,
-                    effectorIdx: i,
-                    d1: Math.hypot(joint.x - root.x, joint.y - root.y),
-                    d2: Math.hypot(effector.x - joint.x, effector.y - joint.y),
-                    bendDir: ((joint.x - root.x) * (effector.y - root.y) - (joint.y - root.y) * (effector.x - root.x)) > 0 ? 1 : -1
-                };
+
+    // Spatial path handles of the selected joint
+    const pathHandle = hitTestPathHandle(pos);
+    if (pathHandle) {
+        State.draggedPathHandle = { endIdx: pathHandle.endIdx, which: pathHandle.which };
+        return;
+    }
+
+    // Rotate/scale handles of a multi-joint selection sit outside the joints, so check them first
+    const handle = hitTestSelectionHandle(pos, e.altKey);
+    if (handle) {
+        startSelectionTransform(handle, pos);
+        return;
+    }
+
+    // Find clicked point (on any figure)
+    const hit = hitTestPoint(frame, pos);
+
+    if (hit) {
+        const i = hit.pointIndex;
+        const points = getFigurePoints(frame, hit.figureIndex);
+        const ikMap = getRigInfo(getFigureRig(hit.figureIndex)).ikMap;
+
+        if (hit.figureIndex !== State.selectedFigureIndex) {
+            selectFigure(hit.figureIndex);
+        }
+        if (State.selectedPropIndex !== null) deselectProp();
+
+        // Shift-click toggles the joint in the selection
+        if (e.shiftKey) {
+            selectPoint(i, true);
+            return;
+        }
+        // Grabbing a joint of a multi-selection moves the whole selection
+        if (State.selectedPointIndices.length > 1 && State.selectedPointIndices.includes(i)) {
+            startSelectionTransform('move', pos);
+            return;
+        }
+
+        State.draggedPointIndex = i;
+        selectPoint(i); // Update Selection
+
+        // Initialize IK Data if applicable
+        if (State.isIKEnabled && ikMap[i]) {
+            State.ikDragData = createIKDragData(points, ikMap[i]);
+        }
+        return;
+    }
+
+    // Pivot marker and the empty space inside the selection box
+    const box = getSelectionBox();
+    if (box) {
+        const pivot = getSelectionPivot();
+        if (Math.hypot(pos.x - pivot.x, pos.y - pivot.y) <= 8) {
+            startSelectionTransform('pivot', pos);
+            return;
+        }
+        if (pos.x >= box.x0 && pos.x <= box.x1 && pos.y >= box.y0 && pos.y <= box.y1) {
+            startSelectionTransform('move', pos);
+            return;
+        }
+    }
+
+    // Props sit behind the joints, so they are only grabbed when no joint is hit
+    const propIndex = hitTestProp(frame, pos);
+    if (propIndex !== null) {
+        if (State.selectedPointIndex !== null) deselectPoint();
+        selectProp(propIndex);
+        const world = getFramePropTransforms(frame)[propIndex];
+        State.draggedPropIndex = propIndex;
+        State.propDragOffset = { x: world.x - pos.x, y: world.y - pos.y };
+    } else {
+        // Empty space: rubber-band selection (shift adds to the current one)
+        if (!e.shiftKey) deselectPoint();
+        if (State.selectedPropIndex !== null) deselectProp();
+        State.marquee = { x0: pos.x, y0: pos.y, x1: pos.x, y1: pos.y, additive: !!e.shiftKey };
+    }
+}
+
+// Find the joint under the cursor.
+// The selected figure wins ties, then figures drawn last (on top) are checked first.
+function hitTestPoint(frame, pos) {
+    const order = [State.selectedFigureIndex];
+    for (let f = frame.figures.length - 1; f >= 0; f--) {
+        if (f !== State.selectedFigureIndex) order.push(f);
+    }
+
+    for (const figureIndex of order) {
+        const points = getFigurePoints(frame, figureIndex);
+        for (let i = 0; i < points.length; i++) {
+            const p = points[i];
+            const dist = Math.sqrt((pos.x - p.x) ** 2 + (pos.y - p.y) ** 2);
+            if (dist <= CONFIG.selectionRadius) {
+                return { figureIndex, pointIndex: i };
             }
-            break;
         }
     }
-    
-    if (!found) {
-        deselectPoint();
+    return null;
+}
+
+// Select a joint of the selected figure. `additive` (shift-click) toggles it in the
+// multi-selection; the joint picked last is the primary one shown in the panels.
+function selectPoint(index, additive = false) {
+    if (!additive) {
+        setPointSelection([index]);
+        return;
+    }
+
+    if (State.selectedPointIndices.includes(index)) {
+        const remaining = State.selectedPointIndices.filter(i => i !== index);
+        if (remaining.length === 0) deselectPoint();
+        else setPointSelection(remaining);
+    } else {
+        setPointSelection([...State.selectedPointIndices, index]);
     }
 }
 
-function selectPoint(index) {
-    State.selectedPointIndex = index;
+function setPointSelection(indices) {
+    State.selectedPointIndices = [...indices];
+    State.selectedPointIndex = indices[indices.length - 1];
+    State.selectionPivot = null;
+    updatePointPanel();
+}
+
+// Points of every selected joint on the current frame
+function getSelectedPoints() {
+    const points = getEditablePoints();
+    return State.selectedPointIndices.map(i => points[i]);
+}
+
+// Sync the properties panel with the primary joint
+function updatePointPanel() {
+    const index = State.selectedPointIndex;
+    const count = State.selectedPointIndices.length;
     panelProperties.classList.remove('hidden');
     
     // Hide FAB on mobile to avoid clutter
@@ -733,25 +1885,172 @@ function selectPoint(index) {
     if (fab) fab.classList.add('hidden');
     
     // Update Properties Panel values
-    const point = State.frames[State.currentFrameIndex].points[index];
-    selectEasing.value = point.easing || 'linear';
+    const point = getEditablePoints()[index];
+    if (lblPointProperties) {
+        lblPointProperties.textContent = count > 1 ? `${count} Joints Selected` : 'Selected Joint';
+    }
+    const isCustomEasing = !!parseCubicBezier(point.easing);
+    selectEasing.value = isCustomEasing ? 'custom' : (point.easing || 'linear');
+    if (divEasingEditor) {
+        divEasingEditor.classList.toggle('hidden', !isCustomEasing);
+        if (isCustomEasing) renderEasingEditor(parseCubicBezier(point.easing));
+    }
+    if (selectInterp) {
+        selectInterp.value = point.interpolation || '';
+    }
     if (chkPassthrough) {
         chkPassthrough.checked = !!point.isIgnored;
     }
+    if (btnCurvePath) {
+        // Curving needs a tween into this key
+        const segment = getPathSegment(State.currentFrameIndex, index);
+        btnCurvePath.disabled = !segment;
+        btnCurvePath.textContent = segment && segment.end.path ? '⟋ Straighten Path' : '⌒ Curve Path';
+    }
+    // Flip and pinning only make sense for a single IK chain end effector
+    const isEffector = count === 1 && !!getRigInfo(getFigureRig()).ikMap[index];
+    if (btnFlipBend) {
+        btnFlipBend.classList.toggle('hidden', !isEffector);
+    }
+    if (divPinControls) {
+        divPinControls.classList.toggle('hidden', !isEffector);
+        chkPinned.checked = !!point.isPinned;
+        inputPinRangeEnd.max = State.frames.length;
+        inputPinRangeEnd.value = State.frames.length;
+    }
+    updateRigSelection();
+    renderStylePanel();
+    renderSecondaryPanel();
     draw();
 }
 
 function deselectPoint() {
     State.selectedPointIndex = null;
+    State.selectedPointIndices = [];
+    State.selectionPivot = null;
     panelProperties.classList.add('hidden');
     
     // Show FAB back
     const fab = document.getElementById('btn-toggle-sidebar');
     if (fab) fab.classList.remove('hidden');
 
+    updateRigSelection();
+    renderStylePanel();
+    renderSecondaryPanel();
     draw();
 }
 
+// --- Easing Curve Editor ---
+// Sets the easing into this key for every selected joint
+function setSelectedEasing(easing, saveHistory = true) {
+    if (saveHistory) History.saveState();
+    getSelectedPoints().forEach(point => point.easing = easing);
+    updatePointPanel();
+}
+
+// Curve space: x (time) 0..1 across, y (progress) -0.5..1.5 top to bottom, leaving room for overshoot
+const EASING_CURVE_PADDING = 10;
+
+function easingToCanvas(x, y) {
+    const size = easingCanvas.width - EASING_CURVE_PADDING * 2;
+    return {
+        x: EASING_CURVE_PADDING + x * size,
+        y: easingCanvas.height - EASING_CURVE_PADDING - ((y + 0.5) / 2) * size
+    };
+}
+
+function canvasToEasing(px, py) {
+    const size = easingCanvas.width - EASING_CURVE_PADDING * 2;
+    return {
+        x: Math.max(0, Math.min(1, (px - EASING_CURVE_PADDING) / size)),
+        y: Math.max(-0.5, Math.min(1.5, ((easingCanvas.height - EASING_CURVE_PADDING - py) / size) * 2 - 0.5))
+    };
+}
+
+function renderEasingEditor(bezier) {
+    const ectx = easingCanvas.getContext('2d');
+    ectx.clearRect(0, 0, easingCanvas.width, easingCanvas.height);
+    const p0 = easingToCanvas(0, 0);
+    const p1 = easingToCanvas(bezier[0], bezier[1]);
+    const p2 = easingToCanvas(bezier[2], bezier[3]);
+    const p3 = easingToCanvas(1, 1);
+
+    // Unit box
+    ectx.strokeStyle = '#333';
+    ectx.lineWidth = 1;
+    ectx.strokeRect(p0.x, p3.y, p3.x - p0.x, p0.y - p3.y);
+
+    // Handles
+    ectx.strokeStyle = '#666';
+    ectx.beginPath();
+    ectx.moveTo(p0.x, p0.y);
+    ectx.lineTo(p1.x, p1.y);
+    ectx.moveTo(p3.x, p3.y);
+    ectx.lineTo(p2.x, p2.y);
+    ectx.stroke();
+
+    // Curve
+    ectx.strokeStyle = '#3b82f6';
+    ectx.lineWidth = 2;
+    ectx.beginPath();
+    ectx.moveTo(p0.x, p0.y);
+    ectx.bezierCurveTo(p1.x, p1.y, p2.x, p2.y, p3.x, p3.y);
+    ectx.stroke();
+
+    ectx.fillStyle = '#f59e0b';
+    [p1, p2].forEach(p => {
+        ectx.beginPath();
+        ectx.arc(p.x, p.y, 5, 0, Math.PI * 2);
+        ectx.fill();
+    });
+
+    if (document.activeElement !== inputEasingBezier) {
+        inputEasingBezier.value = formatCubicBezier(bezier);
+    }
+}
+
+// Drags the nearer control point; the whole drag is one undo step
+function handleEasingCurveDown(e) {
+    e.preventDefault();
+    const point = getEditablePoints()[State.selectedPointIndex];
+    const bezier = parseCubicBezier(point && point.easing);
+    if (!bezier) return;
+
+    const getPos = (ev) => {
+        const rect = easingCanvas.getBoundingClientRect();
+        const p = ev.touches ? ev.touches[0] : ev;
+        return {
+            x: (p.clientX - rect.left) * (easingCanvas.width / rect.width),
+            y: (p.clientY - rect.top) * (easingCanvas.height / rect.height)
+        };
+    };
+    const pos = getPos(e);
+    const h1 = easingToCanvas(bezier[0], bezier[1]);
+    const h2 = easingToCanvas(bezier[2], bezier[3]);
+    const handle = Math.hypot(pos.x - h1.x, pos.y - h1.y) <= Math.hypot(pos.x - h2.x, pos.y - h2.y) ? 0 : 2;
+
+    History.saveState();
+    const update = (ev) => {
+        if (ev.type === 'touchmove') ev.preventDefault();
+        const p = getPos(ev);
+        const value = canvasToEasing(p.x, p.y);
+        bezier[handle] = value.x;
+        bezier[handle + 1] = value.y;
+        setSelectedEasing(formatCubicBezier(bezier), false);
+    };
+    const end = () => {
+        window.removeEventListener('mousemove', update);
+        window.removeEventListener('mouseup', end);
+        window.removeEventListener('touchmove', update);
+        window.removeEventListener('touchend', end);
+    };
+    update(e);
+    window.addEventListener('mousemove', update);
+    window.addEventListener('mouseup', end);
+    window.addEventListener('touchmove', update, { passive: false });
+    window.addEventListener('touchend', end);
+}
+
 function handleMouseMove(e) {
     // Prevent default on touch to stop scrolling
     if (e.type === 'touchmove') e.preventDefault();
@@ -770,26 +2069,75 @@ function handleMouseMove(e) {
         return;
     }
 
+    if (State.selectionTransform) {
+        applySelectionTransform(pos, e.shiftKey);
+        draw();
+        return;
+    }
+
+    if (State.draggedPathHandle) {
+        dragPathHandle(pos);
+        draw();
+        return;
+    }
+
+    if (State.marquee) {
+        State.marquee.x1 = pos.x;
+        State.marquee.y1 = pos.y;
+        draw();
+        return;
+    }
+
     if (State.draggedPointIndex !== null) {
-        const frame = State.frames[State.currentFrameIndex];
-        const points = frame.points;
+        const points = getEditablePoints();
         const dragIdx = State.draggedPointIndex;
         const point = points[dragIdx];
+        const rigInfo = getRigInfo(getFigureRig());
+
+        // Remember where pinned joints are held before anything moves
+        const pinTargets = points.filter(p => p.isPinned).map(p => ({ idx: p.id, x: p.x, y: p.y }));
         
         // Check for IK and ensure we have init data
         if (State.isIKEnabled && State.ikDragData && State.ikDragData.effectorIdx === dragIdx) {
-            solveTwoJointIK(points, State.ikDragData, pos.x, pos.y);
+            solveIKChain(points, State.ikDragData, pos.x, pos.y, rigInfo.childrenMap);
         } else {
-            // Standard FK
-            const dx = pos.x - point.x;
-            const dy = pos.y - point.y;
-            
-            point.x = pos.x;
-            point.y = pos.y;
-            
-            moveChildren(dragIdx, dx, dy, points);
+            const parentIdx = rigInfo.parentMap[dragIdx];
+
+            // Alt held = deliberate stretch/squash, roots always translate
+            if (State.isRotateFKEnabled && !e.altKey && parentIdx !== null) {
+                // Rotate FK: swing the joint (and its subtree) around its parent
+                const parent = points[parentIdx];
+                const currentAngle = Math.atan2(point.y - parent.y, point.x - parent.x);
+                const targetAngle = Math.atan2(pos.y - parent.y, pos.x - parent.x);
+                
+                rotateSubtree(dragIdx, parent, targetAngle - currentAngle, points, rigInfo.childrenMap);
+            } else {
+                // Standard FK
+                const dx = pos.x - point.x;
+                const dy = pos.y - point.y;
+                
+                point.x = pos.x;
+                point.y = pos.y;
+                
+                moveChildren(dragIdx, dx, dy, points, rigInfo.parentMap);
+            }
         }
+
+        enforcePins(points, pinTargets, dragIdx, rigInfo);
         
+        draw();
+    } else if (State.draggedPropIndex !== null) {
+        // Move the prop in world space, storing the offset local to its parent
+        const frame = State.frames[State.currentFrameIndex];
+        const key = frame.props[State.draggedPropIndex];
+        const world = getFramePropTransforms(frame)[State.draggedPropIndex];
+        const local = worldToPropKey({
+            x: pos.x + State.propDragOffset.x,
+            y: pos.y + State.propDragOffset.y,
+            rotation: world.rotation
+        }, key.parent, getFrameFigurePoints(frame));
+        key.x = local.x;
+        key.y = local.y;
         draw();
     } else {
         // Hover Cursor logic (Only for mouse really)
@@ -801,22 +2149,19 @@ function handleMouseMove(e) {
              return;
         }
 
-        const frame = State.frames[State.currentFrameIndex];
-        let hovering = false;
-        let hoverIdx = -1;
-        
-        for (let i=0; i < frame.points.length; i++) {
-            const p = frame.points[i];
-            const dist = Math.sqrt((pos.x - p.x) ** 2 + (pos.y - p.y) ** 2);
-            if (dist <= CONFIG.selectionRadius) {
-                hovering = true;
-                hoverIdx = i;
-                break;
-            }
+        const handle = hitTestSelectionHandle(pos, e.altKey);
+        if (handle) {
+            canvas.style.cursor = handle === 'scale' ? 'nwse-resize' : (handle === 'rotate' ? 'grab' : 'move');
+            return;
         }
 
-        if (hovering && State.isIKEnabled && IK_CHAINS[hoverIdx]) {
+        const hit = hitTestPoint(State.frames[State.currentFrameIndex], pos);
+        const hovering = hit !== null;
+
+        if (hovering && State.isIKEnabled && getRigInfo(getFigureRig(hit.figureIndex)).ikMap[hit.pointIndex]) {
             canvas.style.cursor = 'grab'; 
+        } else if (!hovering && hitTestProp(State.frames[State.currentFrameIndex], pos) !== null) {
+            canvas.style.cursor = 'move';
         } else {
             canvas.style.cursor = hovering ? 'pointer' : 'crosshair';
         }
@@ -825,780 +2170,5654 @@ function handleMouseMove(e) {
 
 function handleMouseUp(e) {
     State.isDraggingBg = false; 
+
+    if (State.marquee) {
+        finishMarquee();
+    }
+    if (State.selectionTransform) {
+        State.selectionTransform = null;
+        renderTimeline();
+    }
+    if (State.draggedPathHandle) {
+        State.draggedPathHandle = null;
+        renderTimeline();
+    }
     
     if (State.draggedPointIndex !== null) {
         State.draggedPointIndex = null;
         State.ikDragData = null; // Clear IK data
         renderTimeline(); 
     }
+    if (State.draggedPropIndex !== null) {
+        State.draggedPropIndex = null;
+        State.propDragOffset = null;
+        renderTimeline();
+    }
 }
 
-function moveChildren(parentId, dx, dy, points) {
+function moveChildren(parentId, dx, dy, points, parentMap) {
     for (let i = 0; i < points.length; i++) {
-        if (PARENT_MAP[i] === parentId) {
+        if (parentMap[i] === parentId) {
             points[i].x += dx;
             points[i].y += dy;
-            moveChildren(i, dx, dy, points);
+            moveChildren(i, dx, dy, points, parentMap);
         }
     }
 }
 
-// --- Inverse Kinematics Logic ---
-function solveTwoJointIK(points, ikData, targetX, targetY) {
-    const { rootIdx, jointIdx, effectorIdx, d1, d2, bendDir } = ikData;
-    
-    const root = points[rootIdx];
-    const joint = points[jointIdx];
-    const effector = points[effectorIdx];
-
-    // Distance from Root to Target
-    const distTarget = Math.hypot(targetX - root.x, targetY - root.y);
-    
-    // Clamp Target Distance (Cannot stretch beyond arm length)
-    // Use epsilon to avoid NaN
-    const maxDist = (d1 + d2) * 0.9999; 
-    let validDist = distTarget;
-    
-    if (distTarget > maxDist) {
-        validDist = maxDist;
-    } else if (distTarget < Math.abs(d1 - d2) + 0.001) {
-        // Don't let it fold onto itself completely (singularity)
-        validDist = Math.abs(d1 - d2) + 0.001;
+// Rotate a joint and all of its descendants around a pivot (bone lengths stay fixed)
+function rotateSubtree(jointIdx, pivot, angle, points, childrenMap) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const stack = [jointIdx];
+
+    while (stack.length > 0) {
+        const idx = stack.pop();
+        const p = points[idx];
+        const dx = p.x - pivot.x;
+        const dy = p.y - pivot.y;
+        p.x = pivot.x + dx * cos - dy * sin;
+        p.y = pivot.y + dx * sin + dy * cos;
+        stack.push(...childrenMap[idx]);
     }
-    
-    // Law of Cosines
-    // d2^2 = d1^2 + validDist^2 - 2*d1*validDist * cos(Alpha)
-    const cosAlpha = (d1*d1 + validDist*validDist - d2*d2) / (2 * d1 * validDist);
-    // Clamp safely
-    const angleAlpha = Math.acos(Math.max(-1, Math.min(1, cosAlpha))); 
-    
-    // Angle of the Target Vector relative to X-axis
-    const angleToTarget = Math.atan2(targetY - root.y, targetX - root.x);
-    
-    // Use stored bend preference (or dynamic if we wanted flip capability, but fixed is more stable)
-    // We can also check cross product to maintain consistency, but fixed `bendDir` from start of drag is smoothest
-    
-    const angleRoot = angleToTarget + (angleAlpha * bendDir);
-    
-    const newJointX = root.x + Math.cos(angleRoot) * d1;
-    const newJointY = root.y + Math.sin(angleRoot) * d1;
-    
-    // Joint to Target
-    const angleJointToTarget = Math.atan2(targetY - newJointY, targetX - newJointX);
-    const newEffectorX = newJointX + Math.cos(angleJointToTarget) * d2;
-    const newEffectorY = newJointY + Math.sin(angleJointToTarget) * d2;
-    
-    // Apply
-    joint.x = newJointX;
-    joint.y = newJointY;
-    
-    effector.x = newEffectorX;
-    effector.y = newEffectorY;
 }
 
-// --- Drawing ---
-function draw() {
-    ctx.clearRect(0, 0, canvas.width, canvas.height); // Use clearRect
+// --- Onion Skinning ---
+// Ghosts around the current frame, farthest first so nearer ones draw on top.
+// 'keys' mode shows neighbouring keyframes; 'inbetweens' samples the interpolated
+// animation every 1/sampleRate seconds before and after the current key.
+function getOnionGhosts() {
+    const settings = State.onionSkin;
+    const ghosts = [];
+    const addGhost = (side, distance, figurePoints, propTransforms) => {
+        ghosts.push({ side, distance, figurePoints, propTransforms });
+    };
 
-    // 1. Draw Background (Rotoscoping)
-    if (State.background && State.background.media) {
-        ctx.save();
-        ctx.globalAlpha = State.background.opacity;
-        
-        const media = State.background.media;
-        
-        // Sync Video Time
-        if (State.background.type === 'video') {
-            let targetTime = 0;
-            if (State.isPlaying) {
-                targetTime = State.playCurrentGlobalTime;
-            } else {
-                // Determine time based on current frame start
-                for (let i = 0; i < State.currentFrameIndex; i++) {
-                    targetTime += State.frames[i].duration;
-                }
+    // Seamless loops wrap around: the frames before the first are the end of the cycle
+    const cyclic = isSeamlessLoop();
+    if (settings.mode === 'inbetweens') {
+        const t0 = getFrameStartTime(State.currentFrameIndex);
+        const total = getTotalDuration();
+        const step = 1 / settings.sampleRate;
+        [['past', -1, settings.past], ['future', 1, settings.future]].forEach(([side, dir, count]) => {
+            for (let n = 1; n <= count; n++) {
+                const t = t0 + dir * n * step;
+                if (cyclic ? n * step >= total : (t < -0.0001 || t > total + 0.0001)) break;
+                const pose = getFinalPoseAtTime(t);
+                addGhost(side, n, pose.figures.map(fp => fp.points), pose.props);
             }
-            
-            if (Math.abs(media.currentTime - targetTime) > 0.1) {
-                media.currentTime = targetTime;
+        });
+    } else {
+        [['past', -1, settings.past], ['future', 1, settings.future]].forEach(([side, dir, count]) => {
+            const numFrames = State.frames.length;
+            for (let n = 1; n <= count; n++) {
+                const index = State.currentFrameIndex + dir * n;
+                const frame = cyclic && n < numFrames ? State.frames[(index + numFrames) % numFrames] : State.frames[index];
+                if (!frame) break;
+                addGhost(side, n, getFrameFigurePoints(frame), getFramePropTransforms(frame));
             }
-        }
-
-        // Apply Transform
-        // 1. Translate to center + offset
-        ctx.translate(canvas.width/2 + State.background.x, canvas.height/2 + State.background.y);
-        // 2. Scale
-        ctx.scale(State.background.scale, State.background.scale);
-        
-        // Calculate centered draw pos for the media itself
-        let mWidth = media.videoWidth || media.width;
-        let mHeight = media.videoHeight || media.height;
-        
-        if (mWidth && mHeight) {
-             ctx.drawImage(media, -mWidth/2, -mHeight/2, mWidth, mHeight);
-        }
-        
-        ctx.restore();
+        });
     }
-    
-    if (State.isPlaying) {
-        // ... (Playback Render) ...
-        drawStickman(ctx, getCurrentInterpolatedPose(), CONFIG.skeletonColor, 1, 1, 0, 0, true);
-        
-        if (State.playCurrentGlobalTime - State.playLastScuffTime > 0.15) {
-             // Audio Removed
-        }
+    return ghosts.sort((a, b) => b.distance - a.distance);
+}
 
-    } else {
-        // ... (Edit Mode Render) ...
-        
-        // 1. Onion Skin
-        if (State.isOnionSkinEnabled && State.currentFrameIndex > 0) {
-            const prevFrame = State.frames[State.currentFrameIndex - 1];
-            drawStickman(ctx, prevFrame.points, CONFIG.onionSkinColor, 0.4, 1, 0, 0, false);
-        }
-        
-        // 2. Current Frame
-        drawStickman(ctx, State.frames[State.currentFrameIndex].points, CONFIG.skeletonColor, 1, 1, 0, 0, false);
+function drawOnionSkins(context) {
+    const settings = State.onionSkin;
+    getOnionGhosts().forEach(ghost => {
+        const opacity = settings.opacity * Math.pow(settings.falloff, ghost.distance - 1);
+        if (opacity < 0.01) return;
+        const tint = settings.useTint ? (ghost.side === 'past' ? settings.pastColor : settings.futureColor) : null;
 
-        // 3. Selection & Motion Trails
-        if (State.selectedPointIndex !== null) {
-            const currentPoint = State.frames[State.currentFrameIndex].points[State.selectedPointIndex];
-            
-            // --- Motion Trail Logic ---
-            // Draw path of this point across ALL frames (or a window)
-            ctx.save();
-            ctx.strokeStyle = 'cyan';
-            ctx.lineWidth = 1;
-            ctx.setLineDash([4, 4]); // Dotted Line
-            ctx.beginPath();
-            
-            // Loop through all frames to find position of the *same* point ID
-            // Since point index matches ID in this rig, we use selectedPointIndex
-            let hasStarted = false;
-            
-            State.frames.forEach((frame, idx) => {
-                const p = frame.points[State.selectedPointIndex];
-                if (idx === 0) {
-                    ctx.moveTo(p.x, p.y);
-                    hasStarted = true;
-                } else {
-                    ctx.lineTo(p.x, p.y);
-                }
-                
-                // Draw small dot at each frame keyframe
-                // Don't stroke the path yet, just adding to path
-            });
-            ctx.stroke();
-            
-            // Draw Keyframe Dots on the path
-            ctx.setLineDash([]);
-            ctx.fillStyle = 'cyan';
-            State.frames.forEach((frame, idx) => {
-                const p = frame.points[State.selectedPointIndex];
-                // Highlight current frame's point differently?
-                const r = idx === State.currentFrameIndex ? 4 : 2;
-                ctx.beginPath();
-                ctx.arc(p.x, p.y, r, 0, Math.PI * 2);
-                ctx.fill();
-            });
-            
-            ctx.restore();
-            // --------------------------
+        State.figures.forEach((figure, figIdx) => {
+            if (!figure.isOnionSkinEnabled) return;
+            drawStickman(context, ghost.figurePoints[figIdx], tint || figure.color, opacity, 1, 0, 0, false, null, figure.rig, getTintStyle(figure.style));
+        });
+        ghost.propTransforms.forEach((transform, propIdx) => drawProp(context, State.props[propIdx], transform, opacity));
+    });
+}
 
-            // Highlight Selected Point
-            ctx.beginPath();
-            ctx.strokeStyle = '#f44336'; 
-            ctx.lineWidth = 2;
-            ctx.arc(currentPoint.x, currentPoint.y, CONFIG.selectionRadius + 2, 0, Math.PI * 2);
-            ctx.stroke();
-            ctx.lineWidth = 1; 
+// Sync the settings popover with `State.onionSkin`
+function updateOnionSkinPanel() {
+    if (!divOnionPopover) return;
+    const settings = State.onionSkin;
+    inputOnionPast.value = settings.past;
+    inputOnionFuture.value = settings.future;
+    selectOnionMode.value = settings.mode;
+    inputOnionRate.value = settings.sampleRate;
+    divOnionRate.classList.toggle('hidden', settings.mode !== 'inbetweens');
+    inputOnionOpacity.value = settings.opacity;
+    inputOnionFalloff.value = settings.falloff;
+    chkOnionTint.checked = settings.useTint;
+    inputOnionPastColor.value = settings.pastColor;
+    inputOnionFutureColor.value = settings.futureColor;
+    inputOnionPastColor.disabled = !settings.useTint;
+    inputOnionFutureColor.disabled = !settings.useTint;
+}
+
+function setOnionSkinSetting(key, value) {
+    State.onionSkin[key] = value;
+    updateOnionSkinPanel();
+    if (!State.isPlaying) draw();
+}
+
+// --- Motion Trails & Spatial Paths ---
+// Joints of the selected figure that get a trail, per the View Options setting
+function getTrailJointIndices() {
+    if (State.trailMode === 'off') return [];
+    if (State.trailMode === 'all') return getFigureRig().joints.map(j => j.id);
+    return State.selectedPointIndices;
+}
+
+// Where each joint really goes: sampled from the final pose at the bake rate, so easing,
+// passthrough, arcs, curved paths and springs all show up. The samples are kept until the
+// next edit; while a drag is in progress only the tweens around the current key are resampled.
+let trailCache = { signature: null, trails: null };
+
+function sampleJointTrails(figIdx, jointIndices) {
+    const total = getTotalDuration();
+    const step = 1 / CONFIG.bakeFPS;
+    const count = Math.ceil(total / step - 0.0001);
+    const isSprung = hasSecondaryMotion();
+    const signature = JSON.stringify([
+        History.revision, figIdx, jointIndices, total, isSprung, State.figures[figIdx].secondary,
+        State.playbackMode, CONFIG.bakeFPS
+    ]);
+
+    let from = 0;
+    let to = count;
+    if (trailCache.signature === signature) {
+        // The spring track itself waits for the drag to end
+        if (State.pressRevision === null || isSprung) return trailCache.trails;
+        const span = getCurrentKeyTweenSpan(figIdx);
+        if (span) {
+            from = Math.max(0, Math.floor(span.start / step));
+            to = Math.min(count, Math.ceil(span.end / step));
         }
+    } else {
+        trailCache = { signature, trails: jointIndices.map(() => new Array(count + 1)) };
+    }
+
+    for (let i = from; i <= to; i++) {
+        const time = Math.min(i * step, total);
+        const points = isSprung ? getFinalPoseAtTime(time).figures[figIdx].points : getFigurePoseAtTime(figIdx, time);
+        jointIndices.forEach((pIdx, j) => trailCache.trails[j][i] = points[pIdx]);
     }
+    return trailCache.trails;
 }
 
-// Updated drawStickman with Jitter/Hand-Drawn Effect
-function drawStickman(context, points, color, opacity, scale = 1, offsetX = 0, offsetY = 0, useJitter = false) {
-    context.globalAlpha = opacity;
-    context.lineCap = 'round';
-    context.lineJoin = 'round';
+// Time span that editing the current key can reshape: the tweens into and out of it, reaching
+// past keys the figure passes through. Null when it wraps around a seamless loop.
+function getCurrentKeyTweenSpan(figIdx) {
+    const n = State.frames.length;
+    const isAnchor = (i) => getFigurePoints(State.frames[i], figIdx).every(p => !p.isIgnored);
+    let first = State.currentFrameIndex - 1;
+    while (first > 0 && !isAnchor(first)) first--;
+    let last = State.currentFrameIndex + 1;
+    while (last < n - 1 && !isAnchor(last)) last++;
+    if (isSeamlessLoop() && (first <= 0 || last >= n - 1)) return null;
+    return {
+        start: getFrameStartTime(Math.max(0, first)),
+        end: last < n ? getFrameStartTime(last) : getTotalDuration()
+    };
+}
 
-    context.beginPath();
-    context.strokeStyle = color;
-    
-    // Vary line width slightly for hand-drawn feel
-    const baseWidth = Math.max(1.5, 4 * scale);
-    context.lineWidth = useJitter ? baseWidth + (Math.random() - 0.5) : baseWidth;
-    
-    CONNECTIONS.forEach(([startIndex, endIndex]) => {
-        let start = points[startIndex];
-        let end = points[endIndex];
+function drawMotionTrails(context) {
+    const jointIndices = getTrailJointIndices();
+    if (jointIndices.length === 0 || State.frames.length < 2) return;
+    const trails = sampleJointTrails(State.selectedFigureIndex, jointIndices);
+
+    context.save();
+    context.strokeStyle = 'cyan';
+    context.fillStyle = 'cyan';
+    context.lineWidth = 1;
+    trails.forEach((samples, j) => {
+        context.globalAlpha = jointIndices[j] === State.selectedPointIndex ? 0.9 : 0.5;
+
+        context.beginPath();
+        samples.forEach((p, i) => {
+            if (i === 0) context.moveTo(p.x, p.y);
+            else context.lineTo(p.x, p.y);
+        });
+        context.stroke();
+
+        // Ticks across the path, one per baked frame: bunched ticks = slow, spread = fast
+        context.beginPath();
+        samples.forEach((p, i) => {
+            const a = samples[Math.max(0, i - 1)];
+            const b = samples[Math.min(samples.length - 1, i + 1)];
+            const len = Math.hypot(b.x - a.x, b.y - a.y);
+            if (len < 0.001) return;
+            const nx = -(b.y - a.y) / len * 3;
+            const ny = (b.x - a.x) / len * 3;
+            context.moveTo(p.x - nx, p.y - ny);
+            context.lineTo(p.x + nx, p.y + ny);
+        });
+        context.stroke();
+
+        // Keyframe Dots
+        State.frames.forEach((frame, idx) => {
+            const p = getFigurePoints(frame)[jointIndices[j]];
+            context.beginPath();
+            context.arc(p.x, p.y, idx === State.currentFrameIndex ? 4 : 2, 0, Math.PI * 2);
+            context.fill();
+        });
+    });
+    context.restore();
+}
+
+// The tween of joint `pIdx` that ends on key `endIdx` starts at the previous key that isn't
+// passed through (wrapping past the first key in a seamless loop)
+function getPathSegment(endIdx, pIdx) {
+    const end = State.frames[endIdx] && getFigurePoints(State.frames[endIdx])[pIdx];
+    if (!end || end.isIgnored) return null;
+    const n = State.frames.length;
+    const lastStep = isSeamlessLoop() ? n - 1 : endIdx;
+    for (let step = 1; step <= lastStep; step++) {
+        const start = getFigurePoints(State.frames[(endIdx - step + n) % n])[pIdx];
+        if (!start.isIgnored) return { start, end };
+    }
+    return null;
+}
+
+// Bezier handles of the primary joint's curved tweens into and out of the current key.
+// `path` on the end key stores them relative to each end: c1 from the start key, c2 from the end key.
+function getPathHandles() {
+    if (State.selectedPointIndex === null || State.trailMode === 'off') return [];
+    const pIdx = State.selectedPointIndex;
+    const handles = [];
+    const addSegment = (endIdx) => {
+        const segment = getPathSegment(endIdx, pIdx);
+        if (!segment || !segment.end.path) return;
+        const path = segment.end.path;
+        handles.push({ endIdx, which: 'c1', anchor: segment.start, x: segment.start.x + path.c1.x, y: segment.start.y + path.c1.y });
+        handles.push({ endIdx, which: 'c2', anchor: segment.end, x: segment.end.x + path.c2.x, y: segment.end.y + path.c2.y });
+    };
+    addSegment(State.currentFrameIndex);
+    const n = State.frames.length;
+    const lastStep = isSeamlessLoop() ? n - 1 : n - 1 - State.currentFrameIndex;
+    for (let step = 1; step <= lastStep; step++) {
+        const i = (State.currentFrameIndex + step) % n;
+        if (!getFigurePoints(State.frames[i])[pIdx].isIgnored) {
+            addSegment(i);
+            break;
+        }
+    }
+    return handles;
+}
+
+function hitTestPathHandle(pos) {
+    return getPathHandles().find(h => Math.hypot(pos.x - h.x, pos.y - h.y) <= 6) || null;
+}
+
+function dragPathHandle(pos) {
+    const drag = State.draggedPathHandle;
+    const segment = getPathSegment(drag.endIdx, State.selectedPointIndex);
+    if (!segment || !segment.end.path) return;
+    const anchor = drag.which === 'c1' ? segment.start : segment.end;
+    segment.end.path[drag.which] = { x: pos.x - anchor.x, y: pos.y - anchor.y };
+}
+
+function drawPathHandles(context) {
+    const handles = getPathHandles();
+    if (handles.length === 0) return;
+    context.save();
+    context.strokeStyle = '#f59e0b';
+    context.fillStyle = '#f59e0b';
+    context.lineWidth = 1;
+    handles.forEach(h => {
+        context.beginPath();
+        context.moveTo(h.anchor.x, h.anchor.y);
+        context.lineTo(h.x, h.y);
+        context.stroke();
+        context.fillRect(h.x - 4, h.y - 4, 8, 8);
+    });
+    context.restore();
+}
+
+// Curves (or straightens) the tween into the current key for every selected joint.
+// New handles sit on the straight line, so the motion only changes once they are dragged.
+function toggleSegmentPath() {
+    if (State.selectedPointIndex === null || State.isPlaying) return;
+    const primary = getPathSegment(State.currentFrameIndex, State.selectedPointIndex);
+    if (!primary) return;
+    const curve = !primary.end.path;
+
+    History.saveState();
+    State.selectedPointIndices.forEach(pIdx => {
+        const segment = getPathSegment(State.currentFrameIndex, pIdx);
+        if (!segment) return;
+        if (!curve) {
+            delete segment.end.path;
+            return;
+        }
+        const dx = segment.end.x - segment.start.x;
+        const dy = segment.end.y - segment.start.y;
+        segment.end.path = { c1: { x: dx / 3, y: dy / 3 }, c2: { x: -dx / 3, y: -dy / 3 } };
+    });
+    updatePointPanel();
+}
+
+// Valid `path` from a file, or undefined
+function normalizePath(path) {
+    if (!path || !path.c1 || !path.c2) return undefined;
+    const c1 = { x: Number(path.c1.x), y: Number(path.c1.y) };
+    const c2 = { x: Number(path.c2.x), y: Number(path.c2.y) };
+    if (![c1.x, c1.y, c2.x, c2.y].every(isFinite)) return undefined;
+    return { c1, c2 };
+}
+
+function evaluatePathBezier(start, end, path, t) {
+    const c1x = start.x + path.c1.x;
+    const c1y = start.y + path.c1.y;
+    const c2x = end.x + path.c2.x;
+    const c2y = end.y + path.c2.y;
+    const u = 1 - t;
+    return {
+        x: u * u * u * start.x + 3 * u * u * t * c1x + 3 * u * t * t * c2x + t * t * t * end.x,
+        y: u * u * u * start.y + 3 * u * u * t * c1y + 3 * u * t * t * c2y + t * t * t * end.y
+    };
+}
+
+// --- Multi-Joint Selection ---
+// Box around the selected joints (only shown for 2+ joints)
+function getSelectionBox() {
+    if (State.selectedPointIndices.length < 2) return null;
+    const points = getSelectedPoints();
+    const pad = CONFIG.selectionRadius;
+    return {
+        x0: Math.min(...points.map(p => p.x)) - pad,
+        y0: Math.min(...points.map(p => p.y)) - pad,
+        x1: Math.max(...points.map(p => p.x)) + pad,
+        y1: Math.max(...points.map(p => p.y)) + pad
+    };
+}
+
+// Rotate/scale pivot: the figure's root (pelvis) unless moved by the user
+function getSelectionPivot() {
+    if (State.selectionPivot) return State.selectionPivot;
+    const root = getEditablePoints()[getRigInfo(getFigureRig()).roots[0]];
+    return { x: root.x, y: root.y };
+}
+
+function getSelectionHandles(box) {
+    return {
+        rotate: { x: (box.x0 + box.x1) / 2, y: box.y0 - 25 },
+        scale: [
+            { x: box.x0, y: box.y0 }, { x: box.x1, y: box.y0 },
+            { x: box.x0, y: box.y1 }, { x: box.x1, y: box.y1 }
+        ],
+        pivot: getSelectionPivot()
+    };
+}
+
+// 'rotate' | 'scale' | 'pivot' (Alt-drag places the pivot anywhere) | null
+function hitTestSelectionHandle(pos, altKey = false) {
+    const box = getSelectionBox();
+    if (!box || State.isPlaying) return null;
+    if (altKey) return 'pivot';
+
+    const handles = getSelectionHandles(box);
+    const near = (h, r) => Math.hypot(pos.x - h.x, pos.y - h.y) <= r;
+    if (near(handles.rotate, 9)) return 'rotate';
+    if (handles.scale.some(h => near(h, 8))) return 'scale';
+    return null;
+}
+
+// Snapshot the selection so every mouse move re-applies the transform from the start
+// (no drift). The whole drag is one undo step (saved on mousedown).
+function startSelectionTransform(mode, pos) {
+    const { childrenMap } = getRigInfo(getFigureRig());
+
+    // Selected joints carry their unselected descendants along, like FK
+    const moving = new Set();
+    const collect = (idx) => {
+        if (moving.has(idx)) return;
+        moving.add(idx);
+        childrenMap[idx].forEach(collect);
+    };
+    State.selectedPointIndices.forEach(collect);
+
+    // Pinned joints carried along only as descendants hold their place (selected ones, or
+    // limbs posed through a selected inner joint, move like a single drag would)
+    const points = getEditablePoints();
+    const rigInfo = getRigInfo(getFigureRig());
+    const selected = State.selectedPointIndices;
+    const pinTargets = points
+        .filter(p => p.isPinned && !selected.includes(p.id))
+        .filter(p => {
+            const chain = rigInfo.ikMap[p.id];
+            return !chain || !chain.slice(1, -1).some(idx => selected.includes(idx));
+        })
+        .map(p => ({ idx: p.id, x: p.x, y: p.y }));
+
+    State.selectionTransform = {
+        mode: mode,
+        start: pos,
+        pivot: { ...getSelectionPivot() },
+        indices: [...moving],
+        startPoints: points.map(p => ({ x: p.x, y: p.y })),
+        pinTargets: pinTargets
+    };
+    if (mode === 'pivot') State.selectionPivot = { x: pos.x, y: pos.y };
+}
+
+function applySelectionTransform(pos, snap = false) {
+    const t = State.selectionTransform;
+    if (t.mode === 'pivot') {
+        State.selectionPivot = { x: pos.x, y: pos.y };
+        return;
+    }
+
+    let angle = 0;
+    let scale = 1;
+    let dx = 0;
+    let dy = 0;
+    if (t.mode === 'move') {
+        dx = pos.x - t.start.x;
+        dy = pos.y - t.start.y;
+    } else if (t.mode === 'rotate') {
+        angle = Math.atan2(pos.y - t.pivot.y, pos.x - t.pivot.x) - Math.atan2(t.start.y - t.pivot.y, t.start.x - t.pivot.x);
+        if (snap) angle = Math.round(angle / (Math.PI / 12)) * (Math.PI / 12); // Shift: 15° steps
+    } else if (t.mode === 'scale') {
+        const startDist = Math.hypot(t.start.x - t.pivot.x, t.start.y - t.pivot.y);
+        if (startDist > 1) scale = Math.max(0.05, Math.hypot(pos.x - t.pivot.x, pos.y - t.pivot.y) / startDist);
+    }
+
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const points = getEditablePoints();
+    t.indices.forEach(idx => {
+        const rx = t.startPoints[idx].x - t.pivot.x;
+        const ry = t.startPoints[idx].y - t.pivot.y;
+        points[idx].x = t.pivot.x + (rx * cos - ry * sin) * scale + dx;
+        points[idx].y = t.pivot.y + (rx * sin + ry * cos) * scale + dy;
+    });
+    enforcePins(points, t.pinTargets, null, getRigInfo(getFigureRig()));
+
+    // A custom pivot travels with the selection
+    if (t.mode === 'move' && State.selectionPivot) {
+        State.selectionPivot = { x: t.pivot.x + dx, y: t.pivot.y + dy };
+    }
+}
+
+// Select the joints inside the marquee: on the selected figure, or else the
+// first figure that has joints inside it
+function finishMarquee() {
+    const m = State.marquee;
+    State.marquee = null;
+
+    const x0 = Math.min(m.x0, m.x1);
+    const x1 = Math.max(m.x0, m.x1);
+    const y0 = Math.min(m.y0, m.y1);
+    const y1 = Math.max(m.y0, m.y1);
+    if (x1 - x0 < 3 && y1 - y0 < 3) {
+        draw(); // Plain click on empty space
+        return;
+    }
+
+    const frame = State.frames[State.currentFrameIndex];
+    const inside = (figIdx) => getFigurePoints(frame, figIdx)
+        .filter(p => p.x >= x0 && p.x <= x1 && p.y >= y0 && p.y <= y1)
+        .map(p => p.id);
+
+    let figureIndex = State.selectedFigureIndex;
+    let ids = inside(figureIndex);
+    if (ids.length === 0 && !m.additive) {
+        figureIndex = State.figures.findIndex((f, figIdx) => inside(figIdx).length > 0);
+        ids = figureIndex === -1 ? [] : inside(figureIndex);
+    }
+    if (ids.length === 0) {
+        draw();
+        return;
+    }
+
+    if (figureIndex !== State.selectedFigureIndex) selectFigure(figureIndex);
+    const indices = m.additive ? [...new Set([...State.selectedPointIndices, ...ids])] : ids;
+    setPointSelection(indices);
+}
+
+// --- Inverse Kinematics Logic ---
+// Capture chain data at drag start: chain = [effector, ..., root] joint ids,
+// lengths[k] = bone from chain[k] to chain[k + 1]
+function createIKDragData(points, chain) {
+    const lengths = [];
+    for (let k = 0; k < chain.length - 1; k++) {
+        const a = points[chain[k]];
+        const b = points[chain[k + 1]];
+        lengths.push(Math.hypot(a.x - b.x, a.y - b.y));
+    }
+
+    const effector = points[chain[0]];
+    const joint = points[chain[1]];
+    const root = points[chain[chain.length - 1]];
+
+    return {
+        chain,
+        lengths,
+        effectorIdx: chain[0],
+        // Side of the root->effector line the first bend sits on (two-bone chains)
+        bendDir: ((joint.x - root.x) * (effector.y - root.y) - (joint.y - root.y) * (effector.x - root.x)) > 0 ? 1 : -1
+    };
+}
+
+// Solve any chain towards the target, then carry the branches hanging off it
+// (e.g. the arms on the neck when the spine bends)
+function solveIKChain(points, ikData, targetX, targetY, childrenMap) {
+    const { chain, lengths, bendDir } = ikData;
+    const before = chain.map(idx => ({ x: points[idx].x, y: points[idx].y }));
+
+    if (chain.length === 3) {
+        // Two bones: exact analytic solution with a stable bend side
+        solveTwoJointIK(points, {
+            effectorIdx: chain[0],
+            jointIdx: chain[1],
+            rootIdx: chain[2],
+            d1: lengths[1],
+            d2: lengths[0],
+            bendDir
+        }, targetX, targetY);
+    } else {
+        solveFABRIK(points, chain, lengths, targetX, targetY);
+    }
+
+    carryChainBranches(points, chain, before, childrenMap);
+}
+
+// FABRIK (Forward And Backward Reaching IK) for chains of any length.
+// Starts from the current pose, so the existing bend is preserved as far as possible.
+function solveFABRIK(points, chain, lengths, targetX, targetY) {
+    const n = chain.length;
+    const root = points[chain[n - 1]];
+    const rootX = root.x;
+    const rootY = root.y;
+    const totalLength = lengths.reduce((sum, l) => sum + l, 0);
+
+    // Working copy (index 0 = effector, n-1 = root)
+    const pos = chain.map(idx => ({ x: points[idx].x, y: points[idx].y }));
+
+    // Place `pos[to]` at `length` from `pos[from]`, along the line towards its current spot
+    const reach = (from, to, length) => {
+        const dx = pos[to].x - pos[from].x;
+        const dy = pos[to].y - pos[from].y;
+        const d = Math.hypot(dx, dy) || 0.0001;
+        pos[to].x = pos[from].x + dx / d * length;
+        pos[to].y = pos[from].y + dy / d * length;
+    };
+
+    const distTarget = Math.hypot(targetX - rootX, targetY - rootY);
+
+    if (distTarget >= totalLength) {
+        // Out of reach: stretch the chain straight towards the target
+        for (let k = n - 2; k >= 0; k--) {
+            pos[k].x = targetX;
+            pos[k].y = targetY;
+            reach(k + 1, k, lengths[k]);
+        }
+    } else {
+        for (let iter = 0; iter < 20; iter++) {
+            // Backward pass: effector snaps to target
+            pos[0].x = targetX;
+            pos[0].y = targetY;
+            for (let k = 1; k < n; k++) reach(k - 1, k, lengths[k - 1]);
+
+            // Forward pass: root snaps back to its anchor
+            pos[n - 1].x = rootX;
+            pos[n - 1].y = rootY;
+            for (let k = n - 2; k >= 0; k--) reach(k + 1, k, lengths[k]);
+
+            if (Math.hypot(pos[0].x - targetX, pos[0].y - targetY) < 0.1) break;
+        }
+    }
+
+    // Apply (root stays put)
+    for (let k = 0; k < n - 1; k++) {
+        points[chain[k]].x = pos[k].x;
+        points[chain[k]].y = pos[k].y;
+    }
+}
+
+// Move every branch that hangs off a chain joint rigidly with that joint:
+// translated with it and rotated by the change of the bone leading into it
+function carryChainBranches(points, chain, before, childrenMap) {
+    for (let k = chain.length - 2; k >= 0; k--) {
+        const idx = chain[k];
+        const parentIdx = chain[k + 1];
+        const oldSelf = before[k];
+        const oldParent = before[k + 1];
+        const newSelf = points[idx];
+        const newParent = points[parentIdx];
+
+        const angle = Math.atan2(newSelf.y - newParent.y, newSelf.x - newParent.x) -
+            Math.atan2(oldSelf.y - oldParent.y, oldSelf.x - oldParent.x);
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+
+        const stack = childrenMap[idx].filter(c => !chain.includes(c));
+        while (stack.length > 0) {
+            const c = stack.pop();
+            const p = points[c];
+            const dx = p.x - oldSelf.x;
+            const dy = p.y - oldSelf.y;
+            p.x = newSelf.x + dx * cos - dy * sin;
+            p.y = newSelf.y + dx * sin + dy * cos;
+            stack.push(...childrenMap[c]);
+        }
+    }
+}
+
+// --- Pinning ---
+// Pinned joints (`isPinned` on a frame's point) hold their world position:
+// after any drag, limbs whose pinned end was dragged along are re-solved with IK.
+function enforcePins(points, pinTargets, draggedIdx, rigInfo) {
+    pinTargets.forEach(pin => {
+        if (pin.idx === draggedIdx) return; // Dragging a pinned joint moves the pin
+        const p = points[pin.idx];
+        if (Math.abs(p.x - pin.x) < 0.001 && Math.abs(p.y - pin.y) < 0.001) return;
+
+        const chain = rigInfo.ikMap[pin.idx];
+        // Deliberately posing inside the pinned limb wins over the pin
+        if (chain && chain.indexOf(draggedIdx) > 0 && chain.indexOf(draggedIdx) < chain.length - 1) return;
+
+        if (chain) {
+            solveIKChain(points, createIKDragData(points, chain), pin.x, pin.y, rigInfo.childrenMap);
+        } else {
+            p.x = pin.x;
+            p.y = pin.y;
+        }
+    });
+}
+
+// Copy the selected joint's pin state on the current frame to a range of frames.
+// Pinned frames get the same world position, reached by re-solving the limb.
+function applyPinToRange(jointIdx, fromIndex, toIndex) {
+    const start = Math.max(0, Math.min(fromIndex, toIndex));
+    const end = Math.min(State.frames.length - 1, Math.max(fromIndex, toIndex));
+    const source = getEditablePoints()[jointIdx];
+    const rigInfo = getRigInfo(getFigureRig());
+    const chain = rigInfo.ikMap[jointIdx];
+
+    History.saveState();
+
+    for (let i = start; i <= end; i++) {
+        if (i === State.currentFrameIndex) continue;
+        const points = getFigurePoints(State.frames[i]);
+        const p = points[jointIdx];
+
+        if (source.isPinned) {
+            if (chain) {
+                solveIKChain(points, createIKDragData(points, chain), source.x, source.y, rigInfo.childrenMap);
+            }
+            p.x = source.x;
+            p.y = source.y;
+            p.isPinned = true;
+        } else {
+            delete p.isPinned;
+        }
+    }
+
+    renderTimeline();
+    draw();
+}
+
+function setPointPinned(jointIdx, pinned) {
+    History.saveState();
+    const point = getEditablePoints()[jointIdx];
+    if (pinned) point.isPinned = true;
+    else delete point.isPinned;
+    draw();
+}
+
+// Flip the bend of a chain (elbow/knee to the other side) by mirroring its
+// middle joints across the root->effector line. During a drag the two-bone
+// solver's bend side is flipped as well so the next solve keeps it.
+function flipIKBend() {
+    if (State.isPlaying || State.selectedPointIndex === null) return;
+
+    const rigInfo = getRigInfo(getFigureRig());
+    const chain = rigInfo.ikMap[State.selectedPointIndex];
+    if (!chain) return;
+
+    const isDragging = State.ikDragData && State.ikDragData.effectorIdx === State.selectedPointIndex;
+    if (!isDragging) History.saveState(); // Drags already saved on mousedown
+
+    const points = getEditablePoints();
+    const before = chain.map(idx => ({ x: points[idx].x, y: points[idx].y }));
+    const root = points[chain[chain.length - 1]];
+    const effector = points[chain[0]];
+    const lx = effector.x - root.x;
+    const ly = effector.y - root.y;
+    const lenSq = lx * lx + ly * ly;
+    if (lenSq < 0.0001) return;
+
+    for (let k = 1; k < chain.length - 1; k++) {
+        const p = points[chain[k]];
+        const t = ((p.x - root.x) * lx + (p.y - root.y) * ly) / lenSq;
+        const projX = root.x + lx * t;
+        const projY = root.y + ly * t;
+        p.x = 2 * projX - p.x;
+        p.y = 2 * projY - p.y;
+    }
+    carryChainBranches(points, chain, before, rigInfo.childrenMap);
+
+    if (isDragging) State.ikDragData.bendDir *= -1;
+    if (!isDragging) renderTimeline();
+    draw();
+}
+
+function solveTwoJointIK(points, ikData, targetX, targetY) {
+    const { rootIdx, jointIdx, effectorIdx, d1, d2, bendDir } = ikData;
+    
+    const root = points[rootIdx];
+    const joint = points[jointIdx];
+    const effector = points[effectorIdx];
+
+    // Distance from Root to Target
+    const distTarget = Math.hypot(targetX - root.x, targetY - root.y);
+    
+    // Clamp Target Distance (Cannot stretch beyond arm length)
+    // Use epsilon to avoid NaN
+    const maxDist = (d1 + d2) * 0.9999; 
+    let validDist = distTarget;
+    
+    if (distTarget > maxDist) {
+        validDist = maxDist;
+    } else if (distTarget < Math.abs(d1 - d2) + 0.001) {
+        // Don't let it fold onto itself completely (singularity)
+        validDist = Math.abs(d1 - d2) + 0.001;
+    }
+    
+    // Law of Cosines
+    // d2^2 = d1^2 + validDist^2 - 2*d1*validDist * cos(Alpha)
+    const cosAlpha = (d1*d1 + validDist*validDist - d2*d2) / (2 * d1 * validDist);
+    // Clamp safely
+    const angleAlpha = Math.acos(Math.max(-1, Math.min(1, cosAlpha))); 
+    
+    // Angle of the Target Vector relative to X-axis
+    const angleToTarget = Math.atan2(targetY - root.y, targetX - root.x);
+    
+    // Use stored bend preference (fixed at drag start, flipped on demand via `flipIKBend`)
+    
+    const angleRoot = angleToTarget + (angleAlpha * bendDir);
+    
+    const newJointX = root.x + Math.cos(angleRoot) * d1;
+    const newJointY = root.y + Math.sin(angleRoot) * d1;
+    
+    // Joint to Target
+    const angleJointToTarget = Math.atan2(targetY - newJointY, targetX - newJointX);
+    const newEffectorX = newJointX + Math.cos(angleJointToTarget) * d2;
+    const newEffectorY = newJointY + Math.sin(angleJointToTarget) * d2;
+    
+    // Apply
+    joint.x = newJointX;
+    joint.y = newJointY;
+    
+    effector.x = newEffectorX;
+    effector.y = newEffectorY;
+}
+
+// --- Drawing ---
+function draw() {
+    ctx.clearRect(0, 0, canvas.width, canvas.height); // Use clearRect
+
+    // 1. Draw Background (Rotoscoping)
+    if (State.background && State.background.media) {
+        const media = State.background.media;
         
-        // Apply Scribble/Jitter
-        // We calculate 'rendered' positions
-        let sx = start.x * scale + offsetX;
-        let sy = start.y * scale + offsetY;
-        let ex = end.x * scale + offsetX;
-        let ey = end.y * scale + offsetY;
+        // Sync Video Time
+        if (State.background.type === 'video') {
+            let targetTime = 0;
+            if (State.isPlaying || State.isPreviewingTime) {
+                targetTime = State.playCurrentGlobalTime;
+            } else {
+                // Determine time based on current frame start
+                targetTime = getFrameStartTime(State.currentFrameIndex);
+            }
+            
+            if (Math.abs(media.currentTime - targetTime) > 0.1) {
+                media.currentTime = targetTime;
+            }
+        }
+
+        drawBackgroundMedia(ctx);
+    }
+    
+    if (State.isPlaying || State.isPreviewingTime) {
+        // ... (Playback Render, or a paused/scrubbed in-between) ...
+        const pose = getCurrentInterpolatedPose();
+        pose.figures.forEach((figPose, figIdx) => {
+            const figure = State.figures[figIdx];
+            drawStickman(ctx, figPose.points, figure.color, 1, 1, 0, 0, State.isPlaying, null, figure.rig, figure.style);
+        });
+        pose.props.forEach((transform, propIdx) => drawProp(ctx, State.props[propIdx], transform, 1));
+        
+        if (State.playCurrentGlobalTime - State.playLastScuffTime > 0.15) {
+             // Audio Removed
+        }
+
+    } else {
+        // ... (Edit Mode Render) ...
+        
+        const currentFrame = State.frames[State.currentFrameIndex];
+
+        // 1. Onion Skin (per figure, in the figure colour or the past/future tints)
+        if (State.isOnionSkinEnabled) drawOnionSkins(ctx);
+        
+        // 2. Current Frame (every figure, selection only shown on the active one)
+        State.figures.forEach((figure, figIdx) => {
+            const isActive = figIdx === State.selectedFigureIndex;
+            drawStickman(ctx, getFigurePoints(currentFrame, figIdx), figure.color, 1, 1, 0, 0, false, isActive ? State.selectedPointIndex : null, figure.rig, figure.style);
+        });
+        getFramePropTransforms(currentFrame).forEach((transform, propIdx) => {
+            drawProp(ctx, State.props[propIdx], transform, 1);
+            if (propIdx === State.selectedPropIndex) {
+                drawPropSelection(ctx, State.props[propIdx], transform, getPropAnchor(currentFrame.props[propIdx].parent, getFrameFigurePoints(currentFrame)));
+            }
+        });
+
+        // 3. Selection & Motion Trails ('all' trails show without a selection too)
+        if (State.selectedPointIndex === null && State.trailMode === 'all') drawMotionTrails(ctx);
+        if (State.selectedPointIndex !== null) {
+            const currentPoint = getEditablePoints()[State.selectedPointIndex];
+            
+            // Motion Trails (sampled) and the curved path handles around this key
+            drawMotionTrails(ctx);
+            drawPathHandles(ctx);
+
+            // Highlight Selected Point
+            ctx.beginPath();
+            ctx.strokeStyle = '#f44336'; 
+            ctx.lineWidth = 2;
+            ctx.arc(currentPoint.x, currentPoint.y, CONFIG.selectionRadius + 2, 0, Math.PI * 2);
+            ctx.stroke();
+
+            // Rest of a multi-selection (thinner rings) and its transform handles
+            const points = getEditablePoints();
+            ctx.lineWidth = 1;
+            State.selectedPointIndices.forEach(idx => {
+                if (idx === State.selectedPointIndex) return;
+                ctx.beginPath();
+                ctx.arc(points[idx].x, points[idx].y, CONFIG.selectionRadius, 0, Math.PI * 2);
+                ctx.stroke();
+            });
+            drawSelectionHandles(ctx);
+        }
+
+        // 4. Marquee
+        if (State.marquee) {
+            const m = State.marquee;
+            ctx.save();
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.7)';
+            ctx.fillStyle = 'rgba(59, 130, 246, 0.1)';
+            ctx.setLineDash([4, 4]);
+            ctx.fillRect(Math.min(m.x0, m.x1), Math.min(m.y0, m.y1), Math.abs(m.x1 - m.x0), Math.abs(m.y1 - m.y0));
+            ctx.strokeRect(Math.min(m.x0, m.x1), Math.min(m.y0, m.y1), Math.abs(m.x1 - m.x0), Math.abs(m.y1 - m.y0));
+            ctx.restore();
+        }
+
+        // 5. Ragdoll ground line
+        if (State.ragdollGround !== null && isFinite(State.ragdollGround)) {
+            ctx.save();
+            ctx.strokeStyle = 'rgba(250, 204, 21, 0.8)';
+            ctx.setLineDash([8, 6]);
+            ctx.beginPath();
+            ctx.moveTo(0, State.ragdollGround);
+            ctx.lineTo(canvas.width, State.ragdollGround);
+            ctx.stroke();
+            ctx.restore();
+        }
+    }
+}
+
+// Rotoscope image/video, centred on the canvas with the background offset and scale
+function drawBackgroundMedia(context) {
+    const media = State.background.media;
+    context.save();
+    context.globalAlpha = State.background.opacity;
+
+    // Apply Transform
+    // 1. Translate to center + offset
+    context.translate(canvas.width/2 + State.background.x, canvas.height/2 + State.background.y);
+    // 2. Scale
+    context.scale(State.background.scale, State.background.scale);
+    
+    // Calculate centered draw pos for the media itself
+    let mWidth = media.videoWidth || media.width;
+    let mHeight = media.videoHeight || media.height;
+    
+    if (mWidth && mHeight) {
+         context.drawImage(media, -mWidth/2, -mHeight/2, mWidth, mHeight);
+    }
+    
+    context.restore();
+}
+
+// Bounding box, rotate/scale handles and pivot of a multi-joint selection
+function drawSelectionHandles(context) {
+    const box = getSelectionBox();
+    if (!box) return;
+    const handles = getSelectionHandles(box);
+
+    context.save();
+    context.strokeStyle = '#f44336';
+    context.fillStyle = '#f44336';
+    context.lineWidth = 1;
+
+    context.setLineDash([4, 4]);
+    context.strokeRect(box.x0, box.y0, box.x1 - box.x0, box.y1 - box.y0);
+    context.setLineDash([]);
+
+    // Rotate: knob on a stem above the box
+    context.beginPath();
+    context.moveTo(handles.rotate.x, box.y0);
+    context.lineTo(handles.rotate.x, handles.rotate.y);
+    context.stroke();
+    context.beginPath();
+    context.arc(handles.rotate.x, handles.rotate.y, 6, 0, Math.PI * 2);
+    context.fill();
+
+    // Scale: corner squares
+    handles.scale.forEach(h => context.fillRect(h.x - 5, h.y - 5, 10, 10));
+
+    // Pivot: crosshair
+    const pivot = handles.pivot;
+    context.strokeStyle = '#ffffff';
+    context.beginPath();
+    context.arc(pivot.x, pivot.y, 7, 0, Math.PI * 2);
+    context.moveTo(pivot.x - 11, pivot.y);
+    context.lineTo(pivot.x + 11, pivot.y);
+    context.moveTo(pivot.x, pivot.y - 11);
+    context.lineTo(pivot.x, pivot.y + 11);
+    context.stroke();
+    context.restore();
+}
+
+// Updated drawStickman with Jitter/Hand-Drawn Effect
+// `style` (see DEFAULT_STYLE) controls the head circle, per-bone width/colour and
+// whether junction dots appear in final renders (playback/export).
+function drawStickman(context, points, color, opacity, scale = 1, offsetX = 0, offsetY = 0, useJitter = false, selectedIndex = null, rig = DEFAULT_RIG, style = DEFAULT_STYLE, isFinalRender = State.isPlaying) {
+    context.globalAlpha = opacity;
+    context.lineCap = 'round';
+    context.lineJoin = 'round';
+
+    const headIdx = style.head && style.head.radius > 0 && points[style.head.jointId] ? style.head.jointId : null;
+    const headRadius = headIdx !== null ? style.head.radius * scale : 0;
+
+    // Head position (jittered once so the circle and the bones agree)
+    let head = null;
+    if (headIdx !== null) {
+        head = {
+            x: points[headIdx].x * scale + offsetX,
+            y: points[headIdx].y * scale + offsetY
+        };
+        if (useJitter) {
+            head.x += (Math.random() - 0.5) * 3;
+            head.y += (Math.random() - 0.5) * 3;
+        }
+    }
+    
+    getRigInfo(rig).connections.forEach(([startIndex, endIndex]) => {
+        let start = points[startIndex];
+        let end = points[endIndex];
+        const boneStyle = getBoneStyle(style, endIndex);
+        
+        // Apply Scribble/Jitter
+        // We calculate 'rendered' positions
+        let sx = start.x * scale + offsetX;
+        let sy = start.y * scale + offsetY;
+        let ex = end.x * scale + offsetX;
+        let ey = end.y * scale + offsetY;
+
+        if (useJitter) {
+            sx += (Math.random() - 0.5) * 3;
+            sy += (Math.random() - 0.5) * 3;
+            ex += (Math.random() - 0.5) * 3;
+            ey += (Math.random() - 0.5) * 3;
+        }
+
+        // Bones touching the head stop at the circle's edge
+        if (head && (startIndex === headIdx || endIndex === headIdx)) {
+            const onStart = startIndex === headIdx;
+            if (onStart) { sx = head.x; sy = head.y; } else { ex = head.x; ey = head.y; }
+            const len = Math.hypot(ex - sx, ey - sy);
+            if (len <= headRadius) return;
+            const k = headRadius / len;
+            if (onStart) {
+                sx += (ex - sx) * k;
+                sy += (ey - sy) * k;
+            } else {
+                ex -= (ex - sx) * k;
+                ey -= (ey - sy) * k;
+            }
+        }
+
+        // Vary line width slightly for hand-drawn feel
+        const baseWidth = scale === 1 ? boneStyle.width : Math.max(1.5, boneStyle.width * scale);
+        context.lineWidth = useJitter ? baseWidth + (Math.random() - 0.5) : baseWidth;
+        context.strokeStyle = boneStyle.color || color;
+
+        context.beginPath();
+        context.moveTo(sx, sy);
+        // Add a slight curve control point for "imperfect" lines? 
+        // For now, straight lines with endpoint jitter is effective enough for "Stickman" style.
+        context.lineTo(ex, ey);
+        context.stroke();
+    });
+
+    // Head Circle (drawn in the colour of the bone leading into it)
+    if (head) {
+        const headStyle = getBoneStyle(style, headIdx);
+        context.beginPath();
+        context.arc(head.x, head.y, headRadius, 0, Math.PI * 2);
+        if (style.head.fill) {
+            context.fillStyle = headStyle.color || color;
+            context.fill();
+        } else {
+            const baseWidth = scale === 1 ? headStyle.width : Math.max(1.5, headStyle.width * scale);
+            context.lineWidth = useJitter ? baseWidth + (Math.random() - 0.5) : baseWidth;
+            context.strokeStyle = headStyle.color || color;
+            context.stroke();
+        }
+    }
+
+    // Junction dots are always shown while editing, optional in final renders
+    if (scale === 1 && (!isFinalRender || style.showJoints)) { 
+        points.forEach(p => {
+            context.beginPath();
+            
+            // Visual feedback for interaction
+            const isSelected = selectedIndex === p.id && !isFinalRender;
+            
+            // Determine Color
+            if (isSelected) context.fillStyle = '#ff5252'; 
+            else context.fillStyle = CONFIG.junctionColor;
+            
+            let px = p.x;
+            let py = p.y;
+            
+            if (useJitter) {
+                px += (Math.random() - 0.5) * 2;
+                py += (Math.random() - 0.5) * 2;
+            }
+
+            context.arc(px, py, CONFIG.pointRadius, 0, Math.PI * 2);
+            
+            // Passthrough Visualization (Hollow if ignored)
+            // Note: In playback 'points' is the interpolated result so it doesn't have 'isIgnored'
+            // We check this mainly for Edit mode where we pass raw frame points.
+            if (p.isIgnored && !isFinalRender) {
+                 context.lineWidth = 2;
+                 context.strokeStyle = context.fillStyle;
+                 context.fillStyle = 'rgba(0,0,0,0.5)'; // Transparent center
+                 context.fill();
+                 context.stroke();
+            } else {
+                 context.fill();
+            }
+
+            // Pinned Visualization (Amber square anchor around the joint)
+            if (p.isPinned && !isFinalRender) {
+                 const r = CONFIG.pointRadius + 4;
+                 context.save();
+                 context.lineWidth = 2;
+                 context.strokeStyle = CONFIG.pinColor;
+                 context.strokeRect(px - r, py - r, r * 2, r * 2);
+                 context.beginPath();
+                 context.moveTo(px - r, py + r + 3);
+                 context.lineTo(px + r, py + r + 3);
+                 context.stroke();
+                 context.restore();
+            }
+        });
+    }
+
+    context.globalAlpha = 1.0;
+}
+
+// Draw a prop at its world transform (scale/offset work as in drawStickman)
+function drawProp(context, prop, transform, opacity, scale = 1, offsetX = 0, offsetY = 0) {
+    const s = prop.size;
+    context.save();
+    context.globalAlpha = opacity;
+    context.translate(transform.x * scale + offsetX, transform.y * scale + offsetY);
+    context.rotate(transform.rotation * Math.PI / 180);
+    context.scale(scale, scale);
+    context.fillStyle = prop.color;
+    context.strokeStyle = prop.color;
+    context.lineCap = 'round';
+    context.lineJoin = 'round';
+
+    switch (prop.shape) {
+        case 'sword':
+            // Grip at the origin, guard across it, blade along +x
+            context.lineWidth = 3;
+            context.beginPath();
+            context.moveTo(-s * 0.15, 0);
+            context.lineTo(s * 0.85, 0);
+            context.moveTo(0, -s * 0.12);
+            context.lineTo(0, s * 0.12);
+            context.stroke();
+            break;
+        case 'hat':
+            // Brim across the origin, crown along +x
+            context.fillRect(-s * 0.08, -s / 2, s * 0.12, s);
+            context.fillRect(0, -s * 0.3, s * 0.55, s * 0.6);
+            break;
+        case 'phone':
+            context.fillRect(-s / 2, -s * 0.3, s, s * 0.6);
+            context.fillStyle = 'rgba(148, 197, 255, 0.6)'; // Screen
+            context.fillRect(-s * 0.4, -s * 0.22, s * 0.8, s * 0.44);
+            break;
+        case 'image': {
+            const img = getPropImage(prop.image);
+            const b = getPropBounds(prop);
+            if (img && img.complete && img.naturalWidth > 0) {
+                context.drawImage(img, b.x0, b.y0, b.x1 - b.x0, b.y1 - b.y0);
+            } else {
+                // Placeholder until the image has decoded (or if it is missing)
+                context.lineWidth = 1;
+                context.setLineDash([4, 4]);
+                context.strokeRect(b.x0, b.y0, b.x1 - b.x0, b.y1 - b.y0);
+            }
+            break;
+        }
+        default: // ball
+            context.beginPath();
+            context.arc(0, 0, s / 2, 0, Math.PI * 2);
+            context.fill();
+    }
+
+    context.restore();
+}
+
+// Outline the selected prop and link it to the joint it hangs on
+function drawPropSelection(context, prop, transform, anchor) {
+    context.save();
+    context.strokeStyle = '#f44336';
+    context.lineWidth = 1;
+    context.setLineDash([4, 4]);
+
+    if (anchor) {
+        context.beginPath();
+        context.moveTo(anchor.x, anchor.y);
+        context.lineTo(transform.x, transform.y);
+        context.stroke();
+    }
+
+    const b = getPropBounds(prop);
+    context.translate(transform.x, transform.y);
+    context.rotate(transform.rotation * Math.PI / 180);
+    context.strokeRect(b.x0 - 4, b.y0 - 4, b.x1 - b.x0 + 8, b.y1 - b.y0 + 8);
+    context.restore();
+}
+
+// --- Timeline & Frames ---
+function renderTimeline() {
+    timelineTrack.innerHTML = '';
+    const selectedFrames = getSelectedFrameIndices();
+    if (btnReverseFrames) btnReverseFrames.disabled = !isFrameSelectionContiguous();
+    
+    State.frames.forEach((frame, index) => {
+        // 1. Frame Unit Container
+        const frameUnit = document.createElement('div');
+        frameUnit.className = 'frame-unit';
+
+        // 2. Frame Card
+        const card = document.createElement('div');
+        card.className = `frame-card ${index === State.currentFrameIndex ? 'active' : ''} ${selectedFrames.length > 1 && selectedFrames.includes(index) ? 'selected' : ''}`;
+        card.onclick = (e) => handleFrameCardClick(e, index);
+
+        // Drag to reorder: dropping on a card's left/right half inserts before/after it
+        card.draggable = true;
+        card.ondragstart = (e) => {
+            if (State.isPlaying) {
+                e.preventDefault();
+                return;
+            }
+            if (!getSelectedFrameIndices().includes(index)) selectFrame(index);
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', String(index));
+        };
+        const getDropIndex = (e) => {
+            const rect = card.getBoundingClientRect();
+            return e.clientX < rect.left + rect.width / 2 ? index : index + 1;
+        };
+        card.ondragover = (e) => {
+            e.preventDefault();
+            const before = getDropIndex(e) === index;
+            card.classList.toggle('drop-before', before);
+            card.classList.toggle('drop-after', !before);
+        };
+        card.ondragleave = () => card.classList.remove('drop-before', 'drop-after');
+        card.ondrop = (e) => {
+            e.preventDefault();
+            card.classList.remove('drop-before', 'drop-after');
+            moveFrames(getDropIndex(e));
+        };
+
+        // Thumbnail
+        const thumbCanvas = document.createElement('canvas');
+        thumbCanvas.width = 60;
+        thumbCanvas.height = 80;
+        const thumbCtx = thumbCanvas.getContext('2d');
+        // Simple scale down: 800x600 -> 60x45 roughly (fit in 60x80)
+        // Scale factor: 60/800 = 0.075
+        State.figures.forEach((figure, figIdx) => {
+            drawStickman(thumbCtx, getFigurePoints(frame, figIdx), figure.color, 1, 0.075, 0, 10, false, null, figure.rig, figure.style);
+        });
+        getFramePropTransforms(frame).forEach((transform, propIdx) => {
+            drawProp(thumbCtx, State.props[propIdx], transform, 1, 0.075, 0, 10);
+        });
+
+        const num = document.createElement('div');
+        num.className = 'frame-num';
+        num.textContent = index + 1;
+
+        card.appendChild(thumbCanvas);
+        card.appendChild(num);
+        
+        // Delete Button (if > 1 frame)
+        if (State.frames.length > 1) {
+            const delBtn = document.createElement('div');
+            delBtn.className = 'delete-frame';
+            delBtn.innerHTML = '&times;';
+            delBtn.title = "Delete Frame";
+            delBtn.onclick = (e) => {
+                e.stopPropagation();
+                deleteFrame(index);
+            };
+            frameUnit.appendChild(delBtn);
+        }
+
+        frameUnit.appendChild(card);
+        timelineTrack.appendChild(frameUnit);
+
+        // 3. Interpolator (if not last frame; a seamless loop's last one leads back to frame 1)
+        if (index < State.frames.length - 1 || isSeamlessLoop()) {
+            const interp = document.createElement('div');
+            interp.className = 'interpolator';
+
+            // Typed duration (any length), or the slider for quick 0.1-3s changes
+            const tag = document.createElement('input');
+            tag.type = 'number';
+            tag.className = 'duration-tag';
+            tag.min = String(CONFIG.minFrameDuration);
+            tag.step = '0.01';
+            tag.value = formatDuration(frame.duration);
+            tag.title = 'Transition Time (seconds)';
+            tag.onclick = (e) => e.stopPropagation();
+            tag.onchange = (e) => setFrameDuration(index, parseFloat(e.target.value));
+
+            const range = document.createElement('input');
+            range.type = 'range';
+            range.min = '0.1';
+            range.max = '3.0';
+            range.step = '0.1';
+            range.value = frame.duration;
+            range.title = `Access Transition Time: ${formatDuration(frame.duration)}s`;
+            range.onmousedown = () => History.saveState(); // Save before slide
+            range.oninput = (e) => {
+                const val = parseFloat(e.target.value);
+                frame.duration = val;
+                tag.value = val;
+                renderRuler();
+            };
+
+            // Segment interpolation: straight lines or arcs around the parent joints
+            const isArc = frame.interpolation === 'arc';
+            const mode = document.createElement('button');
+            mode.className = `interp-mode ${isArc ? 'arc' : ''}`;
+            mode.textContent = isArc ? '⌒ Arc' : '— Linear';
+            mode.title = 'Interpolation of this segment (joints can override it in the properties bar)';
+            mode.onclick = (e) => {
+                e.stopPropagation();
+                setSegmentInterpolation(index, isArc ? 'linear' : 'arc');
+            };
+
+            interp.appendChild(tag);
+            interp.appendChild(range);
+            interp.appendChild(mode);
+            timelineTrack.appendChild(interp);
+        }
+    });
+    
+    // Update Global Delete Button Visibility
+    updateUIControls();
+
+    // 4. Add Frame Placeholder at the end
+    const addBtn = document.createElement('div');
+    addBtn.className = 'add-frame-div';
+    addBtn.innerHTML = '+';
+    addBtn.onclick = addNewFrame;
+    timelineTrack.appendChild(addBtn);
+
+    // Edits and undo can shift key times; keep the playhead on the current key
+    if (!State.isPreviewingTime && !State.isPlaying) {
+        State.playheadTime = getFrameStartTime(State.currentFrameIndex);
+    }
+    renderRuler();
+}
+
+function updateUIControls() {
+    if (State.frames.length > 1) {
+        btnDeleteFrame.style.display = 'inline-flex';
+    } else {
+        btnDeleteFrame.style.display = 'none';
+    }
+}
+
+// Interpolation of the tweens leaving a frame ('linear' is the default and isn't stored)
+function setSegmentInterpolation(index, mode) {
+    History.saveState();
+    const frame = State.frames[index];
+    if (mode === 'arc') frame.interpolation = 'arc';
+    else delete frame.interpolation;
+    renderTimeline();
+    draw();
+}
+
+function selectFrame(index) {
+    if (State.isPlaying) return;
+    State.currentFrameIndex = index;
+    State.selectedFrameIndices = [index];
+    State.isPreviewingTime = false;
+    State.playheadTime = getFrameStartTime(index);
+    
+    // Persist selection if strictly valid, otherwise deselect
+    if (State.selectedPointIndex !== null) {
+        updatePointPanel(); // Refresh UI for new frame data
+    } else {
+        deselectPoint();
+    }
+    
+    frameNumDisplay.textContent = index + 1;
+    renderTimeline(); // Refresh to update active class
+    draw();
+}
+
+function addNewFrame() {
+    History.saveState();
+    const currentFigures = State.frames[State.currentFrameIndex].figures;
+    const newFigures = JSON.parse(JSON.stringify(currentFigures));
+    const newProps = JSON.parse(JSON.stringify(State.frames[State.currentFrameIndex].props));
+    
+    const newFrame = createFrame(Date.now(), 0.5, newFigures, newProps);
+    if (State.frames[State.currentFrameIndex].interpolation) {
+        newFrame.interpolation = State.frames[State.currentFrameIndex].interpolation;
+    }
+
+    State.frames.splice(State.currentFrameIndex + 1, 0, newFrame);
+    State.currentFrameIndex++;
+    deselectPoint();
+    renderTimeline();
+    draw();
+}
+
+function deleteFrame(index) {
+    if (State.frames.length <= 1) return; // Prevention
+    
+    History.saveState();
+    State.frames.splice(index, 1);
+    if (State.currentFrameIndex >= State.frames.length) {
+        State.currentFrameIndex = State.frames.length - 1;
+    }
+    deselectPoint();
+    renderTimeline();
+    draw();
+}
+
+// --- Frame Clipboard & Range Operations ---
+// Frame selection for range operations (always contains `currentFrameIndex`)
+function getSelectedFrameIndices() {
+    const valid = State.selectedFrameIndices.filter(i => i >= 0 && i < State.frames.length);
+    if (!valid.includes(State.currentFrameIndex)) valid.push(State.currentFrameIndex);
+    return valid.sort((a, b) => a - b);
+}
+
+// Reverse only works on an unbroken run of frames (the gaps' timing has nowhere to go)
+function isFrameSelectionContiguous() {
+    const selected = getSelectedFrameIndices();
+    return selected[selected.length - 1] - selected[0] === selected.length - 1;
+}
+
+// Shift-click extends a range from the current frame, Ctrl/Cmd-click toggles a card
+function handleFrameCardClick(e, index) {
+    if (State.isPlaying) return;
+    if (e.shiftKey) {
+        const from = Math.min(State.currentFrameIndex, index);
+        const to = Math.max(State.currentFrameIndex, index);
+        State.selectedFrameIndices = [];
+        for (let i = from; i <= to; i++) State.selectedFrameIndices.push(i);
+        renderTimeline();
+    } else if (e.ctrlKey || e.metaKey) {
+        const selected = getSelectedFrameIndices();
+        if (selected.includes(index)) {
+            if (selected.length === 1) return;
+            State.selectedFrameIndices = selected.filter(i => i !== index);
+            if (index === State.currentFrameIndex) {
+                selectFrameRange(State.selectedFrameIndices);
+                return;
+            }
+        } else {
+            State.selectedFrameIndices = [...selected, index];
+        }
+        renderTimeline();
+    } else {
+        selectFrame(index);
+    }
+}
+
+// Makes the first of `indices` current and keeps all of them selected
+function selectFrameRange(indices) {
+    selectFrame(indices[0]);
+    State.selectedFrameIndices = [...indices];
+    renderTimeline();
+}
+
+// Tween-into-key data lives on the later key: point easing/interpolation and prop key easing
+
+function getKeyTweenAttributes(frame) {
+    return {
+        points: frame.figures.map(fig => fig.points.map(p => ({ easing: p.easing, interpolation: p.interpolation, path: p.path }))),
+        props: frame.props.map(k => k.easing)
+    };
+}
+
+function setKeyTweenAttributes(frame, attrs, reverse) {
+    const setAttr = (target, key, value) => {
+        if (value) target[key] = value;
+        else delete target[key];
+    };
+    frame.figures.forEach((fig, figIdx) => {
+        fig.points.forEach((p, pIdx) => {
+            const src = attrs.points[figIdx][pIdx];
+            setAttr(p, 'easing', reverse ? reverseEasing(src.easing) : src.easing);
+            setAttr(p, 'interpolation', src.interpolation);
+            // A reversed curve swaps its handles: each stays with the key it was drawn from
+            setAttr(p, 'path', src.path && reverse ? { c1: src.path.c2, c2: src.path.c1 } : src.path);
+        });
+    });
+    frame.props.forEach((k, propIdx) => {
+        const easing = attrs.props[propIdx];
+        setAttr(k, 'easing', reverse ? reverseEasing(easing) : easing);
+    });
+}
+
+function serializeFrameClipboard(indices) {
+    return {
+        type: 'stickmotion-frames',
+        version: 1,
+        figures: State.figures.map(fig => ({ id: fig.id, name: fig.name, numPoints: fig.rig.joints.length })),
+        props: State.props.map(prop => ({ id: prop.id, name: prop.name })),
+        frames: JSON.parse(JSON.stringify(indices.map(i => State.frames[i])))
+    };
+}
+
+// Rebuilds clipboard frames for this scene. Figures and props are matched by id, then by position;
+// anything the clipboard doesn't describe (or describes with another rig size) keeps the pose of `baseFrame`.
+function adaptClipboardFrames(data, baseFrame) {
+    const clipFigures = Array.isArray(data.figures) ? data.figures : [];
+    const clipProps = Array.isArray(data.props) ? data.props : [];
+    const figureSources = State.figures.map((figure, figIdx) => {
+        const numPoints = figure.rig.joints.length;
+        let srcIdx = clipFigures.findIndex(fig => Number(fig.id) === figure.id);
+        if (srcIdx === -1 || Number(clipFigures[srcIdx].numPoints) !== numPoints) {
+            srcIdx = clipFigures[figIdx] && Number(clipFigures[figIdx].numPoints) === numPoints ? figIdx : -1;
+        }
+        return srcIdx;
+    });
+    const propSources = State.props.map((prop, propIdx) => {
+        const srcIdx = clipProps.findIndex(p => Number(p.id) === prop.id);
+        return srcIdx !== -1 ? srcIdx : (clipProps[propIdx] ? propIdx : -1);
+    });
+
+    return data.frames.map((f, i) => {
+        const figures = State.figures.map((figure, figIdx) => {
+            const src = figureSources[figIdx] !== -1 && f.figures ? f.figures[figureSources[figIdx]] : null;
+            const points = src && Array.isArray(src.points) && src.points.length === figure.rig.joints.length
+                ? src.points
+                : baseFrame.figures[figIdx].points;
+            return { id: figure.id, points: JSON.parse(JSON.stringify(points)) };
+        });
+        const props = State.props.map((prop, propIdx) => {
+            const src = propSources[propIdx] !== -1 && f.props ? f.props[propSources[propIdx]] : null;
+            const key = JSON.parse(JSON.stringify(src || baseFrame.props[propIdx]));
+            key.id = prop.id;
+            // A parent outside this scene leaves the prop where it is, in world space
+            if (key.parent) {
+                const figIdx = State.figures.findIndex(fig => fig.id === Number(key.parent.figureId));
+                if (figIdx === -1 || !figures[figIdx].points[key.parent.jointId]) key.parent = null;
+            }
+            return key;
+        });
+        const frame = createFrame(Date.now() + i, Number(f.duration) || 0.5, figures, props);
+        if (f.interpolation === 'arc') frame.interpolation = 'arc';
+        return frame;
+    });
+}
+
+let frameClipboard = null; // Fallback when the system clipboard isn't available
+
+function copyFrames() {
+    if (State.isPlaying) return;
+    frameClipboard = serializeFrameClipboard(getSelectedFrameIndices());
+    // Also offered to other tabs/projects through the system clipboard
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+        navigator.clipboard.writeText(JSON.stringify(frameClipboard)).catch(() => {});
+    }
+}
+
+function cutFrames() {
+    if (State.isPlaying) return;
+    if (getSelectedFrameIndices().length >= State.frames.length) {
+        alert('Cannot cut every frame. Copy them instead.');
+        return;
+    }
+    copyFrames();
+    deleteSelectedFrames();
+}
+
+// Pastes after the last selected frame, preferring frames copied from another project
+function pasteFrames() {
+    if (State.isPlaying) return;
+    const insert = (data) => {
+        if (!data || !Array.isArray(data.frames) || data.frames.length === 0) return;
+        const selected = getSelectedFrameIndices();
+        const at = selected[selected.length - 1] + 1;
+        const frames = adaptClipboardFrames(data, State.frames[at - 1]);
+        History.saveState();
+        State.frames.splice(at, 0, ...frames);
+        selectFrameRange(frames.map((f, i) => at + i));
+    };
+
+    if (!navigator.clipboard || !navigator.clipboard.readText) {
+        insert(frameClipboard);
+        return;
+    }
+    navigator.clipboard.readText().then(text => {
+        let data = null;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            // Not our JSON: fall back to the in-app clipboard
+        }
+        insert(data && data.type === 'stickmotion-frames' ? data : frameClipboard);
+    }).catch(() => insert(frameClipboard));
+}
+
+function deleteSelectedFrames() {
+    const selected = getSelectedFrameIndices();
+    if (selected.length >= State.frames.length) return; // Keep at least one frame
+    if (selected.length === 1) {
+        deleteFrame(selected[0]);
+        return;
+    }
+
+    History.saveState();
+    State.frames = State.frames.filter((f, i) => !selected.includes(i));
+    State.currentFrameIndex = Math.min(selected[0], State.frames.length - 1);
+    State.selectedFrameIndices = [];
+    deselectPoint();
+    selectFrame(State.currentFrameIndex);
+}
+
+// Copies of the selected frames go right after the last one and become the selection
+function duplicateFrames() {
+    if (State.isPlaying) return;
+    const selected = getSelectedFrameIndices();
+    const at = selected[selected.length - 1] + 1;
+    const copies = selected.map((idx, i) => {
+        const frame = JSON.parse(JSON.stringify(State.frames[idx]));
+        frame.id = Date.now() + i;
+        return frame;
+    });
+
+    History.saveState();
+    State.frames.splice(at, 0, ...copies);
+    selectFrameRange(copies.map((f, i) => at + i));
+}
+
+// Reverses the span of selected frames in place. Timing mirrors with it: the tween that was
+// A -> B (its duration and segment mode on A, its easing on B) becomes B -> A.
+// Duplicate then reverse turns a motion into its return motion.
+function reverseFrames() {
+    if (State.isPlaying) return;
+    const selected = getSelectedFrameIndices();
+    const start = selected[0];
+    const end = selected[selected.length - 1];
+    if (end === start || !isFrameSelectionContiguous()) return;
+
+    History.saveState();
+    const original = State.frames.slice(start, end + 1);
+    const segments = original.map(f => ({ duration: f.duration, interpolation: f.interpolation }));
+    const attrs = original.map(getKeyTweenAttributes);
+    const n = original.length;
+    const reversed = original.slice().reverse();
+
+    reversed.forEach((frame, k) => {
+        // Segments inside the range mirror; the one leaving the range stays put
+        const segment = k < n - 1 ? segments[n - 2 - k] : segments[n - 1];
+        frame.duration = segment.duration;
+        if (segment.interpolation) frame.interpolation = segment.interpolation;
+        else delete frame.interpolation;
+        // The tween into the range keeps its easing; the mirrored ones run backwards
+        if (k === 0) setKeyTweenAttributes(frame, attrs[0], false);
+        else setKeyTweenAttributes(frame, attrs[n - k], true);
+    });
+
+    State.frames.splice(start, n, ...reversed);
+    selectFrameRange(selected.map(i => start + end - i).sort((a, b) => a - b));
+}
+
+// Moves the selected frames (in order) so they land before `targetIndex` (an index in the current list)
+function moveFrames(targetIndex) {
+    if (State.isPlaying) return;
+    const selected = getSelectedFrameIndices();
+    const moving = selected.map(i => State.frames[i]);
+    const remaining = State.frames.filter((f, i) => !selected.includes(i));
+    const at = targetIndex - selected.filter(i => i < targetIndex).length;
+    const reordered = [...remaining.slice(0, at), ...moving, ...remaining.slice(at)];
+    if (reordered.every((f, i) => f === State.frames[i])) return;
+
+    History.saveState();
+    State.frames = reordered;
+    selectFrameRange(moving.map((f, i) => at + i));
+}
+
+// --- Retiming ---
+// Tweens a selection times: the ones between its first and last key, or the one leaving a
+// single selected key. A tween's duration is stored on the frame it leaves.
+function getRetimeSegments() {
+    const selected = getSelectedFrameIndices();
+    const start = selected[0];
+    const end = selected[selected.length - 1];
+    const segments = [];
+    if (end > start) {
+        for (let i = start; i < end; i++) segments.push(i);
+    } else if (start < State.frames.length - 1 || isSeamlessLoop()) {
+        segments.push(start);
+    }
+    return segments;
+}
+
+function getSegmentsDuration(segments) {
+    return segments.reduce((sum, i) => sum + State.frames[i].duration, 0);
+}
+
+// Durations as shown in the timeline (3 decimals, no trailing zeros)
+function formatDuration(duration) {
+    return String(parseFloat(duration.toFixed(3)));
+}
+
+// Typed entry from the timeline (no upper limit)
+function setFrameDuration(index, duration) {
+    if (State.isPlaying || !(duration > 0)) return;
+    History.saveState();
+    State.frames[index].duration = Math.max(CONFIG.minFrameDuration, duration);
+    renderTimeline();
+    draw();
+}
+
+// Multiplies the given tweens' durations, keeping their proportions
+function scaleSegments(segments, factor) {
+    if (State.isPlaying || segments.length === 0 || !(factor > 0)) return;
+    History.saveState();
+    segments.forEach(i => {
+        State.frames[i].duration = Math.max(CONFIG.minFrameDuration, State.frames[i].duration * factor);
+    });
+    renderTimeline();
+    updateRetimePanel();
+    draw();
+}
+
+function scaleSelectionTiming(percent) {
+    scaleSegments(getRetimeSegments(), percent / 100);
+}
+
+function stretchSelectionTo(length) {
+    const segments = getRetimeSegments();
+    const current = getSegmentsDuration(segments);
+    if (current > 0) scaleSegments(segments, length / current);
+}
+
+function setTotalDuration(length) {
+    const count = isSeamlessLoop() ? State.frames.length : State.frames.length - 1;
+    const segments = State.frames.slice(0, count).map((f, i) => i);
+    const current = getSegmentsDuration(segments);
+    if (current > 0) scaleSegments(segments, length / current);
+}
+
+// Rounds every duration to whole frames (at least one) so keys land on exported frames
+function snapDurationsToFPS(fps = CONFIG.bakeFPS) {
+    if (State.isPlaying) return;
+    History.saveState();
+    State.frames.forEach(frame => {
+        frame.duration = Math.max(1, Math.round(frame.duration * fps)) / fps;
+    });
+    renderTimeline();
+    updateRetimePanel();
+    draw();
+}
+
+function updateRetimePanel() {
+    if (!divRetimePopover) return;
+    const segments = getRetimeSegments();
+    const length = getSegmentsDuration(segments);
+    lblRetimeSelection.textContent = segments.length > 0
+        ? `${segments.length} tween${segments.length > 1 ? 's' : ''}, ${formatDuration(length)}s`
+        : 'No tween selected';
+    inputRetimeLength.value = formatDuration(length);
+    inputRetimeTotal.value = formatDuration(getTotalDuration());
+    btnRetimeSnap.textContent = `Snap All to ${CONFIG.bakeFPS} fps`;
+}
+
+// --- Figures (Scene Characters) ---
+function renderFigureList() {
+    if (!figureList) return;
+    figureList.innerHTML = '';
+
+    State.figures.forEach((figure, index) => {
+        const row = document.createElement('div');
+        row.className = `figure-row ${index === State.selectedFigureIndex ? 'active' : ''}`;
+        row.onclick = () => selectFigure(index);
+
+        // Colour Swatch
+        const color = document.createElement('input');
+        color.type = 'color';
+        color.className = 'figure-color';
+        color.value = figure.color;
+        color.title = 'Figure Colour';
+        color.onclick = (e) => e.stopPropagation();
+        color.onchange = (e) => {
+            History.saveState();
+            figure.color = e.target.value;
+            renderTimeline();
+            draw();
+        };
+
+        // Name
+        const name = document.createElement('input');
+        name.type = 'text';
+        name.className = 'figure-name';
+        name.value = figure.name;
+        name.onfocus = () => selectFigure(index);
+        name.onchange = (e) => {
+            History.saveState();
+            figure.name = e.target.value.trim() || `Stickman ${index + 1}`;
+            e.target.value = figure.name;
+        };
+
+        // Onion Skin Toggle
+        const onion = document.createElement('label');
+        onion.className = 'figure-onion';
+        onion.title = 'Onion Skin';
+        onion.onclick = (e) => e.stopPropagation();
+        const onionChk = document.createElement('input');
+        onionChk.type = 'checkbox';
+        onionChk.checked = figure.isOnionSkinEnabled;
+        onionChk.onchange = (e) => {
+            figure.isOnionSkinEnabled = e.target.checked;
+            draw();
+        };
+        onion.appendChild(onionChk);
+        onion.appendChild(document.createTextNode('👻'));
+
+        row.appendChild(color);
+        row.appendChild(name);
+        row.appendChild(onion);
+
+        // Delete Button (if > 1 figure)
+        if (State.figures.length > 1) {
+            const delBtn = document.createElement('button');
+            delBtn.className = 'btn-sidebar-icon';
+            delBtn.innerHTML = '&times;';
+            delBtn.title = 'Delete Figure';
+            delBtn.onclick = (e) => {
+                e.stopPropagation();
+                deleteFigure(index);
+            };
+            row.appendChild(delBtn);
+        }
+
+        figureList.appendChild(row);
+    });
+
+    renderRigEditor();
+}
+
+function selectFigure(index) {
+    if (index === State.selectedFigureIndex) return;
+    State.selectedFigureIndex = index;
+
+    // Joint selection belongs to the previous figure
+    if (State.selectedPointIndex !== null) deselectPoint();
+
+    // Only swap the highlight so a focused name field keeps focus
+    if (figureList) {
+        Array.from(figureList.children).forEach((row, i) => row.classList.toggle('active', i === index));
+    }
+    renderRigEditor();
+    draw();
+}
+
+function addFigure() {
+    if (State.isPlaying) return;
+    History.saveState();
+
+    const id = State.figures.reduce((max, f) => Math.max(max, f.id), 0) + 1;
+    const color = CONFIG.figureColors[State.figures.length % CONFIG.figureColors.length];
+    State.figures.push(createFigure(id, `Stickman ${State.figures.length + 1}`, color));
+
+    // Place the newcomer beside the scene centre so it doesn't cover existing figures
+    const offsetX = (State.figures.length % 2 === 0 ? 1 : -1) * 120 * Math.ceil((State.figures.length - 1) / 2);
+    const basePose = getInitialPose(canvas.width, canvas.height).map(p => ({ ...p, x: p.x + offsetX }));
+
+    State.frames.forEach(frame => {
+        frame.figures.push({ id: id, points: JSON.parse(JSON.stringify(basePose)) });
+    });
+
+    State.selectedFigureIndex = State.figures.length - 1;
+    deselectPoint();
+    renderFigureList();
+    renderTimeline();
+    draw();
+}
+
+function deleteFigure(index) {
+    if (State.figures.length <= 1) return; // Prevention
+
+    History.saveState();
+    detachProps(index);
+    State.figures.splice(index, 1);
+    State.frames.forEach(frame => frame.figures.splice(index, 1));
+
+    if (State.selectedFigureIndex >= State.figures.length) {
+        State.selectedFigureIndex = State.figures.length - 1;
+    }
+    deselectPoint();
+    renderFigureList();
+    renderTimeline();
+    draw();
+}
+
+// --- Rig Editor ---
+function renderRigEditor() {
+    if (!rigJointList) return;
+    rigJointList.innerHTML = '';
+
+    const rig = getFigureRig();
+    const { parentMap, childrenMap, ikMap } = getRigInfo(rig);
+
+    // Collect a joint and all of its descendants (invalid parents for it)
+    const getSubtree = (idx) => [idx, ...childrenMap[idx].flatMap(getSubtree)];
+
+    rig.joints.forEach(joint => {
+        const row = document.createElement('div');
+        row.className = `rig-joint-row ${State.selectedPointIndices.includes(joint.id) ? 'active' : ''}`;
+        row.onclick = (e) => {
+            if (!State.isPlaying) selectPoint(joint.id, e.shiftKey);
+        };
+
+        // Name
+        const name = document.createElement('input');
+        name.type = 'text';
+        name.className = 'rig-joint-name';
+        name.value = joint.name;
+        name.title = `Joint ${joint.id}`;
+        name.onchange = (e) => {
+            History.saveState();
+            joint.name = e.target.value.trim() || `joint_${joint.id}`;
+            e.target.value = joint.name;
+        };
+
+        // Parent
+        const parent = document.createElement('select');
+        parent.className = 'rig-joint-parent';
+        parent.title = 'Parent Joint';
+        parent.onclick = (e) => e.stopPropagation();
+        const excluded = getSubtree(joint.id);
+        const rootOpt = document.createElement('option');
+        rootOpt.value = '';
+        rootOpt.textContent = '(root)';
+        parent.appendChild(rootOpt);
+        rig.joints.forEach(other => {
+            if (excluded.includes(other.id)) return;
+            const opt = document.createElement('option');
+            opt.value = String(other.id);
+            opt.textContent = other.name;
+            parent.appendChild(opt);
+        });
+        parent.value = joint.parent === null ? '' : String(joint.parent);
+        parent.onchange = (e) => {
+            setJointParent(joint.id, e.target.value === '' ? null : Number(e.target.value));
+        };
+
+        // IK Chain ending at this joint: number of bones it bends (needs 2+ ancestors)
+        const ik = document.createElement('select');
+        ik.className = 'rig-joint-ik';
+        ik.title = 'IK chain ending at this joint (number of bones)';
+        ik.onclick = (e) => e.stopPropagation();
+        let depth = 0;
+        for (let cursor = parentMap[joint.id]; cursor !== null; cursor = parentMap[cursor]) depth++;
+        const offOpt = document.createElement('option');
+        offOpt.value = '0';
+        offOpt.textContent = 'IK –';
+        ik.appendChild(offOpt);
+        for (let bones = 2; bones <= depth; bones++) {
+            const opt = document.createElement('option');
+            opt.value = String(bones);
+            opt.textContent = `IK ${bones}`;
+            ik.appendChild(opt);
+        }
+        ik.value = ikMap[joint.id] ? String(ikMap[joint.id].length - 1) : '0';
+        ik.disabled = depth < 2;
+        ik.onchange = (e) => setIKChainLength(joint.id, Number(e.target.value));
+
+        row.appendChild(name);
+        row.appendChild(parent);
+        row.appendChild(ik);
+
+        // Delete Button (keep at least a single bone)
+        if (rig.joints.length > 2) {
+            const delBtn = document.createElement('button');
+            delBtn.className = 'btn-sidebar-icon';
+            delBtn.innerHTML = '&times;';
+            delBtn.title = 'Delete Joint';
+            delBtn.onclick = (e) => {
+                e.stopPropagation();
+                deleteJoint(joint.id);
+            };
+            row.appendChild(delBtn);
+        }
+
+        rigJointList.appendChild(row);
+    });
+
+    // Head joint choices in the style panel and the spring list follow the rig
+    renderStylePanel();
+    renderSecondaryPanel();
+}
+
+// Swap the highlighted row without rebuilding (keeps focus in inputs)
+function updateRigSelection() {
+    if (!rigJointList) return;
+    Array.from(rigJointList.children).forEach((row, i) => row.classList.toggle('active', State.selectedPointIndices.includes(i)));
+}
+
+// Add a joint as child of the selected joint (or the first root),
+// extending the parent bone's direction in every frame
+function addJoint() {
+    if (State.isPlaying) return;
+    History.saveState();
+
+    const rig = getFigureRig();
+    const { roots, parentMap } = getRigInfo(rig);
+    const parentId = State.selectedPointIndex !== null ? State.selectedPointIndex : roots[0];
+    const grandParentId = parentMap[parentId];
+    const id = rig.joints.length;
+
+    rig.joints.push({ id: id, name: `joint_${id}`, parent: parentId });
+
+    State.frames.forEach(frame => {
+        const points = getFigurePoints(frame);
+        const parent = points[parentId];
+        let dirX = 0;
+        let dirY = 1;
+        if (grandParentId !== null) {
+            const gp = points[grandParentId];
+            const len = Math.hypot(parent.x - gp.x, parent.y - gp.y);
+            if (len > 0.001) {
+                dirX = (parent.x - gp.x) / len;
+                dirY = (parent.y - gp.y) / len;
+            }
+        }
+        points.push({ id: id, x: parent.x + dirX * 30, y: parent.y + dirY * 30 });
+    });
+
+    renderRigEditor();
+    renderTimeline();
+    selectPoint(id);
+}
+
+// Remove a joint; its children are re-attached to its parent and ids are compacted
+function deleteJoint(jointId) {
+    const rig = getFigureRig();
+    if (rig.joints.length <= 2) return; // Prevention
+
+    History.saveState();
+    detachProps(State.selectedFigureIndex, jointId);
+
+    const removedParent = rig.joints[jointId].parent;
+    const remap = (id) => (id === null ? null : (id > jointId ? id - 1 : id));
+
+    rig.joints = rig.joints
+        .filter(j => j.id !== jointId)
+        .map(j => ({
+            ...j,
+            id: remap(j.id),
+            parent: remap(j.parent === jointId ? removedParent : j.parent)
+        }));
+    rig.ikChains = rig.ikChains
+        .filter(chain => !chain.includes(jointId))
+        .map(chain => chain.map(remap));
+
+    // Style overrides are keyed by joint id too
+    const style = State.figures[State.selectedFigureIndex].style;
+    const bones = {};
+    Object.keys(style.bones).forEach(key => {
+        const idx = Number(key);
+        if (idx !== jointId) bones[remap(idx)] = style.bones[key];
+    });
+    style.bones = bones;
+    if (style.head.jointId === jointId) style.head.jointId = null;
+    else style.head.jointId = remap(style.head.jointId);
+
+    const figure = State.figures[State.selectedFigureIndex];
+    const secondary = {};
+    Object.keys(figure.secondary).forEach(key => {
+        const idx = Number(key);
+        if (idx !== jointId) secondary[remap(idx)] = figure.secondary[key];
+    });
+    figure.secondary = secondary;
+
+    // Props follow the new ids (those on the removed joint were freed above)
+    const figureId = State.figures[State.selectedFigureIndex].id;
+    State.frames.forEach(frame => {
+        frame.props.forEach(key => {
+            if (key.parent && key.parent.figureId === figureId) key.parent.jointId = remap(key.parent.jointId);
+        });
+    });
+
+    State.frames.forEach(frame => {
+        const fig = frame.figures[State.selectedFigureIndex];
+        fig.points = fig.points
+            .filter(p => p.id !== jointId)
+            .map(p => ({ ...p, id: remap(p.id) }));
+    });
+
+    if (State.selectedPointIndex === jointId) {
+        deselectPoint();
+    } else if (State.selectedPointIndex !== null) {
+        State.selectedPointIndex = remap(State.selectedPointIndex);
+        State.selectedPointIndices = State.selectedPointIndices.filter(i => i !== jointId).map(remap);
+    }
+
+    renderRigEditor();
+    renderTimeline();
+    draw();
+}
+
+function setJointParent(jointId, parentId) {
+    const rig = getFigureRig();
+
+    // Guard against cycles (the select already hides descendants)
+    let cursor = parentId;
+    while (cursor !== null) {
+        if (cursor === jointId) return;
+        cursor = rig.joints[cursor].parent;
+    }
+
+    History.saveState();
+    rig.joints[jointId].parent = parentId;
+
+    renderRigEditor();
+    renderTimeline();
+    draw();
+}
+
+// Configure the IK chain ending at `effectorId` to bend `bones` bones (0 = no IK)
+function setIKChainLength(effectorId, bones) {
+    const rig = getFigureRig();
+    const { parentMap } = getRigInfo(rig);
+
+    History.saveState();
+    rig.ikChains = rig.ikChains.filter(chain => chain[0] !== effectorId);
+    if (bones >= 2) {
+        const chain = [effectorId];
+        while (chain.length <= bones && parentMap[chain[chain.length - 1]] !== null) {
+            chain.push(parentMap[chain[chain.length - 1]]);
+        }
+        rig.ikChains.push(chain);
+    }
+    renderRigEditor();
+}
+
+// Replace the selected figure's rig with a preset, keeping each frame's root position
+function applyRigPreset(presetKey) {
+    const preset = RIG_PRESETS[presetKey];
+    if (!preset) return;
+
+    History.saveState();
+
+    const oldRoot = getRigInfo(getFigureRig()).roots[0];
+    const rig = JSON.parse(JSON.stringify(preset.rig));
+    const newRoot = getRigInfo(rig).roots[0];
+    const restPose = preset.pose(canvas.width, canvas.height);
+
+    // Joint ids change meaning, so props hanging on this figure are freed
+    detachProps(State.selectedFigureIndex);
+
+    const figure = State.figures[State.selectedFigureIndex];
+    const headJoint = rig.joints.find(j => j.name === 'head');
+    figure.rig = rig;
+    figure.style.bones = {};
+    figure.style.head.jointId = headJoint ? headJoint.id : null;
+    figure.secondary = {};
+    State.frames.forEach(frame => {
+        const fig = frame.figures[State.selectedFigureIndex];
+        const anchor = fig.points[oldRoot];
+        const dx = anchor.x - restPose[newRoot].x;
+        const dy = anchor.y - restPose[newRoot].y;
+        fig.points = restPose.map(p => ({ id: p.id, x: p.x + dx, y: p.y + dy }));
+    });
+
+    deselectPoint();
+    renderRigEditor();
+    renderTimeline();
+    draw();
+}
+
+// --- Style Panel ---
+function renderStylePanel() {
+    if (!rngStyleWidth) return;
+    const figure = State.figures[State.selectedFigureIndex];
+    const style = figure.style;
+
+    rngStyleWidth.value = style.lineWidth;
+    lblStyleWidth.textContent = style.lineWidth + 'px';
+    rngStyleHead.value = style.head.radius;
+    lblStyleHead.textContent = style.head.radius + 'px';
+    chkStyleHeadFill.checked = style.head.fill;
+    chkStyleJoints.checked = style.showJoints;
+
+    // Head joint choices follow the rig
+    selectStyleHeadJoint.innerHTML = '';
+    const noneOpt = document.createElement('option');
+    noneOpt.value = '';
+    noneOpt.textContent = '(no head)';
+    selectStyleHeadJoint.appendChild(noneOpt);
+    figure.rig.joints.forEach(joint => {
+        const opt = document.createElement('option');
+        opt.value = String(joint.id);
+        opt.textContent = joint.name;
+        selectStyleHeadJoint.appendChild(opt);
+    });
+    selectStyleHeadJoint.value = style.head.jointId === null ? '' : String(style.head.jointId);
+
+    // Per-bone overrides for the bone leading into the selected joint
+    const idx = State.selectedPointIndex;
+    const hasBone = idx !== null && figure.rig.joints[idx] && figure.rig.joints[idx].parent !== null;
+    divStyleBone.classList.toggle('hidden', !hasBone);
+    if (hasBone) {
+        const bone = style.bones[idx] || {};
+        lblStyleBoneName.textContent = figure.rig.joints[idx].name;
+        inputStyleBoneColor.value = bone.color || figure.color;
+        inputStyleBoneWidth.value = bone.width || '';
+    }
+}
+
+// Apply a change to the selected figure's style as one undo step
+function updateFigureStyle(mutator, saveHistory = true) {
+    if (saveHistory) History.saveState();
+    mutator(State.figures[State.selectedFigureIndex].style);
+    renderTimeline();
+    draw();
+}
+
+function updateSelectedBoneStyle(mutator) {
+    const idx = State.selectedPointIndex;
+    if (idx === null) return;
+    updateFigureStyle(style => {
+        const bone = { ...(style.bones[idx] || {}) };
+        mutator(bone);
+        if (bone.width || bone.color) style.bones[idx] = bone;
+        else delete style.bones[idx];
+    });
+}
+
+// --- Props ---
+// Points of every figure in a frame, in `State.figures` order
+function getFrameFigurePoints(frame) {
+    return frame.figures.map(fig => fig.points);
+}
+
+// Wrap an angle in degrees to -180..180
+function wrapDegrees(angle) {
+    return ((angle % 360) + 540) % 360 - 180;
+}
+
+function isSamePropParent(a, b) {
+    if (!a || !b) return a === b;
+    return a.figureId === b.figureId && a.jointId === b.jointId;
+}
+
+// Position and orientation (radians, along the bone into the joint) a prop hangs from
+function getPropAnchor(parent, figurePoints) {
+    if (!parent) return null;
+    const figIdx = State.figures.findIndex(f => f.id === parent.figureId);
+    if (figIdx === -1) return null;
+    const points = figurePoints[figIdx];
+    const joint = points[parent.jointId];
+    if (!joint) return null;
+
+    const parentIdx = State.figures[figIdx].rig.joints[parent.jointId].parent;
+    const angle = parentIdx === null ? 0 : Math.atan2(joint.y - points[parentIdx].y, joint.x - points[parentIdx].x);
+    return { x: joint.x, y: joint.y, angle: angle };
+}
+
+// Local prop key -> world { x, y, rotation (degrees) }
+function getPropWorldTransform(key, figurePoints) {
+    const anchor = getPropAnchor(key.parent, figurePoints);
+    if (!anchor) return { x: key.x, y: key.y, rotation: key.rotation };
+
+    const cos = Math.cos(anchor.angle);
+    const sin = Math.sin(anchor.angle);
+    return {
+        x: anchor.x + key.x * cos - key.y * sin,
+        y: anchor.y + key.x * sin + key.y * cos,
+        rotation: key.rotation + anchor.angle * 180 / Math.PI
+    };
+}
+
+// World transform -> offset/rotation local to `parent`
+function worldToPropKey(world, parent, figurePoints) {
+    const anchor = getPropAnchor(parent, figurePoints);
+    if (!anchor) return { x: world.x, y: world.y, rotation: wrapDegrees(world.rotation) };
+
+    const cos = Math.cos(-anchor.angle);
+    const sin = Math.sin(-anchor.angle);
+    const dx = world.x - anchor.x;
+    const dy = world.y - anchor.y;
+    return {
+        x: dx * cos - dy * sin,
+        y: dx * sin + dy * cos,
+        rotation: wrapDegrees(world.rotation - anchor.angle * 180 / Math.PI)
+    };
+}
+
+function getFramePropTransforms(frame) {
+    const figurePoints = getFrameFigurePoints(frame);
+    return frame.props.map(key => getPropWorldTransform(key, figurePoints));
+}
+
+// Outline of a prop in its local space (matches drawProp)
+function getPropBounds(prop) {
+    const s = prop.size;
+    switch (prop.shape) {
+        case 'sword': return { x0: -s * 0.15, y0: -s * 0.12, x1: s * 0.85, y1: s * 0.12 };
+        case 'hat': return { x0: -s * 0.08, y0: -s / 2, x1: s * 0.55, y1: s / 2 };
+        case 'phone': return { x0: -s / 2, y0: -s * 0.3, x1: s / 2, y1: s * 0.3 };
+        case 'image': {
+            const img = getPropImage(prop.image);
+            const aspect = img && img.naturalWidth > 0 ? img.naturalHeight / img.naturalWidth : 1;
+            return { x0: -s / 2, y0: -s * aspect / 2, x1: s / 2, y1: s * aspect / 2 };
+        }
+        default: return { x0: -s / 2, y0: -s / 2, x1: s / 2, y1: s / 2 };
+    }
+}
+
+// Decoded images of image props, keyed by data URL
+const propImageCache = {};
+
+function getPropImage(src) {
+    if (!src) return null;
+    if (!propImageCache[src]) {
+        const img = new Image();
+        img.onload = () => {
+            if (State.isPlaying) return;
+            renderTimeline();
+            draw();
+        };
+        img.src = src;
+        propImageCache[src] = img;
+    }
+    return propImageCache[src];
+}
+
+// Find the top-most prop under the cursor
+function hitTestProp(frame, pos) {
+    const transforms = getFramePropTransforms(frame);
+    for (let i = transforms.length - 1; i >= 0; i--) {
+        const t = transforms[i];
+        const a = -t.rotation * Math.PI / 180;
+        const dx = pos.x - t.x;
+        const dy = pos.y - t.y;
+        const lx = dx * Math.cos(a) - dy * Math.sin(a);
+        const ly = dx * Math.sin(a) + dy * Math.cos(a);
+        const b = getPropBounds(State.props[i]);
+        const pad = 4;
+        if (lx >= b.x0 - pad && lx <= b.x1 + pad && ly >= b.y0 - pad && ly <= b.y1 + pad) return i;
+    }
+    return null;
+}
+
+function getSelectedPropKey() {
+    if (State.selectedPropIndex === null) return null;
+    return State.frames[State.currentFrameIndex].props[State.selectedPropIndex];
+}
+
+function renderPropPanel() {
+    if (!propList) return;
+    propList.innerHTML = '';
+
+    State.props.forEach((prop, index) => {
+        const row = document.createElement('div');
+        row.className = `figure-row ${index === State.selectedPropIndex ? 'active' : ''}`;
+        row.onclick = () => {
+            if (!State.isPlaying) selectProp(index);
+        };
+
+        // Colour Swatch (tints vector shapes; images keep their own colours)
+        const color = document.createElement('input');
+        color.type = 'color';
+        color.className = 'figure-color';
+        color.value = prop.color;
+        color.title = 'Prop Colour';
+        color.disabled = prop.shape === 'image';
+        color.onclick = (e) => e.stopPropagation();
+        color.onchange = (e) => {
+            History.saveState();
+            prop.color = e.target.value;
+            renderTimeline();
+            draw();
+        };
+
+        // Name
+        const name = document.createElement('input');
+        name.type = 'text';
+        name.className = 'figure-name';
+        name.value = prop.name;
+        name.onfocus = () => selectProp(index);
+        name.onchange = (e) => {
+            History.saveState();
+            prop.name = e.target.value.trim() || `Prop ${index + 1}`;
+            e.target.value = prop.name;
+            renderPropSettings();
+        };
+
+        const delBtn = document.createElement('button');
+        delBtn.className = 'btn-sidebar-icon';
+        delBtn.innerHTML = '&times;';
+        delBtn.title = 'Delete Prop';
+        delBtn.onclick = (e) => {
+            e.stopPropagation();
+            deleteProp(index);
+        };
+
+        row.appendChild(color);
+        row.appendChild(name);
+        row.appendChild(delBtn);
+        propList.appendChild(row);
+    });
+
+    renderPropSettings();
+}
+
+// Keyed settings of the selected prop on the current frame
+function renderPropSettings() {
+    if (!divPropSettings) return;
+    const key = getSelectedPropKey();
+    divPropSettings.classList.toggle('hidden', !key);
+    renderSecondaryPanel(); // Springs apply to the selected prop too
+    if (!key) return;
+
+    const prop = State.props[State.selectedPropIndex];
+
+    // Parent choices: free, or any joint of any figure
+    selectPropParent.innerHTML = '';
+    const freeOpt = document.createElement('option');
+    freeOpt.value = '';
+    freeOpt.textContent = '(free / world)';
+    selectPropParent.appendChild(freeOpt);
+    State.figures.forEach(figure => {
+        const group = document.createElement('optgroup');
+        group.label = figure.name;
+        figure.rig.joints.forEach(joint => {
+            const opt = document.createElement('option');
+            opt.value = `${figure.id}:${joint.id}`;
+            opt.textContent = joint.name;
+            group.appendChild(opt);
+        });
+        selectPropParent.appendChild(group);
+    });
+    selectPropParent.value = key.parent ? `${key.parent.figureId}:${key.parent.jointId}` : '';
+
+    rngPropRotation.value = Math.round(key.rotation);
+    lblPropRotation.textContent = Math.round(key.rotation) + '°';
+    rngPropSize.value = prop.size;
+    lblPropSize.textContent = prop.size + 'px';
+    selectPropEasing.value = key.easing || 'linear';
+}
+
+function selectProp(index) {
+    State.selectedPropIndex = index;
+
+    // Only swap the highlight so a focused name field keeps focus
+    if (propList) {
+        Array.from(propList.children).forEach((row, i) => row.classList.toggle('active', i === index));
+    }
+    renderPropSettings();
+    draw();
+}
+
+function deselectProp() {
+    State.selectedPropIndex = null;
+    if (propList) {
+        Array.from(propList.children).forEach(row => row.classList.remove('active'));
+    }
+    renderPropSettings();
+    draw();
+}
+
+// Add a prop to every frame. It hangs on the selected joint if there is one,
+// otherwise it starts free in the middle of the canvas.
+function addProp(shape, image = null, name = null) {
+    if (State.isPlaying || !PROP_SHAPES[shape]) return;
+    History.saveState();
+
+    const defaults = PROP_SHAPES[shape];
+    const id = State.props.reduce((max, p) => Math.max(max, p.id), 0) + 1;
+    const label = name || `${shape.charAt(0).toUpperCase() + shape.slice(1)} ${id}`;
+    State.props.push(createProp(id, label, shape, defaults.color, defaults.size, image));
+
+    let parent = null;
+    let offsetX = canvas.width / 2;
+    let offsetY = canvas.height / 2;
+    if (State.selectedPointIndex !== null) {
+        const figure = State.figures[State.selectedFigureIndex];
+        parent = { figureId: figure.id, jointId: State.selectedPointIndex };
+        // Sit on top of the head circle rather than inside it
+        offsetX = figure.style.head.jointId === State.selectedPointIndex ? figure.style.head.radius : 0;
+        offsetY = 0;
+    }
+    State.frames.forEach(frame => {
+        frame.props.push(createPropKey(id, parent ? { ...parent } : null, offsetX, offsetY, 0));
+    });
+
+    deselectPoint();
+    State.selectedPropIndex = State.props.length - 1;
+    renderPropPanel();
+    renderTimeline();
+    draw();
+}
+
+function deleteProp(index) {
+    History.saveState();
+    State.props.splice(index, 1);
+    State.frames.forEach(frame => frame.props.splice(index, 1));
+
+    if (State.selectedPropIndex === index) {
+        State.selectedPropIndex = null;
+    } else if (State.selectedPropIndex !== null && State.selectedPropIndex > index) {
+        State.selectedPropIndex--;
+    }
+    renderPropPanel();
+    renderTimeline();
+    draw();
+}
+
+// Re-parent a prop from the current frame on, up to the next frame where it already
+// had a different parent. Each frame keeps the prop where it was in world space,
+// so releasing a thrown ball leaves it at the hand's position.
+function setPropParent(index, parent) {
+    History.saveState();
+
+    const oldParent = State.frames[State.currentFrameIndex].props[index].parent;
+    for (let i = State.currentFrameIndex; i < State.frames.length; i++) {
+        const frame = State.frames[i];
+        const key = frame.props[index];
+        if (!isSamePropParent(key.parent, oldParent)) break;
+
+        const figurePoints = getFrameFigurePoints(frame);
+        const local = worldToPropKey(getPropWorldTransform(key, figurePoints), parent, figurePoints);
+        key.parent = parent ? { ...parent } : null;
+        key.x = local.x;
+        key.y = local.y;
+        key.rotation = local.rotation;
+    }
+
+    renderPropSettings();
+    renderTimeline();
+    draw();
+}
+
+// Free the props hanging on a figure (or one of its joints), keeping them in place.
+// Used before the joints they depend on change or disappear.
+function detachProps(figureIndex, jointId = null) {
+    const figureId = State.figures[figureIndex].id;
+    State.frames.forEach(frame => {
+        const figurePoints = getFrameFigurePoints(frame);
+        frame.props.forEach(key => {
+            if (!key.parent || key.parent.figureId !== figureId) return;
+            if (jointId !== null && key.parent.jointId !== jointId) return;
+
+            const world = getPropWorldTransform(key, figurePoints);
+            key.parent = null;
+            key.x = world.x;
+            key.y = world.y;
+            key.rotation = wrapDegrees(world.rotation);
+        });
+    });
+}
+
+// --- Pose Library ---
+const POSE_LIBRARY_KEY = 'stickmotion.poseLibrary';
+
+// Joint subsets a pose can be applied to, matched on joint names
+const POSE_JOINT_GROUPS = {
+    all: { label: 'All Joints', test: () => true },
+    arms: { label: 'Arms', test: name => /shoulder|elbow|wrist|hand|finger/.test(name) },
+    legs: { label: 'Legs', test: name => /hip|knee|ankle|foot|toe/.test(name) },
+    torso: { label: 'Head & Spine', test: name => /head|neck|spine|tail/.test(name) },
+    left: { label: 'Left Side (l_)', test: name => name.startsWith('l_') },
+    right: { label: 'Right Side (r_)', test: name => name.startsWith('r_') }
+};
+
+// Left/right counterpart of a joint name (l_hand <-> r_hand), or null
+function getMirrorJointName(name) {
+    if (name.startsWith('l_')) return 'r_' + name.slice(2);
+    if (name.startsWith('r_')) return 'l_' + name.slice(2);
+    return null;
+}
+
+// Poses store joint names (not ids) so they survive rig edits and work across figures
+function normalizePose(pose, id) {
+    if (!pose || !Array.isArray(pose.points)) return null;
+    const points = pose.points
+        .filter(p => p && typeof p.name === 'string' && isFinite(p.x) && isFinite(p.y))
+        .map(p => ({ name: p.name, x: Number(p.x), y: Number(p.y) }));
+    if (points.length === 0) return null;
+    return { id: id, name: String(pose.name || `Pose ${id}`), points: points };
+}
+
+function loadPoseLibrary() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(POSE_LIBRARY_KEY));
+        State.poseLibrary = Array.isArray(saved)
+            ? saved.map((pose, i) => normalizePose(pose, i + 1)).filter(Boolean)
+            : [];
+    } catch (e) {
+        console.warn("Could not read the pose library", e);
+        State.poseLibrary = [];
+    }
+}
+
+function savePoseLibrary() {
+    try {
+        localStorage.setItem(POSE_LIBRARY_KEY, JSON.stringify(State.poseLibrary));
+    } catch (e) {
+        console.warn("Could not store the pose library", e);
+    }
+}
+
+function renderPoseLibrary() {
+    if (!poseList) return;
+    poseList.innerHTML = '';
+
+    if (State.poseLibrary.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'pose-empty';
+        empty.textContent = 'No saved poses yet';
+        poseList.appendChild(empty);
+        return;
+    }
+
+    State.poseLibrary.forEach(pose => {
+        const row = document.createElement('div');
+        row.className = 'figure-row';
+        row.title = `${pose.points.length} joints`;
+
+        const name = document.createElement('input');
+        name.type = 'text';
+        name.className = 'figure-name';
+        name.value = pose.name;
+        name.onchange = (e) => {
+            pose.name = e.target.value.trim() || pose.name;
+            e.target.value = pose.name;
+            savePoseLibrary();
+        };
+
+        const applyBtn = document.createElement('button');
+        applyBtn.className = 'btn-xs';
+        applyBtn.textContent = 'Apply';
+        applyBtn.title = 'Apply to the selected figure on this frame';
+        applyBtn.onclick = () => applyPose(pose.id, chkPoseKeepRoot.checked, selectPoseJoints.value);
+
+        const delBtn = document.createElement('button');
+        delBtn.className = 'btn-sidebar-icon';
+        delBtn.innerHTML = '&times;';
+        delBtn.title = 'Delete Pose';
+        delBtn.onclick = () => {
+            if (confirm(`Delete pose "${pose.name}" from the library?`)) deletePose(pose.id);
+        };
+
+        row.appendChild(name);
+        row.appendChild(applyBtn);
+        row.appendChild(delBtn);
+        poseList.appendChild(row);
+    });
+}
+
+// Save the selected figure's points on the current frame
+function savePose(name) {
+    const rig = getFigureRig();
+    const points = getEditablePoints();
+    const id = State.poseLibrary.reduce((max, p) => Math.max(max, p.id), 0) + 1;
+
+    State.poseLibrary.push({
+        id: id,
+        name: name.trim() || `Pose ${id}`,
+        points: rig.joints.map(j => ({ name: j.name, x: points[j.id].x, y: points[j.id].y }))
+    });
+    savePoseLibrary();
+    renderPoseLibrary();
+}
+
+// Apply a saved pose to the selected figure on the current frame.
+// Joints are matched by name. Joints in `groupKey` take the pose's bone offsets,
+// everything else keeps its own offset and simply follows its parent.
+// The root stays put when `keepRoot` is set, otherwise it jumps to the saved spot.
+function applyPose(poseId, keepRoot = true, groupKey = 'all') {
+    const pose = State.poseLibrary.find(p => p.id === poseId);
+    if (!pose || State.isPlaying) return;
+
+    const rig = getFigureRig();
+    const { parentMap, traversalOrder } = getRigInfo(rig);
+    const points = getEditablePoints();
+    const group = POSE_JOINT_GROUPS[groupKey] || POSE_JOINT_GROUPS.all;
+
+    const saved = {};
+    pose.points.forEach(p => saved[p.name] = p);
+    const posed = rig.joints.map(j => saved[j.name] || null);
+
+    if (!posed.some(Boolean)) {
+        alert(`"${pose.name}" has no joints in common with this rig.`);
+        return;
+    }
+
+    History.saveState();
+
+    const before = points.map(p => ({ x: p.x, y: p.y }));
+    traversalOrder.forEach(idx => {
+        const parentIdx = parentMap[idx];
+        const inGroup = group.test(rig.joints[idx].name) && posed[idx];
+
+        if (parentIdx === null) {
+            if (inGroup && !keepRoot) {
+                points[idx].x = posed[idx].x;
+                points[idx].y = posed[idx].y;
+            }
+            return;
+        }
+
+        const parent = points[parentIdx];
+        const useSaved = inGroup && posed[parentIdx];
+        const fromX = useSaved ? posed[parentIdx].x : before[parentIdx].x;
+        const fromY = useSaved ? posed[parentIdx].y : before[parentIdx].y;
+        const toX = useSaved ? posed[idx].x : before[idx].x;
+        const toY = useSaved ? posed[idx].y : before[idx].y;
+        points[idx].x = parent.x + (toX - fromX);
+        points[idx].y = parent.y + (toY - fromY);
+    });
+
+    renderTimeline();
+    draw();
+}
+
+// Mirror the selected figure on the current frame: flip horizontally around the
+// root (pelvis) and swap the l_/r_ joints so the figure faces the other way
+function mirrorPose() {
+    if (State.isPlaying) return;
+
+    const rig = getFigureRig();
+    const { roots } = getRigInfo(rig);
+    const points = getEditablePoints();
+    const pivotX = points[roots[0]].x;
+    const byName = {};
+    rig.joints.forEach(j => byName[j.name] = j.id);
+
+    History.saveState();
+
+    const before = points.map(p => ({ x: p.x, y: p.y }));
+    rig.joints.forEach(j => {
+        const mirrorName = getMirrorJointName(j.name);
+        const source = mirrorName !== null && byName[mirrorName] !== undefined ? byName[mirrorName] : j.id;
+        points[j.id].x = 2 * pivotX - before[source].x;
+        points[j.id].y = before[source].y;
+    });
+
+    renderTimeline();
+    draw();
+}
+
+function deletePose(poseId) {
+    State.poseLibrary = State.poseLibrary.filter(p => p.id !== poseId);
+    savePoseLibrary();
+    renderPoseLibrary();
+}
+
+function exportPoseLibrary() {
+    const data = {
+        type: 'stickmotion-poses',
+        poses: State.poseLibrary.map(p => ({ name: p.name, points: p.points }))
+    };
+    const dataStr = "data:text/json;charset=utf-8," + encodeURIComponent(JSON.stringify(data, null, 2));
+    downloadFile(dataStr, "poses.json");
+}
+
+// Add the poses of an exported library (or a bare array of poses) to the library
+function importPoseLibrary(data) {
+    const poses = Array.isArray(data) ? data : (data && data.poses);
+    if (!Array.isArray(poses)) {
+        alert('Invalid pose library. Missing "poses" array.');
+        return;
+    }
+
+    let nextId = State.poseLibrary.reduce((max, p) => Math.max(max, p.id), 0) + 1;
+    let added = 0;
+    poses.forEach(raw => {
+        const pose = normalizePose(raw, nextId);
+        if (!pose) return;
+        State.poseLibrary.push(pose);
+        nextId++;
+        added++;
+    });
+    savePoseLibrary();
+    renderPoseLibrary();
+    if (added < poses.length) alert(`Skipped ${poses.length - added} invalid pose(s).`);
+}
+
+// --- Motion Cycle Generator ---
+// Builds walk/run/jump/idle keyframes for the selected figure from its own bone lengths.
+// Needs the biped joint names of the default rig; any extra joints (tails, fingers...)
+// keep their offset from their parent in the current pose.
+const CYCLE_JOINT_NAMES = ['head', 'neck', 'spine_mid', 'l_elbow', 'l_hand', 'r_elbow', 'r_hand', 'spine_pelvis', 'l_knee', 'l_foot', 'r_knee', 'r_foot'];
+
+const CYCLE_TYPES = {
+    walk: { label: 'Walk', stepTime: 0.5, lift: 0.25, lean: 3, elbowBend: 15 },
+    run: { label: 'Run', stepTime: 0.33, lift: 0.3, lean: 12, elbowBend: 85 },
+    jump: { label: 'Jump', stepTime: 0.4, lean: 20, elbowBend: 20 },
+    idle: { label: 'Idle Breathing', stepTime: 1.6 }
+};
+
+// Rig joint ids by name, or null when the rig isn't a biped the generator understands
+function getCycleJointIds(rig) {
+    const ids = {};
+    rig.joints.forEach(j => ids[j.name] = j.id);
+    return CYCLE_JOINT_NAMES.every(name => ids[name] !== undefined) ? ids : null;
+}
+
+function measureBiped(points, ids) {
+    const dist = (a, b) => Math.hypot(points[ids[a]].x - points[ids[b]].x, points[ids[a]].y - points[ids[b]].y);
+    return {
+        thigh: (dist('spine_pelvis', 'l_knee') + dist('spine_pelvis', 'r_knee')) / 2,
+        shin: (dist('l_knee', 'l_foot') + dist('r_knee', 'r_foot')) / 2,
+        upperArm: (dist('neck', 'l_elbow') + dist('neck', 'r_elbow')) / 2,
+        forearm: (dist('l_elbow', 'l_hand') + dist('r_elbow', 'r_hand')) / 2,
+        lowerSpine: dist('spine_pelvis', 'spine_mid'),
+        upperSpine: dist('spine_mid', 'neck'),
+        neck: dist('neck', 'head')
+    };
+}
+
+// Two-bone leg: the knee bends towards `dir` (the way the figure faces)
+function solveCycleLeg(hip, foot, thigh, shin, dir) {
+    const dx = foot.x - hip.x;
+    const dy = foot.y - hip.y;
+    const d = Math.max(Math.abs(thigh - shin) + 0.01, Math.min(thigh + shin - 0.01, Math.hypot(dx, dy)));
+    const base = Math.atan2(dy, dx);
+    const angle = Math.acos(Math.max(-1, Math.min(1, (thigh * thigh + d * d - shin * shin) / (2 * thigh * d))));
+    const kneeA = { x: hip.x + Math.cos(base + angle) * thigh, y: hip.y + Math.sin(base + angle) * thigh };
+    const kneeB = { x: hip.x + Math.cos(base - angle) * thigh, y: hip.y + Math.sin(base - angle) * thigh };
+    return {
+        knee: (kneeA.x - kneeB.x) * dir > 0 ? kneeA : kneeB,
+        foot: { x: hip.x + Math.cos(base) * d, y: hip.y + Math.sin(base) * d }
+    };
+}
+
+// Joint positions by name for a body description. Angles are in degrees:
+// `lean` tilts the torso forward, arm angles swing forward from hanging straight down.
+function buildCyclePose(bones, spec, dir) {
+    const rad = Math.PI / 180;
+    const up = { x: Math.sin(spec.lean * rad) * dir, y: -Math.cos(spec.lean * rad) };
+    const pose = { spine_pelvis: { ...spec.pelvis } };
+    pose.spine_mid = { x: pose.spine_pelvis.x + up.x * bones.lowerSpine, y: pose.spine_pelvis.y + up.y * bones.lowerSpine };
+    pose.neck = { x: pose.spine_mid.x + up.x * bones.upperSpine, y: pose.spine_mid.y + up.y * bones.upperSpine };
+    pose.head = { x: pose.neck.x + up.x * bones.neck, y: pose.neck.y + up.y * bones.neck };
+
+    [['l', spec.lArm], ['r', spec.rArm]].forEach(([side, angle]) => {
+        const elbow = {
+            x: pose.neck.x + Math.sin(angle * rad) * dir * bones.upperArm,
+            y: pose.neck.y + Math.cos(angle * rad) * bones.upperArm
+        };
+        const fore = (angle + spec.elbowBend) * rad;
+        pose[`${side}_elbow`] = elbow;
+        pose[`${side}_hand`] = { x: elbow.x + Math.sin(fore) * dir * bones.forearm, y: elbow.y + Math.cos(fore) * bones.forearm };
+    });
+
+    [['l', spec.lFoot], ['r', spec.rFoot]].forEach(([side, foot]) => {
+        const leg = solveCycleLeg(pose.spine_pelvis, foot, bones.thigh, bones.shin, dir);
+        pose[`${side}_knee`] = leg.knee;
+        pose[`${side}_foot`] = leg.foot;
+    });
+    return pose;
+}
+
+// Key descriptions ({ spec, duration, rootEasing }) for one generated sequence.
+// `origin` is the current pelvis x and the ground line under the feet.
+function getCycleKeys(type, params, bones, origin) {
+    const preset = CYCLE_TYPES[type];
+    const dir = params.direction;
+    const legLength = bones.thigh + bones.shin;
+    const standY = origin.ground - legLength * 0.97;
+    const keyTime = preset.stepTime / params.speed / 2;
+    const keys = [];
+
+    if (type === 'walk' || type === 'run') {
+        const isRun = type === 'run';
+        const half = Math.min(params.stride / 2, legLength * 0.9);
+        const stride = half * 2;
+        const contactY = origin.ground - Math.sqrt(legLength * legLength - half * half) * (isRun ? 0.93 : 0.98) + params.bounce / 2;
+        const passY = standY - params.bounce / 2;
+        const lift = stride * preset.lift;
+        const steps = params.cycles * 2;
+
+        for (let s = 0; s <= steps; s++) {
+            const x = origin.x + s * stride * dir;
+            const leftLeads = s % 2 === 0;
+            const swing = leftLeads ? 1 : -1; // Arms swing against the legs
+            // Contact: front heel down, back toe down
+            const front = { x: x + half * dir, y: origin.ground };
+            const back = { x: x - half * dir, y: origin.ground };
+            keys.push({
+                spec: {
+                    pelvis: { x, y: contactY },
+                    lean: preset.lean,
+                    lFoot: leftLeads ? front : back,
+                    rFoot: leftLeads ? back : front,
+                    lArm: -swing * params.armSwing,
+                    rArm: swing * params.armSwing,
+                    elbowBend: preset.elbowBend
+                },
+                duration: keyTime
+            });
+            if (s === steps) break;
+
+            // Passing (walk) or flight (run): the back leg swings through under the body
+            const px = x + half * dir;
+            const planted = isRun
+                ? { x: px - stride * 0.35 * dir, y: origin.ground - stride * 0.3 }
+                : { x: px, y: origin.ground };
+            const swinging = isRun
+                ? { x: px + stride * 0.1 * dir, y: origin.ground - legLength * 0.45 }
+                : { x: px, y: origin.ground - lift };
+            keys.push({
+                spec: {
+                    pelvis: { x: px, y: isRun ? passY - params.bounce : passY },
+                    lean: preset.lean,
+                    lFoot: leftLeads ? planted : swinging,
+                    rFoot: leftLeads ? swinging : planted,
+                    lArm: 0,
+                    rArm: 0,
+                    elbowBend: preset.elbowBend
+                },
+                duration: keyTime
+            });
+        }
+    } else if (type === 'jump') {
+        const distance = params.inPlace ? 0 : params.stride * dir;
+        const height = Math.max(params.bounce, 5) * 6;
+        const crouchY = standY + legLength * 0.35;
+        const spread = legLength * 0.2;
+        const feetAt = (x, y = origin.ground) => ({ lFoot: { x: x + spread * dir * 0.5, y }, rFoot: { x: x - spread * dir * 0.5, y } });
+        const x0 = origin.x;
+
+        keys.push({ spec: { pelvis: { x: x0, y: standY }, lean: 0, ...feetAt(x0), lArm: 5, rArm: 5, elbowBend: 10 }, duration: keyTime * 2 });
+        // Anticipation
+        keys.push({ spec: { pelvis: { x: x0 - spread * dir * 0.3, y: crouchY }, lean: preset.lean, ...feetAt(x0), lArm: -params.armSwing, rArm: -params.armSwing, elbowBend: 20 }, duration: keyTime * 0.75 });
+        // Take-off: legs extend, arms throw up
+        keys.push({ spec: { pelvis: { x: x0 + distance * 0.15, y: standY - legLength * 0.05 }, lean: 5, ...feetAt(x0), lArm: 160, rArm: 160, elbowBend: 0 }, duration: keyTime * 1.75, rootEasing: 'easeOutQuad' });
+        // Apex: legs tucked
+        const apexX = x0 + distance * 0.5;
+        const apexY = standY - height;
+        keys.push({ spec: { pelvis: { x: apexX, y: apexY }, lean: 0, ...feetAt(apexX, apexY + legLength * 0.6), lArm: 120, rArm: 120, elbowBend: 20 }, duration: keyTime * 1.75, rootEasing: 'easeInQuad' });
+        // Landing: absorb
+        keys.push({ spec: { pelvis: { x: x0 + distance, y: crouchY }, lean: preset.lean, ...feetAt(x0 + distance), lArm: params.armSwing, rArm: params.armSwing, elbowBend: 30 }, duration: keyTime * 2 });
+        keys.push({ spec: { pelvis: { x: x0 + distance, y: standY }, lean: 0, ...feetAt(x0 + distance), lArm: 5, rArm: 5, elbowBend: 10 }, duration: keyTime * 2 });
+    } else {
+        // Idle: the body settles on each breath out (knees give a little), feet stay planted
+        const breath = Math.max(params.bounce, 1);
+        for (let c = 0; c <= params.cycles * 2; c++) {
+            const exhale = c % 2 === 1;
+            keys.push({ spec: { breath: exhale ? breath : 0 }, duration: keyTime * 2 });
+        }
+    }
+    return keys;
+}
+
+function generateCycle(type, params) {
+    if (State.isPlaying || !CYCLE_TYPES[type]) return;
+    const figIdx = State.selectedFigureIndex;
+    const rig = getFigureRig(figIdx);
+    const ids = getCycleJointIds(rig);
+    if (!ids) {
+        alert(`The generator needs a biped rig with the joints: ${CYCLE_JOINT_NAMES.join(', ')}.`);
+        return;
+    }
+
+    const currentFrame = State.frames[State.currentFrameIndex];
+    const current = getFigurePoints(currentFrame, figIdx);
+    const bones = measureBiped(current, ids);
+    const origin = {
+        x: current[ids.spine_pelvis].x,
+        ground: Math.max(current[ids.l_foot].y, current[ids.r_foot].y)
+    };
+    const keys = getCycleKeys(type, params, bones, origin);
+    // A seamless loop already tweens the last key back to the first, so in-place cycles drop the closing key
+    if (State.playbackMode === 'cycle' && (params.inPlace || type === 'idle') && keys.length > 2) keys.pop();
+
+    const { parentMap, traversalOrder } = getRigInfo(rig);
+    const newFrames = keys.map((key, k) => {
+        let named;
+        if (key.spec.breath !== undefined) {
+            // The current pose with everything above the legs lowered; each knee re-solves on its own bone lengths
+            named = {};
+            CYCLE_JOINT_NAMES.forEach(name => {
+                const p = current[ids[name]];
+                named[name] = { x: p.x, y: p.y + key.spec.breath };
+            });
+            ['l', 'r'].forEach(side => {
+                const hip = named.spine_pelvis;
+                const knee = current[ids[`${side}_knee`]];
+                const foot = current[ids[`${side}_foot`]];
+                const thigh = Math.hypot(knee.x - current[ids.spine_pelvis].x, knee.y - current[ids.spine_pelvis].y);
+                const shin = Math.hypot(foot.x - knee.x, foot.y - knee.y);
+                const leg = solveCycleLeg(hip, foot, thigh, shin, params.direction);
+                named[`${side}_knee`] = leg.knee;
+                named[`${side}_foot`] = leg.foot;
+            });
+        } else {
+            named = buildCyclePose(bones, key.spec, params.direction);
+        }
+
+        // In-place cycles keep the pelvis over the start point and slide the feet instead
+        const shiftX = params.inPlace && type !== 'jump' ? origin.x - named.spine_pelvis.x : 0;
+        const points = new Array(current.length);
+        const byId = {};
+        CYCLE_JOINT_NAMES.forEach(name => byId[ids[name]] = named[name]);
+        traversalOrder.forEach(idx => {
+            let x;
+            let y;
+            if (byId[idx]) {
+                x = byId[idx].x + shiftX;
+                y = byId[idx].y;
+            } else {
+                // Extra joints ride along with their parent
+                const parentIdx = parentMap[idx];
+                const anchor = parentIdx === null ? ids.spine_pelvis : parentIdx;
+                x = points[anchor].x + (current[idx].x - current[anchor].x);
+                y = points[anchor].y + (current[idx].y - current[anchor].y);
+            }
+            const point = { id: idx, x, y };
+            // Travel keeps a steady pace; everything else eases in and out of each key
+            const isRoot = idx === ids.spine_pelvis;
+            const easing = isRoot ? (key.rootEasing || (type === 'idle' || params.inPlace ? 'easeInOutCubic' : 'linear')) : 'easeInOutCubic';
+            if (k > 0 && easing !== 'linear') point.easing = easing;
+            points[idx] = point;
+        });
+
+        const figures = JSON.parse(JSON.stringify(currentFrame.figures));
+        figures[figIdx].points = points;
+        const frame = createFrame(Date.now() + k, Math.round(key.duration * 100) / 100, figures, JSON.parse(JSON.stringify(currentFrame.props)));
+        frame.interpolation = 'arc'; // Limbs swing instead of shrinking mid-tween
+        return frame;
+    });
+
+    History.saveState();
+    const at = State.currentFrameIndex + 1;
+    State.frames.splice(at, 0, ...newFrames);
+    selectFrame(at);
+}
+
+// Dialog values
+function readCycleParams() {
+    return {
+        stride: readClampedNumber(inputCycleStride, 0, 400, 80),
+        speed: readClampedNumber(inputCycleSpeed, 0.1, 5, 1),
+        bounce: readClampedNumber(inputCycleBounce, 0, 60, 8),
+        armSwing: readClampedNumber(inputCycleArmSwing, 0, 90, 30),
+        direction: selectCycleDirection.value === 'left' ? -1 : 1,
+        cycles: Math.round(readClampedNumber(inputCycleCount, 1, 10, 1)),
+        inPlace: chkCycleInPlace.checked
+    };
+}
+
+// --- Ragdoll Simulation ---
+// Verlet ragdoll started from the selected figure's pose on the current frame. Bones keep the
+// lengths they have in that pose; joints fold freely until a joint gets closer to its grandparent
+// than `stiffness` × their rest distance, so limbs don't fold flat. The result is sampled into
+// ordinary keyframes after the current frame.
+const RAGDOLL_ITERATIONS = 12; // Constraint passes per step
+const RAGDOLL_STEP_RATE = 240; // Simulation steps per second
+
+// Poses of the figure every 1/keyRate seconds after the start (the start pose itself excluded)
+function simulateRagdoll(start, rig, params) {
+    const { parentMap } = getRigInfo(rig);
+    const substeps = Math.max(1, Math.ceil(RAGDOLL_STEP_RATE / params.keyRate));
+    const dt = 1 / (params.keyRate * substeps);
+    const dist = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+
+    const constraints = [];
+    start.forEach((p, idx) => {
+        const parentIdx = parentMap[idx];
+        if (parentIdx === null) return;
+        constraints.push({ a: parentIdx, b: idx, length: dist(start[parentIdx], p), minOnly: false });
+        const grandIdx = parentMap[parentIdx];
+        if (grandIdx !== null && params.stiffness > 0) {
+            constraints.push({ a: grandIdx, b: idx, length: dist(start[grandIdx], p) * params.stiffness, minOnly: true });
+        }
+    });
+
+    // The impulse is an initial velocity, on one joint or on the whole body
+    const pos = start.map(p => ({ x: p.x, y: p.y }));
+    const prev = pos.map((p, idx) => {
+        const hit = params.impulseJoint === null || params.impulseJoint === idx;
+        return hit ? { x: p.x - params.impulse.x * dt, y: p.y - params.impulse.y * dt } : { ...p };
+    });
+
+    const poses = [];
+    const steps = Math.max(1, Math.round(params.duration * params.keyRate)) * substeps; // At least one key
+    for (let step = 1; step <= steps; step++) {
+        // Integrate (a touch of air drag keeps it from jittering forever)
+        pos.forEach((p, idx) => {
+            const vx = (p.x - prev[idx].x) * 0.999;
+            const vy = (p.y - prev[idx].y) * 0.999;
+            prev[idx] = { x: p.x, y: p.y };
+            p.x += vx;
+            p.y += vy + params.gravity * dt * dt;
+        });
+
+        for (let iter = 0; iter < RAGDOLL_ITERATIONS; iter++) {
+            constraints.forEach(c => {
+                const a = pos[c.a];
+                const b = pos[c.b];
+                const dx = b.x - a.x;
+                const dy = b.y - a.y;
+                const d = Math.hypot(dx, dy);
+                if (d < 0.0001 || (c.minOnly && d >= c.length)) return;
+                const push = (d - c.length) / d * 0.5;
+                a.x += dx * push;
+                a.y += dy * push;
+                b.x -= dx * push;
+                b.y -= dy * push;
+            });
+
+            // Ground: joints can't sink through it
+            pos.forEach(p => {
+                if (p.y > params.ground) p.y = params.ground;
+            });
+        }
+
+        // Joints touching the ground slide with friction, once per step
+        pos.forEach((p, idx) => {
+            if (p.y >= params.ground) prev[idx].x = p.x - (p.x - prev[idx].x) * (1 - params.friction);
+        });
+
+        if (step % substeps === 0) poses.push(pos.map((p, idx) => ({ id: idx, x: p.x, y: p.y })));
+    }
+    return poses;
+}
+
+function generateRagdoll(params) {
+    State.ragdollGround = null; // The dialog is closed either way
+    if (State.isPlaying) {
+        draw();
+        return;
+    }
+    const figIdx = State.selectedFigureIndex;
+    const currentFrame = State.frames[State.currentFrameIndex];
+    const poses = simulateRagdoll(getFigurePoints(currentFrame, figIdx), getFigureRig(figIdx), params);
+    if (poses.length === 0) {
+        draw();
+        return;
+    }
+
+    // Other figures and the props hold the current frame
+    const newFrames = poses.map((points, k) => {
+        const figures = JSON.parse(JSON.stringify(currentFrame.figures));
+        figures[figIdx].points = points;
+        return createFrame(Date.now() + k, 1 / params.keyRate, figures, JSON.parse(JSON.stringify(currentFrame.props)));
+    });
+
+    History.saveState();
+    const at = State.currentFrameIndex + 1;
+    State.frames.splice(at, 0, ...newFrames);
+    selectFrame(at);
+}
+
+// Dialog defaults for the selected figure: ground under its lowest joint, struck at the head if it has one
+function openRagdollDialog() {
+    if (State.isPlaying) return;
+    const figure = State.figures[State.selectedFigureIndex];
+    const points = getEditablePoints();
+
+    selectRagdollJoint.innerHTML = '';
+    const wholeOpt = document.createElement('option');
+    wholeOpt.value = '';
+    wholeOpt.textContent = '(whole body)';
+    selectRagdollJoint.appendChild(wholeOpt);
+    figure.rig.joints.forEach(joint => {
+        const opt = document.createElement('option');
+        opt.value = String(joint.id);
+        opt.textContent = joint.name;
+        selectRagdollJoint.appendChild(opt);
+    });
+    const target = State.selectedPointIndex !== null ? State.selectedPointIndex : figure.style.head.jointId;
+    selectRagdollJoint.value = target === null ? '' : String(target);
+
+    inputRagdollGround.value = Math.round(Math.max(...points.map(p => p.y)));
+    State.ragdollGround = Number(inputRagdollGround.value);
+    ragdollModal.classList.remove('hidden');
+    draw();
+}
+
+function closeRagdollDialog() {
+    ragdollModal.classList.add('hidden');
+    State.ragdollGround = null;
+    draw();
+}
+
+// Dialog values
+function readRagdollParams() {
+    return {
+        duration: readClampedNumber(inputRagdollDuration, 0.2, 5, 1.5),
+        keyRate: Math.round(readClampedNumber(inputRagdollKeyRate, 2, 30, 12)),
+        ground: readClampedNumber(inputRagdollGround, -10000, 10000, canvas.height),
+        gravity: readClampedNumber(inputRagdollGravity, 0, 10000, 1800),
+        impulseJoint: selectRagdollJoint.value === '' ? null : Number(selectRagdollJoint.value),
+        impulse: {
+            x: readClampedNumber(inputRagdollImpulseX, -5000, 5000, 300),
+            y: readClampedNumber(inputRagdollImpulseY, -5000, 5000, 0)
+        },
+        stiffness: readClampedNumber(inputRagdollStiffness, 0, 1, 0.3),
+        friction: readClampedNumber(inputRagdollFriction, 0, 1, 0.6)
+    };
+}
+
+// --- Secondary Motion ---
+// Optional spring pass on top of the keyframed animation. Sprung joints chase their animated
+// position (stiffness pulls, damping calms) while staying at bone length from their parent, so
+// heads and hands drag behind and overshoot. Sprung props swing around their attachment point.
+// The simulation always runs from the start at a fixed step, so the editor and the export agree.
+// Settings: `figure.secondary[jointId]` and `prop.secondary`, both { stiffness, damping }.
+const SECONDARY_DEFAULTS = { stiffness: 120, damping: 10 };
+const SECONDARY_SUBSTEPS = 4; // Simulation steps per baked frame
+
+let secondaryCache = { signature: null, track: null };
+
+function hasSecondaryMotion() {
+    return State.isSecondaryEnabled && (
+        State.figures.some(fig => Object.keys(fig.secondary).length > 0) ||
+        State.props.some(prop => prop.secondary)
+    );
+}
+
+// Simulated scene at every step of the animation (times >= 0), rebuilt after an edit or when a
+// setting it depends on changes. A drag in progress keeps the last track until it is released.
+function getSecondaryTrack() {
+    const signature = JSON.stringify([
+        History.revision, State.figures.map(f => [f.rig, f.secondary]), State.props.map(p => [p.size, p.secondary]),
+        State.playbackMode, CONFIG.bakeFPS
+    ]);
+    if (secondaryCache.signature === signature) return secondaryCache.track;
+    if (State.pressRevision !== null && secondaryCache.track) return secondaryCache.track;
+
+    const dt = 1 / (CONFIG.bakeFPS * SECONDARY_SUBSTEPS);
+    const total = getTotalDuration();
+    // A seamless loop settles over one pre-roll cycle so the springs wrap around cleanly
+    const start = isSeamlessLoop() ? -total : 0;
+    const steps = Math.max(0, Math.ceil((total - start) / dt - 0.0001));
+    const rigInfos = State.figures.map(fig => getRigInfo(fig.rig));
+    const bodies = State.figures.map(() => ({})); // jointId -> { x, y, vx, vy }
+    const propBodies = State.props.map(() => null); // { x, y, vx, vy } of the prop tip
+    const track = { dt, samples: [] };
+
+    const integrate = (body, targetX, targetY, spring) => {
+        const ax = spring.stiffness * (targetX - body.x) - spring.damping * body.vx;
+        const ay = spring.stiffness * (targetY - body.y) - spring.damping * body.vy;
+        body.vx += ax * dt;
+        body.vy += ay * dt;
+        body.x += body.vx * dt;
+        body.y += body.vy * dt;
+    };
+
+    for (let i = 0; i <= steps; i++) {
+        const time = Math.min(start + i * dt, total);
+        const base = getPoseAtTime(time);
+
+        const figures = base.figures.map((figPose, figIdx) => {
+            const settings = State.figures[figIdx].secondary;
+            const { parentMap, traversalOrder } = rigInfos[figIdx];
+            const animated = figPose.points;
+            const points = new Array(animated.length);
+
+            traversalOrder.forEach(idx => {
+                const parentIdx = parentMap[idx];
+                // Target: the animated bone hung from the (possibly sprung) parent
+                const target = parentIdx === null
+                    ? { x: animated[idx].x, y: animated[idx].y }
+                    : {
+                        x: points[parentIdx].x + animated[idx].x - animated[parentIdx].x,
+                        y: points[parentIdx].y + animated[idx].y - animated[parentIdx].y
+                    };
+                const spring = settings[idx];
+                if (!spring) {
+                    points[idx] = { id: idx, x: target.x, y: target.y };
+                    return;
+                }
+
+                let body = bodies[figIdx][idx];
+                if (!body || i === 0) {
+                    body = bodies[figIdx][idx] = { x: target.x, y: target.y, vx: 0, vy: 0 };
+                } else {
+                    integrate(body, target.x, target.y, spring);
+                }
+                if (parentIdx !== null) {
+                    // Keep the bone length
+                    const parent = points[parentIdx];
+                    const length = Math.hypot(animated[idx].x - animated[parentIdx].x, animated[idx].y - animated[parentIdx].y);
+                    const dx = body.x - parent.x;
+                    const dy = body.y - parent.y;
+                    const dist = Math.hypot(dx, dy);
+                    if (dist > 0.0001) {
+                        body.x = parent.x + dx / dist * length;
+                        body.y = parent.y + dy / dist * length;
+                    }
+                }
+                points[idx] = { id: idx, x: body.x, y: body.y };
+            });
+            return { id: figPose.id, points };
+        });
+
+        // Props hang from the simulated joints; sprung ones trail their tip behind
+        const props = getPropsAtTime(time, figures).map((transform, propIdx) => {
+            const prop = State.props[propIdx];
+            if (!prop.secondary) return transform;
+            const reach = Math.max(getPropBounds(prop).x1, 1);
+            const angle = transform.rotation * Math.PI / 180;
+            const targetX = transform.x + Math.cos(angle) * reach;
+            const targetY = transform.y + Math.sin(angle) * reach;
+            let body = propBodies[propIdx];
+            if (!body || i === 0) {
+                body = propBodies[propIdx] = { x: targetX, y: targetY, vx: 0, vy: 0 };
+            } else {
+                integrate(body, targetX, targetY, prop.secondary);
+            }
+            return { ...transform, rotation: Math.atan2(body.y - transform.y, body.x - transform.x) * 180 / Math.PI };
+        });
+
+        if (time >= -0.0001) track.samples.push({ figures, props });
+    }
+
+    secondaryCache = { signature, track };
+    return track;
+}
+
+// getPoseAtTime with the spring pass applied (when enabled)
+function getFinalPoseAtTime(globalTime) {
+    if (!hasSecondaryMotion()) return getPoseAtTime(globalTime);
+    const track = getSecondaryTrack();
+    if (track.samples.length === 0) return getPoseAtTime(globalTime);
+
+    const time = isSeamlessLoop() ? wrapCycleTime(globalTime) : Math.max(0, globalTime);
+    const pos = Math.min(time / track.dt, track.samples.length - 1);
+    const i = Math.floor(pos);
+    const t = pos - i;
+    const a = track.samples[i];
+    const b = track.samples[Math.min(i + 1, track.samples.length - 1)];
+    return {
+        figures: a.figures.map((fig, figIdx) => ({
+            id: fig.id,
+            points: fig.points.map((p, pIdx) => {
+                const q = b.figures[figIdx].points[pIdx];
+                return { id: p.id, x: p.x + (q.x - p.x) * t, y: p.y + (q.y - p.y) * t };
+            })
+        })),
+        props: a.props.map((p, propIdx) => {
+            const q = b.props[propIdx];
+            return {
+                id: p.id,
+                x: p.x + (q.x - p.x) * t,
+                y: p.y + (q.y - p.y) * t,
+                rotation: p.rotation + wrapDegrees(q.rotation - p.rotation) * t
+            };
+        })
+    };
+}
+
+// Selected joints, or the selected prop, as spring targets for the panel
+function getSecondaryTargets() {
+    if (State.selectedPointIndex !== null) {
+        const figure = State.figures[State.selectedFigureIndex];
+        return State.selectedPointIndices.map(idx => ({
+            label: figure.rig.joints[idx].name,
+            get: () => figure.secondary[idx] || null,
+            set: (spring) => {
+                if (spring) figure.secondary[idx] = spring;
+                else delete figure.secondary[idx];
+            }
+        }));
+    }
+    if (State.selectedPropIndex !== null) {
+        const prop = State.props[State.selectedPropIndex];
+        return [{ label: prop.name, get: () => prop.secondary || null, set: (spring) => prop.secondary = spring }];
+    }
+    return [];
+}
+
+function renderSecondaryPanel() {
+    if (!chkSecondary) return;
+    chkSecondary.checked = State.isSecondaryEnabled;
+    const targets = getSecondaryTargets();
+    divSecondaryTarget.classList.toggle('hidden', targets.length === 0);
+    lblSecondaryHint.classList.toggle('hidden', targets.length > 0);
+    if (targets.length > 0) {
+        const spring = targets[0].get();
+        lblSecondaryTarget.textContent = targets.length > 1 ? `${targets.length} joints` : targets[0].label;
+        chkSecondarySpring.checked = !!spring;
+        const values = spring || SECONDARY_DEFAULTS;
+        rngSecondaryStiffness.value = values.stiffness;
+        lblSecondaryStiffness.textContent = values.stiffness;
+        rngSecondaryDamping.value = values.damping;
+        lblSecondaryDamping.textContent = values.damping;
+        rngSecondaryStiffness.disabled = !spring;
+        rngSecondaryDamping.disabled = !spring;
+    }
+
+    // Everything currently sprung, across figures and props
+    const sprung = [];
+    State.figures.forEach(fig => {
+        Object.keys(fig.secondary).forEach(idx => sprung.push(`${fig.name}: ${fig.rig.joints[idx].name}`));
+    });
+    State.props.forEach(prop => {
+        if (prop.secondary) sprung.push(prop.name);
+    });
+    lblSecondaryList.textContent = sprung.length > 0 ? sprung.join(', ') : 'No springs yet.';
+}
+
+// Turns the spring on/off or changes it for every selected joint (or the selected prop)
+function updateSecondarySpring(mutator, saveHistory = true) {
+    const targets = getSecondaryTargets();
+    if (targets.length === 0) return;
+    if (saveHistory) History.saveState();
+    targets.forEach(target => target.set(mutator(target.get())));
+    renderSecondaryPanel();
+}
+
+// Replaces the keyframes with one key per baked frame of the simulated motion,
+// then removes the springs so they don't apply twice
+function bakeSecondaryMotion() {
+    if (State.isPlaying || !hasSecondaryMotion()) return;
+
+    const cyclic = isSeamlessLoop();
+    const total = getTotalDuration();
+    const step = 1 / CONFIG.bakeFPS;
+    const count = Math.max(1, Math.round(total / step));
+    const times = [];
+    for (let i = 0; i < count; i++) times.push(i * step);
+    if (!cyclic) times.push(total);
+
+    const sourceFrames = State.frames;
+    const newFrames = times.map((time, i) => {
+        const pose = getFinalPoseAtTime(time);
+        const keyFrame = sourceFrames[getFrameIndexAtTime(time)];
+        // Props keep the parent of the key in effect, re-expressed in its space
+        const props = pose.props.map((world, propIdx) => {
+            const parent = keyFrame.props[propIdx].parent;
+            const local = worldToPropKey(world, parent, pose.figures.map(fp => fp.points));
+            return createPropKey(world.id, parent, local.x, local.y, local.rotation);
+        });
+        const duration = i < times.length - 1 ? times[i + 1] - time : (cyclic ? total - time : step);
+        return createFrame(Date.now() + i, duration, pose.figures, props);
+    });
+
+    History.saveState();
+    State.frames = newFrames;
+    State.figures.forEach(fig => fig.secondary = {});
+    State.props.forEach(prop => prop.secondary = null);
+    selectFrame(0);
+    renderSecondaryPanel();
+}
+
+// --- Playback Logic ---
+// Seamless loop ('cycle' mode): the last key tweens back into the first over its own duration
+function isSeamlessLoop() {
+    return State.playbackMode === 'cycle' && State.frames.length > 1;
+}
+
+// Keyframe timing: the last key only marks the end, so its duration is not counted
+// (except in a seamless loop, where it is the tween back to the first key)
+function getTotalDuration() {
+    const count = isSeamlessLoop() ? State.frames.length : State.frames.length - 1;
+    let totalDuration = 0;
+    for (let i = 0; i < count; i++) {
+        totalDuration += State.frames[i].duration;
+    }
+    return totalDuration;
+}
+
+// Time folded into one cycle [0, total) for seamless loops
+function wrapCycleTime(time) {
+    const total = getTotalDuration();
+    if (total <= 0) return 0;
+    return ((time % total) + total) % total;
+}
+
+function getFrameStartTime(index) {
+    let time = 0;
+    for (let i = 0; i < index && i < State.frames.length - 1; i++) {
+        time += State.frames[i].duration;
+    }
+    return time;
+}
+
+// Key in effect at a time (the last key at or before it)
+function getFrameIndexAtTime(time) {
+    let start = 0;
+    for (let i = 0; i < State.frames.length - 1; i++) {
+        if (time < start + State.frames[i].duration - 0.0001) return i;
+        start += State.frames[i].duration;
+    }
+    return State.frames.length - 1;
+}
+
+// In/out markers, clamped to the animation; unset markers fall back to its start/end
+function getPlaybackRange() {
+    const total = getTotalDuration();
+    let start = State.loopIn !== null ? Math.min(State.loopIn, total) : 0;
+    let end = State.loopOut !== null ? Math.min(State.loopOut, total) : total;
+    if (end - start < 0.01) {
+        start = 0;
+        end = total;
+    }
+    return { start, end };
+}
+
+function startPlayback() {
+    // Audio Removed
+    const range = getPlaybackRange();
+    // Resume from the playhead when it sits inside the range, otherwise from the range start
+    let from = State.playheadTime;
+    if (from < range.start || from >= range.end - 0.001) {
+        from = State.playbackMode === 'reverse' ? range.end : range.start;
+    }
+
+    State.isPlaying = true;
+    State.isPreviewingTime = false;
+    const offset = State.playbackMode === 'reverse' ? range.end - from : from - range.start;
+    State.playStartTime = performance.now() - offset * 1000;
+    State.playCurrentGlobalTime = from;
+    
+    // Hide UI overlays
+    deselectPoint();
+    
+    btnPlay.classList.add('hidden');
+    btnStop.classList.remove('hidden');
+    if (btnPlayPause) btnPlayPause.textContent = '⏸';
+    requestAnimationFrame(playbackLoop);
+}
+
+// Stops and returns the editor to the current keyframe
+function stopPlayback() {
+    State.isPlaying = false;
+    State.isPreviewingTime = false;
+    State.playheadTime = getFrameStartTime(State.currentFrameIndex);
+    btnPlay.classList.remove('hidden');
+    btnStop.classList.add('hidden');
+    if (btnPlayPause) btnPlayPause.textContent = '▶';
+    renderRuler();
+    draw();
+}
+
+// Stops and keeps showing the pose at the playhead
+function pausePlayback() {
+    if (!State.isPlaying) return;
+    State.isPlaying = false;
+    btnPlay.classList.remove('hidden');
+    btnStop.classList.add('hidden');
+    if (btnPlayPause) btnPlayPause.textContent = '▶';
+    seekPlayhead(State.playCurrentGlobalTime);
+}
+
+function togglePlayback() {
+    if (State.isPlaying) pausePlayback();
+    else startPlayback();
+}
+
+function playbackLoop(timestamp) {
+    if (!State.isPlaying) return;
+
+    const range = getPlaybackRange();
+    let rangeDuration = range.end - range.start;
+    
+    // Prevent div by zero
+    if (rangeDuration <= 0) rangeDuration = 0.1;
+
+    let elapsed = (timestamp - State.playStartTime) / 1000;
+    let effectiveTime = 0;
+
+    if (State.playbackMode === 'loop' || State.playbackMode === 'cycle') {
+        if (elapsed > rangeDuration) {
+            elapsed = elapsed % rangeDuration;
+        }
+        effectiveTime = range.start + elapsed;
+    
+    } else if (State.playbackMode === 'reverse') {
+        // Reverse Loop: End -> Start -> End
+        if (elapsed > rangeDuration) {
+            elapsed = elapsed % rangeDuration;
+        }
+        effectiveTime = range.end - elapsed;
+
+    } else if (State.playbackMode === 'pingpong') {
+        const cycle = rangeDuration * 2;
+        let t = elapsed % cycle;
+        if (t <= rangeDuration) {
+            effectiveTime = range.start + t;
+        } else {
+            effectiveTime = range.end - (t - rangeDuration);
+        }
+    
+    } else if (State.playbackMode === 'once') {
+        if (elapsed >= rangeDuration) {
+            State.playCurrentGlobalTime = range.end; // Set final pose
+            pausePlayback();
+            return;
+        }
+        effectiveTime = range.start + elapsed;
+    }
+
+    State.playCurrentGlobalTime = effectiveTime;
+    State.playheadTime = effectiveTime;
+    renderRuler();
+    draw();
+    requestAnimationFrame(playbackLoop);
+}
+
+// --- Time Ruler ---
+const RULER_PX_PER_SECOND_MIN = 40; // Ruler zooms out below this to fit the whole animation
+
+function getRulerScale() {
+    const total = getTotalDuration();
+    const width = rulerCanvas.clientWidth || rulerCanvas.width;
+    const usable = width - 20;
+    return Math.max(RULER_PX_PER_SECOND_MIN, total > 0 ? usable / total : usable);
+}
+
+function rulerTimeToX(time) {
+    return 10 + time * getRulerScale();
+}
+
+function rulerXToTime(x) {
+    return Math.max(0, Math.min(getTotalDuration(), (x - 10) / getRulerScale()));
+}
+
+function formatTime(time) {
+    const frame = Math.round(time * CONFIG.bakeFPS);
+    return `${time.toFixed(2)}s (f${frame})`;
+}
+
+// Moves the playhead; landing on a key selects it for editing, anything else previews the in-between
+function seekPlayhead(time) {
+    time = Math.max(0, Math.min(getTotalDuration(), time));
+    if (State.isPlaying) {
+        // Rebase the clock so playback continues from here
+        const range = getPlaybackRange();
+        time = Math.max(range.start, Math.min(range.end, time));
+        const offset = State.playbackMode === 'reverse' ? range.end - time : time - range.start;
+        State.playStartTime = performance.now() - offset * 1000;
+        State.playheadTime = time;
+        State.playCurrentGlobalTime = time;
+        renderRuler();
+        return;
+    }
+
+    for (let i = 0; i < State.frames.length; i++) {
+        if (Math.abs(getFrameStartTime(i) - time) < 0.0005) {
+            if (i !== State.currentFrameIndex || State.isPreviewingTime) selectFrame(i);
+            else renderRuler();
+            return;
+        }
+    }
+
+    State.playheadTime = time;
+    State.playCurrentGlobalTime = time;
+    if (!State.isPreviewingTime) {
+        State.isPreviewingTime = true;
+        deselectPoint();
+        deselectProp();
+    }
+    renderRuler();
+    draw();
+}
+
+// One baked frame at a time, on the export's sampling grid
+function stepPlayhead(dir) {
+    if (State.isPlaying) pausePlayback();
+    const step = 1 / CONFIG.bakeFPS;
+    const current = Math.round(State.playheadTime / step);
+    seekPlayhead((current + dir) * step);
+}
+
+function setLoopMarker(which, time) {
+    if (which === 'in') {
+        State.loopIn = time;
+        if (State.loopOut !== null && State.loopOut <= time) State.loopOut = null;
+    } else {
+        State.loopOut = time;
+        if (State.loopIn !== null && State.loopIn >= time) State.loopIn = null;
+    }
+    renderRuler();
+}
+
+function renderRuler() {
+    if (!rulerCanvas) return;
+    const width = rulerCanvas.clientWidth;
+    const height = rulerCanvas.clientHeight;
+    if (rulerCanvas.width !== width) rulerCanvas.width = width;
+    if (rulerCanvas.height !== height) rulerCanvas.height = height;
+    const rctx = rulerCanvas.getContext('2d');
+    if (!rctx) return;
+
+    const total = getTotalDuration();
+    const scale = getRulerScale();
+    rctx.clearRect(0, 0, width, height);
+
+    // In/Out Range
+    if (State.loopIn !== null || State.loopOut !== null) {
+        const range = getPlaybackRange();
+        const x1 = rulerTimeToX(range.start);
+        const x2 = rulerTimeToX(range.end);
+        rctx.fillStyle = 'rgba(59, 130, 246, 0.2)';
+        rctx.fillRect(x1, 0, x2 - x1, height);
+        rctx.fillStyle = '#3b82f6';
+        [[x1, 1], [x2, -1]].forEach(([x, dir]) => {
+            rctx.fillRect(x - 1, 0, 2, height);
+            rctx.fillRect(dir > 0 ? x : x - 6, 0, 6, 2);
+            rctx.fillRect(dir > 0 ? x : x - 6, height - 2, 6, 2);
+        });
+    }
+
+    // Ticks: baked frames when zoomed in, otherwise tenths; labels every second
+    const frameStep = 1 / CONFIG.bakeFPS;
+    const minor = scale * frameStep >= 6 ? frameStep : 0.1;
+    rctx.strokeStyle = '#555';
+    rctx.fillStyle = '#888';
+    rctx.font = '10px sans-serif';
+    rctx.lineWidth = 1;
+    rctx.beginPath();
+    const count = Math.floor(total / minor + 0.0001);
+    for (let i = 0; i <= count; i++) {
+        const t = i * minor;
+        const x = Math.round(rulerTimeToX(t)) + 0.5;
+        const isSecond = Math.abs(t - Math.round(t)) < 0.0001;
+        rctx.moveTo(x, height);
+        rctx.lineTo(x, height - (isSecond ? 12 : 5));
+        if (isSecond) rctx.fillText(Math.round(t) + 's', x + 2, 10);
+    }
+    rctx.stroke();
+
+    // Keyframes
+    State.frames.forEach((frame, i) => {
+        const x = rulerTimeToX(getFrameStartTime(i));
+        const y = height - 8;
+        rctx.fillStyle = i === State.currentFrameIndex && !State.isPreviewingTime ? '#3b82f6' : '#ccc';
+        rctx.beginPath();
+        rctx.moveTo(x, y - 4);
+        rctx.lineTo(x + 4, y);
+        rctx.lineTo(x, y + 4);
+        rctx.lineTo(x - 4, y);
+        rctx.closePath();
+        rctx.fill();
+    });
+
+    // Playhead
+    const px = rulerTimeToX(State.playheadTime);
+    rctx.fillStyle = '#ef4444';
+    rctx.fillRect(px - 1, 0, 2, height);
+    rctx.beginPath();
+    rctx.moveTo(px - 5, 0);
+    rctx.lineTo(px + 5, 0);
+    rctx.lineTo(px, 6);
+    rctx.closePath();
+    rctx.fill();
+
+    if (lblPlayheadTime) lblPlayheadTime.textContent = formatTime(State.playheadTime);
+}
+
+// Dragging near an in/out marker moves it; anywhere else scrubs the playhead (snapping to keys)
+function handleRulerDown(e) {
+    e.preventDefault();
+    const getX = (ev) => {
+        const rect = rulerCanvas.getBoundingClientRect();
+        const point = ev.touches ? ev.touches[0] : ev;
+        return point.clientX - rect.left;
+    };
+
+    let target = 'playhead';
+    const x = getX(e);
+    if (State.loopIn !== null || State.loopOut !== null) {
+        const range = getPlaybackRange();
+        if (State.loopIn !== null && Math.abs(x - rulerTimeToX(range.start)) <= 5) target = 'in';
+        else if (State.loopOut !== null && Math.abs(x - rulerTimeToX(range.end)) <= 5) target = 'out';
+    }
+
+    const update = (ev) => {
+        const px = getX(ev);
+        let time = rulerXToTime(px);
+        for (let i = 0; i < State.frames.length; i++) {
+            const keyTime = getFrameStartTime(i);
+            if (Math.abs(rulerTimeToX(keyTime) - px) <= 4) {
+                time = keyTime;
+                break;
+            }
+        }
+        if (target === 'playhead') seekPlayhead(time);
+        else setLoopMarker(target, time);
+    };
+    const end = () => {
+        window.removeEventListener('mousemove', update);
+        window.removeEventListener('mouseup', end);
+        window.removeEventListener('touchmove', update);
+        window.removeEventListener('touchend', end);
+    };
+
+    update(e);
+    window.addEventListener('mousemove', update);
+    window.addEventListener('mouseup', end);
+    window.addEventListener('touchmove', update, { passive: false });
+    window.addEventListener('touchend', end);
+}
+
+// Interpolated scene at a moment, in `State.figures` / `State.props` order:
+// { figures: [{ id, points }], props: [{ id, x, y, rotation }] } (props in world space)
+function getPoseAtTime(globalTime) {
+    const figures = State.figures.map((figure, figIdx) => ({
+        id: figure.id,
+        points: getFigurePoseAtTime(figIdx, globalTime)
+    }));
+    return {
+        figures: figures,
+        props: getPropsAtTime(globalTime, figures)
+    };
+}
+
+// Props tween between consecutive keys. While the parent stays the same the offset and
+// rotation tween in the parent's space, so a held sword follows the hand's arc; when the
+// parent changes (a ball leaving the hand) the tween runs in world space between the keys.
+function getPropsAtTime(globalTime, figurePoses) {
+    const cyclic = isSeamlessLoop();
+    if (cyclic) globalTime = wrapCycleTime(globalTime);
+    let frameIdx = 0;
+    let frameStart = 0;
+    for (let i = 0; i < State.frames.length - 1; i++) {
+        if (globalTime < frameStart + State.frames[i].duration) break;
+        frameStart += State.frames[i].duration;
+        frameIdx = i + 1;
+    }
+
+    const figurePoints = figurePoses.map(fp => fp.points);
+    const prevFrame = State.frames[frameIdx];
+    // The last key of a seamless loop tweens into the first
+    const nextFrame = State.frames[frameIdx + 1] || (cyclic ? State.frames[0] : undefined);
+    const duration = prevFrame.duration;
+
+    return State.props.map((prop, propIdx) => {
+        const prevKey = prevFrame.props[propIdx];
+        let world;
+
+        if (!nextFrame) {
+            world = getPropWorldTransform(prevKey, figurePoints); // Hold
+        } else {
+            const nextKey = nextFrame.props[propIdx];
+            let localT = duration > 0.0001 ? (globalTime - frameStart) / duration : 0;
+            localT = Math.max(0, Math.min(1, localT));
+            const easedT = getEasingFunction(nextKey.easing)(localT);
+
+            if (isSamePropParent(prevKey.parent, nextKey.parent)) {
+                world = getPropWorldTransform({
+                    parent: prevKey.parent,
+                    x: prevKey.x + (nextKey.x - prevKey.x) * easedT,
+                    y: prevKey.y + (nextKey.y - prevKey.y) * easedT,
+                    rotation: prevKey.rotation + wrapDegrees(nextKey.rotation - prevKey.rotation) * easedT
+                }, figurePoints);
+            } else {
+                const from = getPropWorldTransform(prevKey, getFrameFigurePoints(prevFrame));
+                const to = getPropWorldTransform(nextKey, getFrameFigurePoints(nextFrame));
+                world = {
+                    x: from.x + (to.x - from.x) * easedT,
+                    y: from.y + (to.y - from.y) * easedT,
+                    rotation: from.rotation + wrapDegrees(to.rotation - from.rotation) * easedT
+                };
+            }
+        }
+
+        return { id: prop.id, ...world };
+    });
+}
+
+// Refactored to allow Independent Joint Interpolation (Tweens/Passthrough)
+// Each tween is 'linear' (straight line between the keys) or 'arc' (the bone swings
+// around its parent, keeping limbs from shrinking mid-tween). The mode comes from the
+// target key's point (`interpolation`), else from the frame the tween leaves.
+function getFigurePoseAtTime(figureIndex, globalTime) {
+    const framePoints = State.frames.map(f => getFigurePoints(f, figureIndex));
+    const numPoints = framePoints[0].length;
+    const resultPoints = new Array(numPoints);
+    const { parentMap } = getRigInfo(getFigureRig(figureIndex));
+    
+    // 1. Pre-calculate start times for all frames
+    // (Optimization: Could be cached in State, but fast enough for <100 frames)
+    const frameStartTimes = [];
+    let t = 0;
+    for (let i = 0; i < State.frames.length; i++) {
+        frameStartTimes.push(t);
+        t += State.frames[i].duration;
+    }
+
+    // Frame interval a moment falls in
+    const getFrameIndex = (time) => {
+        let idx = 0;
+        for (let i = 0; i < frameStartTimes.length; i++) {
+            if (time >= frameStartTimes[i]) idx = i;
+        }
+        return idx;
+    };
+
+    // Keys are addressed by a running index `k`. Normally k is just the frame index; in a
+    // seamless loop the keys repeat every cycle (k = n is frame 0 again, one cycle later),
+    // so tweens and passthrough scans wrap from the last key into the first.
+    const numFrames = State.frames.length;
+    const cyclic = isSeamlessLoop();
+    const cycleDuration = t;
+    const keyFrame = (k) => ((k % numFrames) + numFrames) % numFrames;
+    const keyTime = (k) => frameStartTimes[keyFrame(k)] + Math.floor(k / numFrames) * cycleDuration;
+
+    // 2. Resolve a point at a moment between its own keys (non-ignored frames).
+    // Arc tweens also need the parent at both key times, so results are memoised.
+    const cache = {};
+    const resolvePoint = (pIdx, time) => {
+        if (cyclic) time = ((time % cycleDuration) + cycleDuration) % cycleDuration;
+        const cacheKey = pIdx + '@' + time;
+        if (cache[cacheKey]) return cache[cacheKey];
+
+        // Find Prev Key (Last non-ignored frame <= time)
+        let prevIdx = null;
+        // Find Next Key (First non-ignored frame > time)
+        let nextIdx = null;
+
+        // We find the 'current frame index' interval first to start search
+        const tentativeIdx = getFrameIndex(time);
+
+        // Scan back from tentative (a loop scans at most one full cycle each way)
+        const firstK = cyclic ? tentativeIdx - numFrames + 1 : 0;
+        for (let k = tentativeIdx; k >= firstK; k--) {
+            if (!framePoints[keyFrame(k)][pIdx].isIgnored) {
+                prevIdx = k;
+                break;
+            }
+        }
+        // If not found (e.g. Frame 0 is ignored?), fallback to Frame 0
+        if (prevIdx === null) prevIdx = 0;
+
+        // Scan forward for Next
+        const lastK = cyclic ? prevIdx + numFrames : numFrames - 1;
+        for (let k = tentativeIdx + 1; k <= lastK; k++) {
+            if (!framePoints[keyFrame(k)][pIdx].isIgnored) {
+                nextIdx = k;
+                break;
+            }
+        }
+
+        let result;
+        if (nextIdx === null) {
+            // Past the last actual keyframe for this point: hold the last value
+            result = { ...framePoints[keyFrame(prevIdx)][pIdx] };
+        } else {
+            // 3. Interpolate
+            const prevTime = keyTime(prevIdx);
+            const duration = keyTime(nextIdx) - prevTime;
+            let localT = 0;
+            if (duration > 0.0001) {
+                localT = (time - prevTime) / duration;
+            }
+            localT = Math.max(0, Math.min(1, localT));
+
+            // Use Easing from the Target Keyframe
+            const pointStart = framePoints[keyFrame(prevIdx)][pIdx];
+            const pointEnd = framePoints[keyFrame(nextIdx)][pIdx];
+            const easedT = getEasingFunction(pointEnd.easing)(localT);
+
+            const mode = pointEnd.interpolation || State.frames[keyFrame(prevIdx)].interpolation || 'linear';
+            const parentIdx = parentMap[pIdx];
+
+            if (pointEnd.path) {
+                // Curved spatial path: easing drives the position along the bezier
+                const curved = evaluatePathBezier(pointStart, pointEnd, pointEnd.path, easedT);
+                result = { id: pIdx, x: curved.x, y: curved.y };
+            } else if (mode === 'arc' && parentIdx !== null) {
+                // Bone vectors are taken against the parent's pose at each key time
+                const arc = interpolateBoneArc(
+                    resolvePoint(parentIdx, time),
+                    resolvePoint(parentIdx, prevTime), pointStart,
+                    resolvePoint(parentIdx, keyTime(nextIdx)), pointEnd,
+                    easedT
+                );
+                result = { id: pIdx, x: arc.x, y: arc.y };
+            } else {
+                result = {
+                    id: pIdx,
+                    x: pointStart.x + (pointEnd.x - pointStart.x) * easedT,
+                    y: pointStart.y + (pointEnd.y - pointStart.y) * easedT
+                };
+            }
+        }
+
+        cache[cacheKey] = result;
+        return result;
+    };
+
+    for (let pIdx = 0; pIdx < numPoints; pIdx++) {
+        resultPoints[pIdx] = resolvePoint(pIdx, globalTime);
+    }
+    
+    return resultPoints;
+}
+
+function getCurrentInterpolatedPose() {
+    return getFinalPoseAtTime(State.playCurrentGlobalTime);
+}
+
+// Expanded Easing Functions
+const EasingFunctions = {
+    linear: t => t,
+    easeInOutCubic: t => t < .5 ? 4 * t * t * t : (t - 1) * (2 * t - 2) * (2 * t - 2) + 1,
+    easeInQuad: t => t * t,
+    easeOutQuad: t => t * (2 - t),
+    easeOutBack: t => {
+        const c1 = 1.70158;
+        const c3 = c1 + 1;
+        return 1 + c3 * Math.pow(t - 1, 3) + c1 * Math.pow(t - 1, 2);
+    },
+    easeOutElastic: t => {
+        const c4 = (2 * Math.PI) / 3;
+        return t === 0 ? 0 : t === 1 ? 1 : Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * c4) + 1;
+    },
+    easeOutBounce: t => {
+        const n1 = 7.5625;
+        const d1 = 2.75;
+        if (t < 1 / d1) {
+            return n1 * t * t;
+        } else if (t < 2 / d1) {
+            return n1 * (t -= 1.5 / d1) * t + 0.75;
+        } else if (t < 2.5 / d1) {
+            return n1 * (t -= 2.25 / d1) * t + 0.9375;
+        } else {
+            return n1 * (t -= 2.625 / d1) * t + 0.984375;
+        }
+    }
+};
+
+// Besides the names above, a key's `easing` can be 'step' (hold the previous key until this one)
+// or a custom curve stored CSS-style as 'cubic-bezier(x1, y1, x2, y2)'.
+const EASING_STEP = 'step';
+
+// Named curves for the editor (CSS and Penner approximations)
+const EASING_PRESETS = {
+    linear: { label: 'Linear', bezier: [0, 0, 1, 1] },
+    ease: { label: 'Ease', bezier: [0.25, 0.1, 0.25, 1] },
+    easeIn: { label: 'Ease In', bezier: [0.42, 0, 1, 1] },
+    easeOut: { label: 'Ease Out', bezier: [0, 0, 0.58, 1] },
+    easeInOut: { label: 'Ease In-Out', bezier: [0.42, 0, 0.58, 1] },
+    sineInOut: { label: 'Sine In-Out', bezier: [0.445, 0.05, 0.55, 0.95] },
+    expoIn: { label: 'Expo In', bezier: [0.95, 0.05, 0.795, 0.035] },
+    expoOut: { label: 'Expo Out', bezier: [0.19, 1, 0.22, 1] },
+    anticipate: { label: 'Anticipate', bezier: [0.6, -0.28, 0.735, 0.045] },
+    overshoot: { label: 'Overshoot', bezier: [0.175, 0.885, 0.32, 1.275] },
+    snap: { label: 'Snap', bezier: [0.9, 0, 0.1, 1] }
+};
+
+// Closest bezier to each named function, used as the starting point for a custom curve
+const EASING_BEZIER_EQUIVALENTS = {
+    linear: [0, 0, 1, 1],
+    easeInOutCubic: [0.645, 0.045, 0.355, 1],
+    easeInQuad: [0.55, 0.085, 0.68, 0.53],
+    easeOutQuad: [0.25, 0.46, 0.45, 0.94],
+    easeOutBack: [0.175, 0.885, 0.32, 1.275]
+};
+
+// Named curves that are cubic polynomials in t, as the bezier tracing them exactly (x1 = 1/3 and
+// x2 = 2/3 keep x = t). Vector exports turn these into keyframe tangents; easeInOutCubic is
+// piecewise, and elastic/bounce have no curve form.
+const EASING_BEZIER_EXACT = {
+    linear: [0, 0, 1, 1],
+    easeInQuad: [1 / 3, 0, 2 / 3, 1 / 3],
+    easeOutQuad: [1 / 3, 2 / 3, 2 / 3, 1],
+    easeOutBack: [1 / 3, 2.70158 - 2 * 1.70158 / 3, 2 / 3, 1] // Start slope 3·c3 − 2·c1
+};
+
+function parseCubicBezier(easing) {
+    if (typeof easing !== 'string') return null;
+    const match = easing.match(/^cubic-bezier\(([^)]*)\)$/);
+    if (!match) return null;
+    const values = match[1].split(',').map(Number);
+    if (values.length !== 4 || values.some(v => !isFinite(v))) return null;
+    if (values[0] < 0 || values[0] > 1 || values[2] < 0 || values[2] > 1) return null; // x must stay in time order
+    return values;
+}
+
+function formatCubicBezier(bezier) {
+    return `cubic-bezier(${bezier.map(v => Math.round(v * 1000) / 1000).join(', ')})`;
+}
+
+// Bezier control points for any easing, or null when it has no curve form (elastic, bounce, step)
+function getEasingBezier(easing) {
+    return parseCubicBezier(easing) || EASING_BEZIER_EQUIVALENTS[easing || 'linear'] || null;
+}
+
+// Bezier that matches an easing exactly, or null when only an approximation exists
+function getExactEasingBezier(easing) {
+    return parseCubicBezier(easing) || EASING_BEZIER_EXACT[easing || 'linear'] || null;
+}
+
+// y of the curve at time x: invert x(s) with Newton steps, falling back to bisection
+function solveCubicBezier(x1, y1, x2, y2, x) {
+    const sample = (a, b, s) => 3 * a * s * (1 - s) * (1 - s) + 3 * b * s * s * (1 - s) + s * s * s;
+    const slope = (a, b, s) => 3 * a * (1 - s) * (1 - s) + 6 * (b - a) * s * (1 - s) + 3 * (1 - b) * s * s;
+
+    let s = x;
+    for (let i = 0; i < 8; i++) {
+        const err = sample(x1, x2, s) - x;
+        if (Math.abs(err) < 1e-6) return sample(y1, y2, s);
+        const d = slope(x1, x2, s);
+        if (Math.abs(d) < 1e-6) break;
+        s -= err / d;
+    }
+
+    let lo = 0;
+    let hi = 1;
+    s = x;
+    for (let i = 0; i < 30; i++) {
+        const value = sample(x1, x2, s);
+        if (Math.abs(value - x) < 1e-6) break;
+        if (value < x) lo = s;
+        else hi = s;
+        s = (lo + hi) / 2;
+    }
+    return sample(y1, y2, s);
+}
+
+const bezierEasingCache = {};
+
+// Resolves a key's `easing` to a function of t (unknown values fall back to linear)
+function getEasingFunction(easing) {
+    if (!easing) return EasingFunctions.linear;
+    if (EasingFunctions[easing]) return EasingFunctions[easing];
+    if (easing === EASING_STEP) return t => (t < 1 ? 0 : 1);
+    if (!bezierEasingCache[easing]) {
+        const bezier = parseCubicBezier(easing);
+        bezierEasingCache[easing] = bezier
+            ? t => (t <= 0 ? 0 : t >= 1 ? 1 : solveCubicBezier(bezier[0], bezier[1], bezier[2], bezier[3], t))
+            : EasingFunctions.linear;
+    }
+    return bezierEasingCache[easing];
+}
+
+// Valid easing from a file or the clipboard, or undefined
+function normalizeEasing(easing) {
+    if (typeof easing !== 'string') return undefined;
+    if (EasingFunctions[easing] || easing === EASING_STEP) return easing;
+    const bezier = parseCubicBezier(easing);
+    return bezier ? formatCubicBezier(bezier) : undefined;
+}
+
+// The same curve played backwards (for reversed frame ranges); step and the springy curves have no mirror
+function reverseEasing(easing) {
+    if (easing === 'easeInQuad') return 'easeOutQuad';
+    if (easing === 'easeOutQuad') return 'easeInQuad';
+    // Overshoot has no named mirror, so it comes back as a custom curve that dips first
+    const bezier = easing === 'easeOutBack' ? EASING_BEZIER_EXACT.easeOutBack : parseCubicBezier(easing);
+    if (bezier) return formatCubicBezier([1 - bezier[2], 1 - bezier[3], 1 - bezier[0], 1 - bezier[1]]);
+    return easing;
+}
+
+// Arc (FK) tween of one bone: the joint swings around its already-tweened parent,
+// blending the bone's angle (the short way round) and length between the two keys
+function interpolateBoneArc(parentNow, parentA, selfA, parentB, selfB, t) {
+    const dxA = selfA.x - parentA.x;
+    const dyA = selfA.y - parentA.y;
+    const angleA = Math.atan2(dyA, dxA);
+    const lenA = Math.sqrt(dxA*dxA + dyA*dyA);
+
+    const dxB = selfB.x - parentB.x;
+    const dyB = selfB.y - parentB.y;
+    const angleB = Math.atan2(dyB, dxB);
+    const lenB = Math.sqrt(dxB*dxB + dyB*dyB);
+
+    let diff = angleB - angleA;
+    while (diff < -Math.PI) diff += Math.PI * 2;
+    while (diff > Math.PI) diff -= Math.PI * 2;
+    
+    const angleT = angleA + diff * t;
+    const lenT = lenA + (lenB - lenA) * t;
+
+    return {
+        x: parentNow.x + Math.cos(angleT) * lenT,
+        y: parentNow.y + Math.sin(angleT) * lenT
+    };
+}
+
+// --- Export ---
+// Trigger a browser download for a URL (data: or blob:)
+function downloadFile(href, fileName) {
+    const downloadAnchorNode = document.createElement('a');
+    downloadAnchorNode.setAttribute("href", href);
+    downloadAnchorNode.setAttribute("download", fileName);
+    document.body.appendChild(downloadAnchorNode); // required for firefox
+    downloadAnchorNode.click();
+    downloadAnchorNode.remove();
+}
+
+// Downloads generated binary data (GIF, images, video)
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    downloadFile(url, fileName);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Length of the exported clip: ping-pong plays the animation forward then back
+function getExportDuration() {
+    const totalDuration = getTotalDuration();
+    return State.playbackMode === 'pingpong' ? totalDuration * 2 : totalDuration;
+}
+
+// Animation time shown at clip time `t` of the export (ping-pong and reverse play the track backwards)
+function getEffectiveExportTime(t) {
+    const totalDuration = getTotalDuration();
+    let effectiveTime = t;
+    
+    if (State.playbackMode === 'pingpong') {
+        const cycleHalf = totalDuration;
+        // T goes from 0 -> 2*Total
+        // If T <= Total: Normal
+        // If T > Total: Total - (T - Total) = 2*Total - T
+        if (t <= cycleHalf) {
+            effectiveTime = t;
+        } else {
+            effectiveTime = (cycleHalf * 2) - t;
+        }
+    } else if (State.playbackMode === 'reverse') {
+        effectiveTime = totalDuration - t;
+    }
+    
+    // Clamp safely to track range
+    return Math.max(0, Math.min(totalDuration, effectiveTime));
+}
+
+// Baked frames of the export at `fps`: [{ time, pose }], where `time` is the clip time and
+// the pose is taken from the animation time the playback mode maps it to
+function getExportSamples(fps) {
+    const exportDuration = getExportDuration();
+    const samples = [];
+
+    // Generate In-Between Frames
+    // Step through time at 1/FPS increments
+    // We add a tiny epsilon to ensure we catch the exact end point if float math aligns.
+    // A seamless loop stops one frame short: the end pose is the first frame again.
+    const endTime = isSeamlessLoop() ? exportDuration - 0.001 : exportDuration + 0.001;
+    for (let i = 0; i / fps <= endTime; i++) {
+        const t = i / fps;
+        const effectiveTime = getEffectiveExportTime(t);
+        samples.push({ time: t, effectiveTime: effectiveTime, pose: getFinalPoseAtTime(effectiveTime) });
+    }
+    return samples;
+}
+
+function showExportModal() {
+    const FPS = CONFIG.bakeFPS; // Baking Frame Rate
+    const exportDuration = getExportDuration();
+
+    const bakedFrames = getExportSamples(FPS).map(({ time, pose }) => ({
+        time: parseFloat(time.toFixed(3)),
+        figures: pose.figures.map(fig => ({
+            id: fig.id,
+            points: fig.points.map(p => ({
+                id: p.id,
+                x: Math.round(p.x * 10) / 10,
+                y: Math.round(p.y * 10) / 10
+            }))
+        })),
+        // Props in world space (rotation in degrees)
+        props: pose.props.map(prop => ({
+            id: prop.id,
+            x: Math.round(prop.x * 10) / 10,
+            y: Math.round(prop.y * 10) / 10,
+            rotation: Math.round(prop.rotation * 10) / 10
+        }))
+    }));
 
-        if (useJitter) {
-            sx += (Math.random() - 0.5) * 3;
-            sy += (Math.random() - 0.5) * 3;
-            ex += (Math.random() - 0.5) * 3;
-            ey += (Math.random() - 0.5) * 3;
-        }
+    const exportData = {
+        meta: {
+            name: "stickman_project",
+            fps: FPS,
+            mode: State.playbackMode,
+            totalDuration: parseFloat(exportDuration.toFixed(2)),
+            totalFrames: bakedFrames.length
+        },
+        // Scene Figures (names/colours/rigs, matched by id in the frames below)
+        figures: State.figures.map(fig => ({
+            id: fig.id,
+            name: fig.name,
+            color: fig.color,
+            rig: fig.rig,
+            style: fig.style,
+            secondary: fig.secondary
+        })),
+        // Scene Props (shape/colour/size, matched by id in the frames below)
+        props: State.props.map(prop => {
+            const meta = { id: prop.id, name: prop.name, shape: prop.shape, color: prop.color, size: prop.size };
+            if (prop.image) meta.image = prop.image;
+            if (prop.secondary) meta.secondary = prop.secondary;
+            return meta;
+        }),
+        // Original Keyframes (for editing)
+        keyframes: State.frames.map((f, i) => ({
+            id: i + 1,
+            duration: f.duration,
+            ...(f.interpolation ? { interpolation: f.interpolation } : {}),
+            figures: f.figures.map(fig => ({
+                id: fig.id,
+                points: fig.points.map(p => {
+                    const pt = { id: p.id, x: Math.round(p.x), y: Math.round(p.y) };
+                    if (p.easing) pt.easing = p.easing;
+                    if (p.interpolation) pt.interpolation = p.interpolation;
+                    if (p.isPinned) pt.isPinned = true;
+                    if (p.path) pt.path = p.path;
+                    return pt;
+                })
+            })),
+            // Prop keys, local to their parent joint (parent null = world space)
+            props: f.props.map(k => {
+                const key = {
+                    id: k.id,
+                    parent: k.parent,
+                    x: Math.round(k.x * 10) / 10,
+                    y: Math.round(k.y * 10) / 10,
+                    rotation: Math.round(k.rotation * 10) / 10
+                };
+                if (k.easing) key.easing = k.easing;
+                return key;
+            })
+        })),
+        // Baked Animation (Result with in-betweens)
+        bakedAnimation: bakedFrames
+    };
+    
+    exportOutput.value = JSON.stringify(exportData, null, 2);
+    if (selectExportFormat) updateExportFormat();
+    exportModal.classList.remove('hidden');
+}
 
-        context.moveTo(sx, sy);
-        // Add a slight curve control point for "imperfect" lines? 
-        // For now, straight lines with endpoint jitter is effective enough for "Stickman" style.
-        context.lineTo(ex, ey);
+// --- Rendered Export ---
+// Image and video formats draw the baked samples of `getExportSamples` the way playback does
+// (final render: no selection, joints per style) into an offscreen canvas.
+const EXPORT_FORMATS = {
+    json: { label: 'JSON (Project + Baked)', extension: 'json' },
+    gif: { label: 'Animated GIF', extension: 'gif', options: 'export-gif-options', fps: 15 },
+    spritesheet: { label: 'Sprite Sheet + Atlas', extension: 'png', options: 'export-sprite-options', fps: 12, sizeLabel: 'Cell Size (px)' },
+    pngsequence: { label: 'PNG Sequence (zip)', extension: 'zip', options: 'export-sprite-options', fps: 12, sizeLabel: 'Cell Size (px)' },
+    webm: { label: 'WebM Video', extension: 'webm', options: 'export-webm-options', fps: 30, opaque: true },
+    svg: { label: 'SVG (Current Frame)', extension: 'svg', options: 'export-svg-options', vector: true, still: true },
+    animatedsvg: { label: 'Animated SVG', extension: 'svg', options: 'export-svg-options', fps: 30, vector: true },
+    lottie: { label: 'Lottie JSON', extension: 'json', options: 'export-lottie-options', fps: CONFIG.bakeFPS, vector: true }
+};
+
+function getSelectedExportFormat() {
+    return EXPORT_FORMATS[selectExportFormat.value] ? selectExportFormat.value : 'json';
+}
+
+// Shows the options of the chosen format
+function updateExportFormat() {
+    const format = getSelectedExportFormat();
+    const info = EXPORT_FORMATS[format];
+    divExportJsonOptions.classList.toggle('hidden', format !== 'json');
+    divExportRenderOptions.classList.toggle('hidden', format === 'json');
+    Object.keys(EXPORT_FORMATS).forEach(key => {
+        const panel = EXPORT_FORMATS[key].options && document.getElementById(EXPORT_FORMATS[key].options);
+        if (panel) panel.classList.toggle('hidden', info.options !== EXPORT_FORMATS[key].options);
     });
-    context.stroke();
+    if (info.fps) inputExportFps.value = info.fps;
+    lblExportSize.textContent = info.sizeLabel || 'Size (px)';
+    inputExportPadding.disabled = format !== 'spritesheet';
+    // Video has no alpha channel
+    chkExportTransparent.disabled = !!info.opaque;
+    if (info.opaque) chkExportTransparent.checked = false;
+    inputExportBgColor.disabled = chkExportTransparent.checked;
+    // Vector output is a single pose or keyframed motion, without the rotoscope media
+    inputExportFps.disabled = !!info.still;
+    chkExportRotoscope.disabled = !!info.vector;
+    if (info.vector) chkExportRotoscope.checked = false;
+    lblExportStatus.textContent = '';
+    btnDownload.textContent = `Download ${info.extension.toUpperCase()}`;
+}
 
-    if (scale === 1) { 
-        points.forEach(p => {
-            context.beginPath();
-            
-            // Visual feedback for interaction
-            const isSelected = State.selectedPointIndex === p.id && !State.isPlaying;
-            
-            // Determine Color
-            if (isSelected) context.fillStyle = '#ff5252'; 
-            else context.fillStyle = CONFIG.junctionColor;
-            
-            let px = p.x;
-            let py = p.y;
-            
-            if (useJitter) {
-                px += (Math.random() - 0.5) * 2;
-                py += (Math.random() - 0.5) * 2;
-            }
+// Dialog values shared by every rendered format
+function readExportRenderOptions() {
+    return {
+        fps: readClampedNumber(inputExportFps, 1, 60, 15),
+        width: Math.round(readClampedNumber(inputExportWidth, 16, 4096, canvas.width)),
+        height: Math.round(readClampedNumber(inputExportHeight, 16, 4096, canvas.height)),
+        background: inputExportBgColor.value,
+        transparent: chkExportTransparent.checked,
+        includeBackground: chkExportRotoscope.checked
+    };
+}
 
-            context.arc(px, py, CONFIG.pointRadius, 0, Math.PI * 2);
-            
-            // Passthrough Visualization (Hollow if ignored)
-            // Note: In playback 'points' is the interpolated result so it doesn't have 'isIgnored'
-            // We check this mainly for Edit mode where we pass raw frame points.
-            if (p.isIgnored && !State.isPlaying) {
-                 context.lineWidth = 2;
-                 context.strokeStyle = context.fillStyle;
-                 context.fillStyle = 'rgba(0,0,0,0.5)'; // Transparent center
-                 context.fill();
-                 context.stroke();
-            } else {
-                 context.fill();
-            }
+const MEDIA_SEEK_TIMEOUT = 5000; // ms to wait for a rotoscope video frame before giving up
+
+// Moves a rotoscope video to `time` and waits until its frame is ready (images are always ready).
+// Rejects when the video fails or never seeks, so the export stops with an error.
+function seekBackgroundMedia(time) {
+    const bg = State.background;
+    if (!bg || bg.type !== 'video' || !bg.media.duration) return Promise.resolve();
+    const media = bg.media;
+    const target = Math.min(time, media.duration);
+    if (Math.abs(media.currentTime - target) < 0.001) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+        const finish = (error) => {
+            clearTimeout(timer);
+            media.removeEventListener('seeked', onSeeked);
+            media.removeEventListener('error', onError);
+            if (error) reject(error);
+            else resolve();
+        };
+        const onSeeked = () => finish(null);
+        const onError = () => finish(new Error('The rotoscope video could not be read'));
+        const timer = setTimeout(() => finish(new Error('The rotoscope video did not seek in time')), MEDIA_SEEK_TIMEOUT);
+        media.addEventListener('seeked', onSeeked);
+        media.addEventListener('error', onError);
+        media.currentTime = target;
+    });
+}
+
+// One exported frame of the scene, the editor canvas scaled to fit the target size (centred).
+// Returns the mapping used: target = scene * scale + offset.
+async function renderExportFrame(context, sample, options) {
+    const scale = Math.min(context.canvas.width / canvas.width, context.canvas.height / canvas.height);
+    const offsetX = (context.canvas.width - canvas.width * scale) / 2;
+    const offsetY = (context.canvas.height - canvas.height * scale) / 2;
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    context.clearRect(0, 0, context.canvas.width, context.canvas.height);
+    if (!options.transparent) {
+        context.fillStyle = options.background;
+        context.fillRect(0, 0, context.canvas.width, context.canvas.height);
+    }
+
+    context.setTransform(scale, 0, 0, scale, offsetX, offsetY);
+    if (options.includeBackground && State.background && State.background.media) {
+        await seekBackgroundMedia(sample.effectiveTime);
+        drawBackgroundMedia(context);
+    }
+    sample.pose.figures.forEach((figPose, figIdx) => {
+        const figure = State.figures[figIdx];
+        drawStickman(context, figPose.points, figure.color, 1, 1, 0, 0, !!options.jitter, null, figure.rig, figure.style, true);
+    });
+    sample.pose.props.forEach((transform, propIdx) => drawProp(context, State.props[propIdx], transform, 1));
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    return { scale, offsetX, offsetY };
+}
+
+function createExportCanvas(width, height) {
+    const offscreen = document.createElement('canvas');
+    offscreen.width = width;
+    offscreen.height = height;
+    return offscreen;
+}
+
+// Lets the modal repaint between frames of a long export
+function yieldToBrowser() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+async function exportGIF(fileName, options) {
+    const offscreen = createExportCanvas(options.width, options.height);
+    const context = offscreen.getContext('2d');
+    const samples = getExportSamples(options.fps);
+    const encoder = createGIFEncoder(options.width, options.height, {
+        loops: options.loops,
+        transparent: options.transparent
+    });
+
+    // Delays are whole hundredths of a second; rounding the running time keeps the total exact
+    const toCentiseconds = (time) => Math.round(time * 100);
+    for (let i = 0; i < samples.length; i++) {
+        lblExportStatus.textContent = `Encoding frame ${i + 1} / ${samples.length}...`;
+        await renderExportFrame(context, samples[i], options);
+        const delay = toCentiseconds((i + 1) / options.fps) - toCentiseconds(i / options.fps);
+        encoder.addFrame(context.getImageData(0, 0, options.width, options.height).data, delay);
+        await yieldToBrowser();
+    }
+
+    downloadBlob(encoder.finish(), fileName);
+    lblExportStatus.textContent = `Saved ${samples.length} frames.`;
+}
+
+// Renders every sample into a cell-sized canvas. Trimmed frames keep only the pixels that differ
+// from the empty background; `source` is where the kept rect sits inside the full cell.
+// The pivot is the first figure's root (pelvis) in cell pixels.
+async function renderSpriteFrames(options) {
+    const cell = createExportCanvas(options.width, options.height);
+    const context = cell.getContext('2d');
+    const samples = getExportSamples(options.fps);
+    const rootIdx = getRigInfo(State.figures[0].rig).roots[0];
+    const toMilliseconds = (time) => Math.round(time * 1000);
+    const frames = [];
+
+    for (let i = 0; i < samples.length; i++) {
+        lblExportStatus.textContent = `Rendering frame ${i + 1} / ${samples.length}...`;
+        const view = await renderExportFrame(context, samples[i], options);
+        const source = options.trim ? getTrimRect(context, options) : { x: 0, y: 0, w: options.width, h: options.height };
+
+        const image = createExportCanvas(source.w, source.h);
+        image.getContext('2d').drawImage(cell, source.x, source.y, source.w, source.h, 0, 0, source.w, source.h);
+        const root = samples[i].pose.figures[0].points[rootIdx];
+        frames.push({
+            image: image,
+            source: source,
+            duration: toMilliseconds((i + 1) / options.fps) - toMilliseconds(i / options.fps),
+            pivot: { x: root.x * view.scale + view.offsetX, y: root.y * view.scale + view.offsetY }
         });
+        await yieldToBrowser();
     }
+    return frames;
+}
 
-    context.globalAlpha = 1.0;
+// Bounds of the drawn pixels (transparent, or different from the background colour)
+function getTrimRect(context, options) {
+    const { width, height } = context.canvas;
+    const data = context.getImageData(0, 0, width, height).data;
+    const bg = parseInt(options.background.slice(1), 16);
+    const bgR = (bg >> 16) & 0xff;
+    const bgG = (bg >> 8) & 0xff;
+    const bgB = bg & 0xff;
+    let x0 = width;
+    let y0 = height;
+    let x1 = -1;
+    let y1 = -1;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const o = (y * width + x) * 4;
+            const isContent = options.transparent
+                ? data[o + 3] > 0
+                : Math.abs(data[o] - bgR) > 2 || Math.abs(data[o + 1] - bgG) > 2 || Math.abs(data[o + 2] - bgB) > 2;
+            if (!isContent) continue;
+            if (x < x0) x0 = x;
+            if (x > x1) x1 = x;
+            if (y < y0) y0 = y;
+            if (y > y1) y1 = y;
+        }
+    }
+    if (x1 < 0) return { x: 0, y: 0, w: 1, h: 1 }; // Empty frame
+    return { x: x0, y: y0, w: x1 - x0 + 1, h: y1 - y0 + 1 };
 }
 
-// --- Timeline & Frames ---
-function renderTimeline() {
-    timelineTrack.innerHTML = '';
-    
-    State.frames.forEach((frame, index) => {
-        // 1. Frame Unit Container
-        const frameUnit = document.createElement('div');
-        frameUnit.className = 'frame-unit';
+// One atlas entry in the common JSON-hash layout (TexturePacker, Phaser, PixiJS).
+// Pivot is normalised to the trimmed frame, like TexturePacker's.
+function createAtlasFrame(frame, rect, options) {
+    return {
+        frame: rect,
+        rotated: false,
+        trimmed: !!options.trim,
+        spriteSourceSize: frame.source,
+        sourceSize: { w: options.width, h: options.height },
+        duration: frame.duration,
+        pivot: {
+            x: Math.round((frame.pivot.x - frame.source.x) / frame.source.w * 10000) / 10000,
+            y: Math.round((frame.pivot.y - frame.source.y) / frame.source.h * 10000) / 10000
+        }
+    };
+}
 
-        // 2. Frame Card
-        const card = document.createElement('div');
-        card.className = `frame-card ${index === State.currentFrameIndex ? 'active' : ''}`;
-        card.onclick = () => selectFrame(index);
+function createAtlasMeta(imageName, size, options) {
+    return {
+        app: 'stickmotion',
+        image: imageName,
+        format: 'RGBA8888',
+        size: size,
+        scale: 1,
+        fps: options.fps
+    };
+}
 
-        // Thumbnail
-        const thumbCanvas = document.createElement('canvas');
-        thumbCanvas.width = 60;
-        thumbCanvas.height = 80;
-        const thumbCtx = thumbCanvas.getContext('2d');
-        // Simple scale down: 800x600 -> 60x45 roughly (fit in 60x80)
-        // Scale factor: 60/800 = 0.075
-        drawStickman(thumbCtx, frame.points, '#000', 1, 0.075, 0, 10); 
+function getExportFrameName(baseName, index) {
+    return `${baseName}_${String(index + 1).padStart(4, '0')}.png`;
+}
 
-        const num = document.createElement('div');
-        num.className = 'frame-num';
-        num.textContent = index + 1;
+function canvasToPNGBytes(source) {
+    return new Promise((resolve, reject) => {
+        source.toBlob(blob => {
+            if (!blob) {
+                reject(new Error('The browser could not encode the PNG.'));
+                return;
+            }
+            blob.arrayBuffer().then(buffer => resolve(new Uint8Array(buffer)), reject);
+        }, 'image/png');
+    });
+}
 
-        card.appendChild(thumbCanvas);
-        card.appendChild(num);
-        
-        // Delete Button (if > 1 frame)
-        if (State.frames.length > 1) {
-            const delBtn = document.createElement('div');
-            delBtn.className = 'delete-frame';
-            delBtn.innerHTML = '&times;';
-            delBtn.title = "Delete Frame";
-            delBtn.onclick = (e) => {
-                e.stopPropagation();
-                deleteFrame(index);
-            };
-            frameUnit.appendChild(delBtn);
+// Packs the frames in a grid (cells as big as the largest frame) and saves the PNG with its atlas
+async function exportSpriteSheet(fileName, options) {
+    const baseName = fileName.replace(/\.png$/i, '');
+    const frames = await renderSpriteFrames(options);
+    const cellW = Math.max(...frames.map(f => f.source.w));
+    const cellH = Math.max(...frames.map(f => f.source.h));
+    const columns = Math.ceil(Math.sqrt(frames.length));
+    const rows = Math.ceil(frames.length / columns);
+    const pad = options.padding;
+
+    const sheet = createExportCanvas(pad + columns * (cellW + pad), pad + rows * (cellH + pad));
+    const sheetContext = sheet.getContext('2d');
+    const atlas = { frames: {}, animations: { [baseName]: [] }, meta: null };
+    frames.forEach((frame, i) => {
+        const rect = {
+            x: pad + (i % columns) * (cellW + pad),
+            y: pad + Math.floor(i / columns) * (cellH + pad),
+            w: frame.source.w,
+            h: frame.source.h
+        };
+        sheetContext.drawImage(frame.image, rect.x, rect.y);
+        const name = getExportFrameName(baseName, i);
+        atlas.frames[name] = createAtlasFrame(frame, rect, options);
+        atlas.animations[baseName].push(name);
+    });
+    atlas.meta = createAtlasMeta(`${baseName}.png`, { w: sheet.width, h: sheet.height }, options);
+
+    lblExportStatus.textContent = 'Encoding sprite sheet...';
+    const png = await canvasToPNGBytes(sheet);
+    downloadBlob(new Blob([png], { type: 'image/png' }), `${baseName}.png`);
+    downloadBlob(new Blob([JSON.stringify(atlas, null, 2)], { type: 'application/json' }), `${baseName}.json`);
+    lblExportStatus.textContent = `Saved ${frames.length} frames (${sheet.width}×${sheet.height}) and the atlas.`;
+}
+
+// Numbered PNGs plus the atlas (each frame is its own image) in one zip
+async function exportPNGSequence(fileName, options) {
+    const baseName = fileName.replace(/\.zip$/i, '');
+    const frames = await renderSpriteFrames(options);
+    const zip = createZipWriter();
+    const atlas = { frames: {}, animations: { [baseName]: [] }, meta: null };
+
+    for (let i = 0; i < frames.length; i++) {
+        lblExportStatus.textContent = `Encoding frame ${i + 1} / ${frames.length}...`;
+        const frame = frames[i];
+        const name = getExportFrameName(baseName, i);
+        zip.addFile(name, await canvasToPNGBytes(frame.image));
+        atlas.frames[name] = createAtlasFrame(frame, { x: 0, y: 0, w: frame.source.w, h: frame.source.h }, options);
+        atlas.animations[baseName].push(name);
+    }
+    atlas.meta = createAtlasMeta(null, { w: options.width, h: options.height }, options);
+    zip.addFile(`${baseName}.json`, new TextEncoder().encode(JSON.stringify(atlas, null, 2)));
+
+    downloadBlob(zip.finish(), `${baseName}.zip`);
+    lblExportStatus.textContent = `Saved ${frames.length} frames.`;
+}
+
+// Encodes offline with WebCodecs (each frame is rendered and timestamped from the sample time,
+// so the result doesn't depend on playback timing), then muxes the chunks into WebM.
+async function exportWebM(fileName, options) {
+    if (typeof VideoEncoder === 'undefined' || typeof VideoFrame === 'undefined') {
+        throw new Error('This browser cannot encode video (WebCodecs is not available).');
+    }
+
+    // VP9 where available, else VP8; both want even dimensions
+    const width = Math.max(2, Math.round(options.width / 2) * 2);
+    const height = Math.max(2, Math.round(options.height / 2) * 2);
+    const baseConfig = { width, height, bitrate: options.bitrate, framerate: options.fps };
+    let config = null;
+    for (const codec of WEBM_CODECS) {
+        const candidate = { ...baseConfig, codec: codec.config };
+        const support = await VideoEncoder.isConfigSupported(candidate);
+        if (support.supported) {
+            config = { ...candidate, trackCodec: codec.track };
+            break;
         }
+    }
+    if (!config) throw new Error('This browser cannot encode VP8 or VP9 video.');
+
+    const chunks = [];
+    let failure = null;
+    const encoder = new VideoEncoder({
+        output: (chunk) => {
+            const data = new Uint8Array(chunk.byteLength);
+            chunk.copyTo(data);
+            chunks.push({ data, timestamp: chunk.timestamp, isKey: chunk.type === 'key' });
+        },
+        error: (err) => failure = err
+    });
+    encoder.configure({ codec: config.codec, width, height, bitrate: config.bitrate, framerate: config.framerate });
+
+    const offscreen = createExportCanvas(width, height);
+    const context = offscreen.getContext('2d');
+    const samples = getExportSamples(options.fps);
+    const frameDuration = Math.round(1e6 / options.fps); // Microseconds
+    const keyInterval = Math.max(1, Math.round(options.fps * 2));
+
+    for (let i = 0; i < samples.length; i++) {
+        if (failure) throw failure;
+        lblExportStatus.textContent = `Encoding frame ${i + 1} / ${samples.length}...`;
+        await renderExportFrame(context, samples[i], { ...options, transparent: false });
+        const frame = new VideoFrame(offscreen, { timestamp: Math.round(samples[i].time * 1e6), duration: frameDuration });
+        encoder.encode(frame, { keyFrame: i % keyInterval === 0 });
+        frame.close();
+        // Keep the encoder queue short so memory stays flat on long clips
+        while (encoder.encodeQueueSize > 4) await yieldToBrowser();
+        await yieldToBrowser();
+    }
+    await encoder.flush();
+    encoder.close();
+    if (failure) throw failure;
 
-        frameUnit.appendChild(card);
-        timelineTrack.appendChild(frameUnit);
+    const duration = samples.length / options.fps * 1000;
+    downloadBlob(muxWebM(chunks, { width, height, codec: config.trackCodec, duration }), fileName);
+    lblExportStatus.textContent = `Saved ${samples.length} frames (${width}×${height}).`;
+}
 
-        // 3. Interpolator (if not last frame)
-        if (index < State.frames.length - 1) {
-            const interp = document.createElement('div');
-            interp.className = 'interpolator';
+// --- Vector Export ---
+// SVG follows drawStickman's final render: one line per rig bone in its style width and colour,
+// the head circle, and junction dots when the style shows them. Coordinates stay in editor
+// canvas units; the viewBox fits them into the chosen size like renderExportFrame does.
 
-            const tag = document.createElement('span');
-            tag.className = 'duration-tag';
-            tag.textContent = frame.duration + 's';
+// Pose the editor is showing: the playing/scrubbed in-between, or the current keyframe
+function getDisplayedPose() {
+    if (State.isPlaying || State.isPreviewingTime) return getCurrentInterpolatedPose();
+    const frame = State.frames[State.currentFrameIndex];
+    return {
+        figures: State.figures.map((fig, figIdx) => ({ id: fig.id, points: getFigurePoints(frame, figIdx) })),
+        props: getFramePropTransforms(frame)
+    };
+}
 
-            const range = document.createElement('input');
-            range.type = 'range';
-            range.min = '0.1';
-            range.max = '3.0';
-            range.step = '0.1';
-            range.value = frame.duration;
-            range.title = `Access Transition Time: ${frame.duration}s`;
-            range.oninput = (e) => {
-                const val = parseFloat(e.target.value);
-                frame.duration = val;
-                tag.textContent = val + 's';
-            };
+// Memoised getFinalPoseAtTime, for exporters that read every joint at the same moments
+function createPoseSampler() {
+    const cache = new Map();
+    return (time) => {
+        if (!cache.has(time)) cache.set(time, getFinalPoseAtTime(time));
+        return cache.get(time);
+    };
+}
 
-            interp.appendChild(tag);
-            interp.appendChild(range);
-            timelineTrack.appendChild(interp);
+// Motion of one joint as keys a vector format can replay: [{ time, x, y, ease }] in clip time.
+// `ease` shapes the tween arriving at the key: 'linear' or cubic-bezier control points. A hold
+// is a flat tween followed by a jump (two keys at the same time). Tweens that aren't a straight
+// eased line (arcs, curved paths, springs, easings `canMap` rejects) are baked at `fps`.
+function getJointTrack(figIdx, pIdx, fps, canMap, samplePose) {
+    const figure = State.figures[figIdx];
+    const parentIdx = getRigInfo(figure.rig).parentMap[pIdx];
+    const cyclic = isSeamlessLoop();
+    const total = getTotalDuration();
+    const isSimulated = State.isSecondaryEnabled && Object.keys(figure.secondary).length > 0;
+    const at = (time) => samplePose(time).figures[figIdx].points[pIdx];
+    const keyPoint = (frameIdx) => getFigurePoints(State.frames[frameIdx], figIdx)[pIdx];
+
+    // Easing of the tween from key frame `a` into key frame `b` (null = bake it)
+    const getEase = (a, b) => {
+        const end = keyPoint(b);
+        const mode = end.interpolation || State.frames[a].interpolation || 'linear';
+        if (isSimulated || end.path || (mode === 'arc' && parentIdx !== null)) return null;
+        if (end.easing === EASING_STEP) return EASING_STEP;
+        if (!end.easing || end.easing === 'linear') return 'linear';
+        const bezier = getExactEasingBezier(end.easing);
+        return bezier && canMap(bezier) ? bezier : null;
+    };
+
+    // The joint's own keys skip passthrough frames (frame 0 always counts outside a loop)
+    const keyFrames = [];
+    State.frames.forEach((frame, i) => {
+        if (!getFigurePoints(frame, figIdx)[pIdx].isIgnored || (i === 0 && !cyclic)) keyFrames.push(i);
+    });
+    // Tweens between the keys: `to` is the key frame reached at `end` (null mid-tween)
+    const spans = [];
+    for (let i = 0; i + 1 < keyFrames.length; i++) {
+        spans.push({
+            start: getFrameStartTime(keyFrames[i]),
+            end: getFrameStartTime(keyFrames[i + 1]),
+            from: keyFrames[i],
+            to: keyFrames[i + 1],
+            ease: getEase(keyFrames[i], keyFrames[i + 1])
+        });
+    }
+    if (cyclic && keyFrames.length > 1) {
+        // The tween back into the first key; one that crosses the cycle start is baked
+        const first = keyFrames[0];
+        const last = keyFrames[keyFrames.length - 1];
+        if (first === 0) {
+            spans.push({ start: getFrameStartTime(last), end: total, from: last, to: 0, ease: getEase(last, 0) });
+        } else {
+            spans.unshift({ start: 0, end: getFrameStartTime(first), from: null, to: first, ease: null });
+            spans.push({ start: getFrameStartTime(last), end: total, from: last, to: null, ease: null });
+        }
+    }
+
+    const keys = [];
+    const push = (time, point, ease) => keys.push({ time: time, x: point.x, y: point.y, ease: ease });
+    push(0, at(0), 'linear');
+    spans.forEach(({ start, end, from, to, ease }) => {
+        if (ease === EASING_STEP) {
+            push(end, keyPoint(from), 'linear');
+            push(end, keyPoint(to), 'linear');
+        } else if (ease) {
+            push(end, keyPoint(to), ease);
+        } else {
+            for (let i = Math.floor(start * fps + 0.0001) + 1; i / fps < end - 0.0001; i++) push(i / fps, at(i / fps), 'linear');
+            // A stepped key still jumps; a tween lands exactly on its key (springs shift even that)
+            if (to !== null && keyPoint(to).easing === EASING_STEP) push(end, at(end - 0.0001), 'linear');
+            push(end, to === null || isSimulated ? at(end) : keyPoint(to), 'linear');
         }
     });
-    
-    // Update Global Delete Button Visibility
-    updateUIControls();
+    // Held after its last key
+    if (keys[keys.length - 1].time < total) push(total, at(total), 'linear');
 
-    // 4. Add Frame Placeholder at the end
-    const addBtn = document.createElement('div');
-    addBtn.className = 'add-frame-div';
-    addBtn.innerHTML = '+';
-    addBtn.onclick = addNewFrame;
-    timelineTrack.appendChild(addBtn);
+    return mapTrackToClip(keys, total);
+}
+
+// Plays animation-time keys the way the export's playback mode does (see getEffectiveExportTime)
+function mapTrackToClip(keys, total) {
+    const reverseEase = (ease) => (ease === 'linear' ? ease : [1 - ease[2], 1 - ease[3], 1 - ease[0], 1 - ease[1]]);
+    const backwards = keys.slice().reverse().map((key, i, list) => ({
+        ...key,
+        time: total - key.time,
+        ease: i === 0 ? 'linear' : reverseEase(list[i - 1].ease)
+    }));
+    if (State.playbackMode === 'reverse') return backwards;
+    if (State.playbackMode === 'pingpong') return keys.concat(backwards.slice(1).map(key => ({ ...key, time: key.time + total })));
+    return keys;
+}
+
+// World transform of every prop at `fps` over the clip as linear keys. Props hang from
+// interpolated joints, so their motion is always baked.
+function getPropTracks(fps, samplePose) {
+    const duration = getExportDuration();
+    const times = [];
+    for (let i = 0; i / fps < duration - 0.0001; i++) times.push(i / fps);
+    times.push(duration);
+
+    return State.props.map((prop, propIdx) => {
+        let rotation = null;
+        return times.map(time => {
+            const transform = samplePose(getEffectiveExportTime(time)).props[propIdx];
+            // Unwrapped, so turning past ±180° doesn't spin back the long way
+            rotation = rotation === null ? transform.rotation : rotation + wrapDegrees(transform.rotation - rotation);
+            return { time: time, x: transform.x, y: transform.y, rotation: rotation, ease: 'linear' };
+        });
+    });
+}
+
+function svgNumber(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+function escapeXML(text) {
+    return String(text).replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[c]));
+}
+
+// Self-closing unless it has children (animations)
+function svgElement(tag, attributes, children = '') {
+    return children ? `<${tag}${attributes}>${children}</${tag}>` : `<${tag}${attributes}/>`;
+}
+
+// Visible scene area: the canvas fitted and centred in the output size
+function getSVGViewBox(options) {
+    const scale = Math.min(options.width / canvas.width, options.height / canvas.height);
+    const width = options.width / scale;
+    const height = options.height / scale;
+    return { x: (canvas.width - width) / 2, y: (canvas.height - height) / 2, width: width, height: height };
+}
+
+function createSVGDocument(content, view, options) {
+    const n = svgNumber;
+    const rect = ` x="${n(view.x)}" y="${n(view.y)}" width="${n(view.width)}" height="${n(view.height)}"`;
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${options.width}" height="${options.height}" viewBox="${[view.x, view.y, view.width, view.height].map(n).join(' ')}">\n` +
+        (options.transparent ? '' : `<rect${rect} fill="${options.background}"/>\n`) +
+        content +
+        '</svg>\n';
+}
+
+// One figure's markup. `place(idx, xName, yName)` returns `{ attrs, children }`: the attributes
+// positioning joint `idx` and, when animated, the <animate> elements that move it.
+function createSVGFigure(figIdx, place, view) {
+    const figure = State.figures[figIdx];
+    const style = figure.style;
+    const headIdx = style.head && style.head.radius > 0 && figure.rig.joints[style.head.jointId] ? style.head.jointId : null;
+    const lines = [];
+
+    // An outlined head hides the bone ends inside it, like drawStickman's trim
+    const maskId = `head-mask-${figure.id}`;
+    const isHeadMasked = headIdx !== null && !style.head.fill;
+    if (isHeadMasked) {
+        const head = place(headIdx, 'cx', 'cy');
+        const n = svgNumber;
+        const region = ` x="${n(view.x)}" y="${n(view.y)}" width="${n(view.width)}" height="${n(view.height)}"`;
+        lines.push(`<mask id="${maskId}" maskUnits="userSpaceOnUse"${region}>`);
+        lines.push(`  <rect${region} fill="white"/>`);
+        lines.push('  ' + svgElement('circle', `${head.attrs} r="${n(style.head.radius)}" fill="black"`, head.children));
+        lines.push('</mask>');
+    }
+
+    getRigInfo(figure.rig).connections.forEach(([startIdx, endIdx]) => {
+        const bone = getBoneStyle(style, endIdx);
+        const start = place(startIdx, 'x1', 'y1');
+        const end = place(endIdx, 'x2', 'y2');
+        const mask = isHeadMasked && (startIdx === headIdx || endIdx === headIdx) ? ` mask="url(#${maskId})"` : '';
+        lines.push(svgElement('line', `${start.attrs}${end.attrs} stroke="${bone.color || figure.color}" stroke-width="${svgNumber(bone.width)}"${mask}`, start.children + end.children));
+    });
+
+    // Head circle in the colour of the bone leading into it
+    if (headIdx !== null) {
+        const headStyle = getBoneStyle(style, headIdx);
+        const color = headStyle.color || figure.color;
+        const head = place(headIdx, 'cx', 'cy');
+        const paint = style.head.fill ? ` fill="${color}"` : ` fill="none" stroke="${color}" stroke-width="${svgNumber(headStyle.width)}"`;
+        lines.push(svgElement('circle', `${head.attrs} r="${svgNumber(style.head.radius)}"${paint}`, head.children));
+    }
+
+    if (style.showJoints) {
+        figure.rig.joints.forEach(joint => {
+            const dot = place(joint.id, 'cx', 'cy');
+            lines.push(svgElement('circle', `${dot.attrs} r="${CONFIG.pointRadius}" fill="${CONFIG.junctionColor}"`, dot.children));
+        });
+    }
+
+    return `<g id="figure-${figure.id}" stroke-linecap="round" stroke-linejoin="round">\n${lines.map(line => '  ' + line).join('\n')}\n</g>\n`;
+}
+
+// Prop shape in its local space (matches drawProp: grip at the origin, pointing along +x)
+function createSVGPropShape(prop) {
+    const s = prop.size;
+    const n = svgNumber;
+    const fill = `fill="${prop.color}"`;
+    const rect = (x, y, w, h, paint) => `<rect x="${n(x)}" y="${n(y)}" width="${n(w)}" height="${n(h)}" ${paint}/>`;
+
+    switch (prop.shape) {
+        case 'sword':
+            return `<path d="M ${n(-s * 0.15)} 0 L ${n(s * 0.85)} 0 M 0 ${n(-s * 0.12)} L 0 ${n(s * 0.12)}" fill="none" stroke="${prop.color}" stroke-width="3" stroke-linecap="round"/>`;
+        case 'hat':
+            return rect(-s * 0.08, -s / 2, s * 0.12, s, fill) + rect(0, -s * 0.3, s * 0.55, s * 0.6, fill);
+        case 'phone':
+            return rect(-s / 2, -s * 0.3, s, s * 0.6, fill) +
+                rect(-s * 0.4, -s * 0.22, s * 0.8, s * 0.44, 'fill="#94c5ff" fill-opacity="0.6"'); // Screen
+        case 'image': {
+            if (!prop.image) return '';
+            const b = getPropBounds(prop);
+            return `<image href="${escapeXML(prop.image)}" x="${n(b.x0)}" y="${n(b.y0)}" width="${n(b.x1 - b.x0)}" height="${n(b.y1 - b.y0)}" preserveAspectRatio="none"/>`;
+        }
+        default: // ball
+            return `<circle r="${n(s / 2)}" fill="${prop.color}"/>`;
+    }
+}
+
+// A prop placed at its world transform; rotation sits on an inner group so each part can animate alone
+function createSVGProp(prop, transform, moveChildren = '', turnChildren = '') {
+    const n = svgNumber;
+    return `<g transform="translate(${n(transform.x)} ${n(transform.y)})">${moveChildren}` +
+        `<g transform="rotate(${n(transform.rotation)})">${turnChildren}${createSVGPropShape(prop)}</g></g>\n`;
+}
+
+// SMIL animation of one attribute along track keys, or nothing when the value never changes.
+// keySplines carry each tween's easing; a zero-length step is a hold's jump.
+function createSVGAnimation(tag, attributes, keys, valueOf, timing) {
+    const values = keys.map(valueOf);
+    if (timing.duration <= 0 || values.every(value => value === values[0])) return '';
+    const keyTimes = keys.map(key => Math.min(1, Math.round(key.time / timing.duration * 1e6) / 1e6));
+    const keySplines = keys.slice(1).map(key => (key.ease === 'linear' ? [0, 0, 1, 1] : key.ease)
+        .map(v => Math.round(v * 1e6) / 1e6).join(' '));
+    return `<${tag} ${attributes} values="${values.join(';')}" keyTimes="${keyTimes.join(';')}" ` +
+        `calcMode="spline" keySplines="${keySplines.join(';')}" dur="${Math.round(timing.duration * 1000) / 1000}s" ${timing.repeat}/>`;
+}
+
+async function exportSVG(fileName, options) {
+    const pose = getDisplayedPose();
+    const view = getSVGViewBox(options);
+    let content = '';
+    pose.figures.forEach((figPose, figIdx) => {
+        content += createSVGFigure(figIdx, (idx, xName, yName) => ({
+            attrs: ` ${xName}="${svgNumber(figPose.points[idx].x)}" ${yName}="${svgNumber(figPose.points[idx].y)}"`,
+            children: ''
+        }), view);
+    });
+    pose.props.forEach((transform, propIdx) => content += createSVGProp(State.props[propIdx], transform));
+
+    downloadBlob(new Blob([createSVGDocument(content, view, options)], { type: 'image/svg+xml' }), fileName);
+    lblExportStatus.textContent = 'Saved the current frame.';
+}
+
+// Joints move along their keyframes with SMIL splines, so the file plays in a browser with no script
+async function exportAnimatedSVG(fileName, options) {
+    const view = getSVGViewBox(options);
+    const samplePose = createPoseSampler();
+    const timing = {
+        duration: getExportDuration(),
+        // One Shot stops on its last pose, every other mode repeats
+        repeat: State.playbackMode === 'once' ? 'fill="freeze"' : 'repeatCount="indefinite"'
+    };
+    // keySplines must keep every control point inside the unit square, so Overshoot and other
+    // overshooting curves are baked; Ease In/Out and custom curves inside it stay exact
+    const canMap = (bezier) => bezier.every(v => v >= 0 && v <= 1);
+    const animateAttribute = (name, track, component) =>
+        createSVGAnimation('animate', `attributeName="${name}"`, track, key => svgNumber(key[component]), timing);
+    let content = '';
+
+    for (let figIdx = 0; figIdx < State.figures.length; figIdx++) {
+        lblExportStatus.textContent = `Building figure ${figIdx + 1} / ${State.figures.length}...`;
+        const tracks = State.figures[figIdx].rig.joints.map(joint => getJointTrack(figIdx, joint.id, options.fps, canMap, samplePose));
+        content += createSVGFigure(figIdx, (idx, xName, yName) => ({
+            attrs: ` ${xName}="${svgNumber(tracks[idx][0].x)}" ${yName}="${svgNumber(tracks[idx][0].y)}"`,
+            children: animateAttribute(xName, tracks[idx], 'x') + animateAttribute(yName, tracks[idx], 'y')
+        }), view);
+        await yieldToBrowser();
+    }
+
+    getPropTracks(options.fps, samplePose).forEach((track, propIdx) => {
+        const move = createSVGAnimation('animateTransform', 'attributeName="transform" type="translate"', track,
+            key => `${svgNumber(key.x)} ${svgNumber(key.y)}`, timing);
+        const turn = createSVGAnimation('animateTransform', 'attributeName="transform" type="rotate"', track,
+            key => svgNumber(key.rotation), timing);
+        content += createSVGProp(State.props[propIdx], track[0], move, turn);
+    });
+
+    downloadBlob(new Blob([createSVGDocument(content, view, options)], { type: 'image/svg+xml' }), fileName);
+    lblExportStatus.textContent = `Saved a ${formatDuration(timing.duration)}s animation.`;
+}
+
+// --- Lottie Export ---
+// Bodymovin JSON for Lottie players: one shape layer per bone (a two-point path), plus each
+// figure's head and junction dots and one layer per prop, all parented to a "Scene" null that
+// fits the canvas into the output size. Joint keys come from getJointTrack, so tweens keep
+// their keyframe timing and bezier easing; everything else is baked at the export FPS.
+
+// Pre-jump keys of a hold that can't become a Lottie hold are moved this many frames earlier
+const LOTTIE_JUMP_FRAMES = 0.01;
+
+// Position on a track at `time`; `before` reads the value arriving at a jump instead of after it
+function sampleTrack(keys, time, before = false) {
+    let i = 1;
+    while (i < keys.length - 1 && (before ? keys[i].time < time : keys[i].time <= time)) i++;
+    const a = keys[i - 1];
+    const b = keys[i] || a;
+    const span = b.time - a.time;
+    const u = span > 0 ? Math.max(0, Math.min(1, (time - a.time) / span)) : 1;
+    const e = b.ease === 'linear' || u <= 0 || u >= 1 ? u : solveCubicBezier(b.ease[0], b.ease[1], b.ease[2], b.ease[3], u);
+    return { x: a.x + (b.x - a.x) * e, y: a.y + (b.y - a.y) * e };
+}
+
+// Several tracks on one timeline, for a property that packs them together (a bone's path holds
+// both its joints): [{ time, values, ease }]. A span keeps its easing when every track that moves
+// over it runs the same curve across exactly that span (or moves linearly); other spans, and all
+// of them with `bake`, are sampled at `fps`.
+function mergeTracks(tracks, fps, bake = false) {
+    // Keys inside a track's still stretch don't need to split the other tracks' tweens
+    const isStill = (a, b) => a.x === b.x && a.y === b.y;
+    const isNeeded = (track, k) => k === 0 || k === track.length - 1 || !isStill(track[k - 1], track[k]) || !isStill(track[k], track[k + 1]);
+    const times = [...new Set([].concat(...tracks.map(track => track.filter((key, k) => isNeeded(track, k)).map(key => key.time))))]
+        .sort((a, b) => a - b);
+    const valuesAt = (time, before) => tracks.map(track => sampleTrack(track, time, before));
+
+    // The tween of a track covering t0..t1: starts at or before t0, ends at or after t1
+    const getSpanEase = (t0, t1) => {
+        let shared = null;
+        for (const track of tracks) {
+            const i = track.findIndex((key, k) => k > 0 && key.time >= t1 && key.time > track[k - 1].time);
+            if (i < 0) continue;
+            const a = track[i - 1];
+            const b = track[i];
+            if (isStill(a, b)) continue; // Standing still fits any curve
+            const isPartial = a.time !== t0 || b.time !== t1;
+            if (isPartial && b.ease !== 'linear') return null; // Part of a curve isn't the same curve
+            const ease = b.ease === 'linear' ? [0, 0, 1, 1] : b.ease;
+            if (shared && ease.some((v, k) => Math.abs(v - shared[k]) > 1e-6)) return null;
+            shared = ease;
+        }
+        return shared || [0, 0, 1, 1];
+    };
+
+    const keys = [{ time: times[0], values: valuesAt(times[0]), ease: 'linear' }];
+    for (let j = 1; j < times.length; j++) {
+        const t0 = times[j - 1];
+        const t1 = times[j];
+        const ease = bake ? null : getSpanEase(t0, t1);
+        if (!ease) {
+            for (let i = Math.floor(t0 * fps + 0.0001) + 1; i / fps < t1 - 0.0001; i++) {
+                keys.push({ time: i / fps, values: valuesAt(i / fps), ease: 'linear' });
+            }
+        }
+        const arriving = valuesAt(t1, true);
+        keys.push({ time: t1, values: arriving, ease: ease || 'linear' });
+        // A hold on any track jumps here
+        const after = valuesAt(t1);
+        if (after.some((p, k) => p.x !== arriving[k].x || p.y !== arriving[k].y)) keys.push({ time: t1, values: after, ease: 'linear' });
+    }
+    return keys;
 }
 
-function updateUIControls() {
-    if (State.frames.length > 1) {
-        btnDeleteFrame.style.display = 'inline-flex';
-    } else {
-        btnDeleteFrame.style.display = 'none';
-    }
+function roundLottie(value) {
+    return Array.isArray(value) ? value.map(roundLottie) : Math.round(value * 100) / 100;
 }
 
-function selectFrame(index) {
-    if (State.isPlaying) return;
-    State.currentFrameIndex = index;
-    
-    // Persist selection if strictly valid, otherwise deselect
-    if (State.selectedPointIndex !== null) {
-        selectPoint(State.selectedPointIndex); // Refresh UI for new frame data
-    } else {
-        deselectPoint();
+// [r, g, b, 1] in 0..1 from '#rgb' / '#rrggbb'
+function hexToLottieColor(hex) {
+    let digits = String(hex || '#000000').replace('#', '');
+    if (digits.length === 3) digits = digits.split('').map(c => c + c).join('');
+    const value = parseInt(digits, 16) || 0;
+    return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff].map(c => Math.round(c / 255 * 1000) / 1000).concat(1);
+}
+
+// Lottie property from keys (with `ease` as from getJointTrack). `toValue` gives a key's rounded
+// value; keyframes wrap scalars and shape paths in an array. Holds become `h` keyframes.
+function createLottieProperty(keys, toValue, fps) {
+    const values = keys.map(toValue);
+    const same = JSON.stringify(values[0]);
+    if (values.every(value => JSON.stringify(value) === same)) return { a: 0, k: values[0] };
+
+    const frames = keys.map((key, i) => ({ t: Math.round(key.time * fps * 1000) / 1000, value: values[i], ease: key.ease }));
+    for (let i = 1; i < frames.length; i++) {
+        if (frames[i].t > frames[i - 1].t) continue;
+        // Two keys at one moment: the first holds until the jump
+        const arriving = frames[i - 1];
+        const previous = frames[i - 2];
+        if (!previous || JSON.stringify(previous.value) === JSON.stringify(arriving.value)) {
+            if (previous) previous.hold = true;
+            frames.splice(i - 1, 1);
+            i--;
+        } else {
+            arriving.t = Math.max(previous.t, frames[i].t - LOTTIE_JUMP_FRAMES);
+            arriving.hold = true;
+        }
     }
-    
-    frameNumDisplay.textContent = index + 1;
-    renderTimeline(); // Refresh to update active class
-    draw();
+
+    return {
+        a: 1,
+        k: frames.map((frame, i) => {
+            const keyframe = { t: frame.t, s: Array.isArray(frame.value) ? frame.value : [frame.value] };
+            const next = frames[i + 1];
+            if (!next) return keyframe;
+            if (frame.hold) {
+                keyframe.h = 1;
+            } else {
+                const ease = next.ease === 'linear' ? [0, 0, 1, 1] : next.ease;
+                // Tangents keep enough digits for the curve to stay exact
+                const tangent = (v) => Math.round(v * 1e6) / 1e6;
+                keyframe.o = { x: tangent(ease[0]), y: tangent(ease[1]) };
+                keyframe.i = { x: tangent(ease[2]), y: tangent(ease[3]) };
+            }
+            return keyframe;
+        })
+    };
 }
 
-function addNewFrame() {
-    History.saveState();
-    const currentPoints = State.frames[State.currentFrameIndex].points;
-    const newPoints = JSON.parse(JSON.stringify(currentPoints));
-    
-    const newFrame = {
-        id: Date.now(),
-        duration: 0.5,
-        points: newPoints
+function createLottieTransform(position = [0, 0, 0], scale = 100, anchor = [0, 0, 0], rotation = { a: 0, k: 0 }) {
+    return {
+        o: { a: 0, k: 100 },
+        r: rotation,
+        p: position.a !== undefined ? position : { a: 0, k: position },
+        a: { a: 0, k: anchor },
+        s: { a: 0, k: [scale, scale, 100] }
     };
+}
 
-    State.frames.splice(State.currentFrameIndex + 1, 0, newFrame);
-    State.currentFrameIndex++;
-    deselectPoint();
-    renderTimeline();
-    draw();
+function createLottieLayer(type, name, ks, op, extra) {
+    return { ddd: 0, ty: type, nm: name, sr: 1, ks: ks, ao: 0, ip: 0, op: op, st: 0, bm: 0, ...extra };
 }
 
-function deleteFrame(index) {
-    if (State.frames.length <= 1) return; // Prevention
-    
-    History.saveState();
-    State.frames.splice(index, 1);
-    if (State.currentFrameIndex >= State.frames.length) {
-        State.currentFrameIndex = State.frames.length - 1;
-    }
-    deselectPoint();
-    renderTimeline();
-    draw();
+// Shapes plus their paint and the (identity) group transform
+function createLottieGroup(name, items) {
+    return {
+        ty: 'gr',
+        nm: name,
+        it: items.concat({
+            ty: 'tr',
+            p: { a: 0, k: [0, 0] }, a: { a: 0, k: [0, 0] }, s: { a: 0, k: [100, 100] },
+            r: { a: 0, k: 0 }, o: { a: 0, k: 100 }, sk: { a: 0, k: 0 }, sa: { a: 0, k: 0 }
+        })
+    };
 }
 
-// --- Playback Logic ---
-function startPlayback() {
-    // Audio Removed
-    State.isPlaying = true;
-    State.playStartTime = performance.now();
-    State.playCurrentGlobalTime = 0;
-    
-    // Hide UI overlays
-    deselectPoint();
-    
-    btnPlay.classList.add('hidden');
-    btnStop.classList.remove('hidden');
-    requestAnimationFrame(playbackLoop);
+function createLottieStroke(color, width) {
+    return { ty: 'st', c: { a: 0, k: hexToLottieColor(color) }, o: { a: 0, k: 100 }, w: { a: 0, k: roundLottie(width) }, lc: 2, lj: 2, ml: 4 };
 }
 
-function stopPlayback() {
-    State.isPlaying = false;
-    btnPlay.classList.remove('hidden');
-    btnStop.classList.add('hidden');
-    draw();
+function createLottieFill(color, opacity = 100) {
+    return { ty: 'fl', c: { a: 0, k: hexToLottieColor(color) }, o: { a: 0, k: opacity }, r: 1 };
 }
 
-function playbackLoop(timestamp) {
-    if (!State.isPlaying) return;
+function createLottiePath(points) {
+    return { i: points.map(() => [0, 0]), o: points.map(() => [0, 0]), v: points, c: false };
+}
 
-    let totalDuration = 0;
-    for (let i = 0; i < State.frames.length - 1; i++) {
-        totalDuration += State.frames[i].duration;
+function createLottieRect(x, y, w, h) {
+    return { ty: 'rc', d: 1, p: { a: 0, k: roundLottie([x + w / 2, y + h / 2]) }, s: { a: 0, k: roundLottie([w, h]) }, r: { a: 0, k: 0 } };
+}
+
+// Layers of one figure in drawing order: bones, head circle, junction dots (as drawStickman)
+function createLottieFigureLayers(figIdx, fps, samplePose, op) {
+    const figure = State.figures[figIdx];
+    const style = figure.style;
+    const rig = figure.rig;
+    const tracks = rig.joints.map(joint => getJointTrack(figIdx, joint.id, fps, () => true, samplePose));
+    const headIdx = style.head && style.head.radius > 0 && rig.joints[style.head.jointId] ? style.head.jointId : null;
+    const position = (track) => createLottieProperty(track, key => roundLottie([key.x, key.y]), fps);
+    const layers = [];
+
+    getRigInfo(rig).connections.forEach(([startIdx, endIdx]) => {
+        const bone = getBoneStyle(style, endIdx);
+        // Bones into an outlined head stop at its edge, which no tween follows, so they are baked
+        const headEnd = headIdx !== null && !style.head.fill ? [startIdx, endIdx].indexOf(headIdx) : -1;
+        const keys = mergeTracks([tracks[startIdx], tracks[endIdx]], fps, headEnd >= 0);
+        const path = createLottieProperty(keys, key => {
+            const ends = key.values.map(p => [p.x, p.y]);
+            if (headEnd >= 0) {
+                const head = ends[headEnd];
+                const other = ends[1 - headEnd];
+                const len = Math.hypot(other[0] - head[0], other[1] - head[1]);
+                const k = Math.min(1, style.head.radius / Math.max(len, 0.0001));
+                ends[headEnd] = [head[0] + (other[0] - head[0]) * k, head[1] + (other[1] - head[1]) * k];
+            }
+            return createLottiePath(roundLottie(ends));
+        }, fps);
+        layers.push(createLottieLayer(4, `${figure.name}: ${rig.joints[endIdx].name}`, createLottieTransform(), op, {
+            shapes: [createLottieGroup('Bone', [{ ty: 'sh', d: 1, ks: path }, createLottieStroke(bone.color || figure.color, bone.width)])]
+        }));
+    });
+
+    // Head circle in the colour of the bone leading into it
+    if (headIdx !== null) {
+        const headStyle = getBoneStyle(style, headIdx);
+        const color = headStyle.color || figure.color;
+        const diameter = style.head.radius * 2;
+        layers.push(createLottieLayer(4, `${figure.name}: Head`, createLottieTransform(), op, {
+            shapes: [createLottieGroup('Head', [
+                { ty: 'el', d: 1, p: position(tracks[headIdx]), s: { a: 0, k: [diameter, diameter] } },
+                style.head.fill ? createLottieFill(color) : createLottieStroke(color, headStyle.width)
+            ])]
+        }));
     }
-    
-    // Prevent div by zero
-    if (totalDuration <= 0) totalDuration = 0.1;
 
-    let elapsed = (timestamp - State.playStartTime) / 1000;
-    let effectiveTime = 0;
+    if (style.showJoints) {
+        layers.push(createLottieLayer(4, `${figure.name}: Joints`, createLottieTransform(), op, {
+            shapes: rig.joints.map(joint => createLottieGroup(joint.name, [
+                { ty: 'el', d: 1, p: position(tracks[joint.id]), s: { a: 0, k: [CONFIG.pointRadius * 2, CONFIG.pointRadius * 2] } },
+                createLottieFill(CONFIG.junctionColor)
+            ]))
+        }));
+    }
+    return layers;
+}
 
-    if (State.playbackMode === 'loop') {
-        if (elapsed > totalDuration) {
-            elapsed = elapsed % totalDuration;
-        }
-        effectiveTime = elapsed;
-    
-    } else if (State.playbackMode === 'reverse') {
-        // Reverse Loop: End -> Start -> End
-        if (elapsed > totalDuration) {
-            elapsed = elapsed % totalDuration;
-        }
-        effectiveTime = totalDuration - elapsed;
+// Prop shape in its local space (matches drawProp), as Lottie groups listed top first
+function createLottiePropShapes(prop) {
+    const s = prop.size;
+    switch (prop.shape) {
+        case 'sword':
+            return [createLottieGroup('Sword', [
+                { ty: 'sh', d: 1, ks: { a: 0, k: createLottiePath(roundLottie([[-s * 0.15, 0], [s * 0.85, 0]])) } },
+                { ty: 'sh', d: 1, ks: { a: 0, k: createLottiePath(roundLottie([[0, -s * 0.12], [0, s * 0.12]])) } },
+                createLottieStroke(prop.color, 3)
+            ])];
+        case 'hat':
+            return [createLottieGroup('Hat', [
+                createLottieRect(-s * 0.08, -s / 2, s * 0.12, s),
+                createLottieRect(0, -s * 0.3, s * 0.55, s * 0.6),
+                createLottieFill(prop.color)
+            ])];
+        case 'phone':
+            return [
+                createLottieGroup('Screen', [createLottieRect(-s * 0.4, -s * 0.22, s * 0.8, s * 0.44), createLottieFill('#94c5ff', 60)]),
+                createLottieGroup('Phone', [createLottieRect(-s / 2, -s * 0.3, s, s * 0.6), createLottieFill(prop.color)])
+            ];
+        default: // ball
+            return [createLottieGroup('Ball', [{ ty: 'el', d: 1, p: { a: 0, k: [0, 0] }, s: { a: 0, k: roundLottie([s, s]) } }, createLottieFill(prop.color)])];
+    }
+}
 
-    } else if (State.playbackMode === 'pingpong') {
-        const cycle = totalDuration * 2;
-        let t = elapsed % cycle;
-        if (t <= totalDuration) {
-            effectiveTime = t;
-        } else {
-            effectiveTime = totalDuration - (t - totalDuration);
-        }
-    
-    } else if (State.playbackMode === 'once') {
-        if (elapsed >= totalDuration) {
-            effectiveTime = totalDuration;
-            State.playCurrentGlobalTime = effectiveTime; // Set final pose
-            draw();
-            stopPlayback();
+async function exportLottie(fileName, options) {
+    const fps = options.fps;
+    const duration = getExportDuration();
+    const op = Math.max(1, Math.round(duration * fps * 1000) / 1000);
+    const samplePose = createPoseSampler();
+    const drawOrder = [];
+    const assets = [];
+
+    for (let figIdx = 0; figIdx < State.figures.length; figIdx++) {
+        lblExportStatus.textContent = `Building figure ${figIdx + 1} / ${State.figures.length}...`;
+        drawOrder.push(...createLottieFigureLayers(figIdx, fps, samplePose, op));
+        await yieldToBrowser();
+    }
+
+    getPropTracks(fps, samplePose).forEach((track, propIdx) => {
+        const prop = State.props[propIdx];
+        const position = createLottieProperty(track, key => roundLottie([key.x, key.y]), fps);
+        const rotation = createLottieProperty(track, key => roundLottie(key.rotation), fps);
+        if (prop.shape !== 'image') {
+            drawOrder.push(createLottieLayer(4, prop.name, createLottieTransform(position, 100, [0, 0, 0], rotation), op, {
+                shapes: createLottiePropShapes(prop)
+            }));
             return;
         }
-        effectiveTime = elapsed;
+        if (!prop.image) return;
+        // Images are embedded assets, scaled to the prop size around their centre
+        const img = getPropImage(prop.image);
+        const b = getPropBounds(prop);
+        const width = img && img.naturalWidth > 0 ? img.naturalWidth : b.x1 - b.x0;
+        const height = img && img.naturalWidth > 0 ? img.naturalHeight : b.y1 - b.y0;
+        const id = `image_${assets.length}`;
+        assets.push({ id: id, w: width, h: height, u: '', p: prop.image, e: 1 });
+        const scale = roundLottie((b.x1 - b.x0) / width * 100);
+        drawOrder.push(createLottieLayer(2, prop.name, createLottieTransform(position, scale, [width / 2, height / 2, 0], rotation), op, { refId: id }));
+    });
+
+    // The scene null fits the canvas into the output size, centred (like renderExportFrame)
+    const scale = Math.min(options.width / canvas.width, options.height / canvas.height);
+    const offset = [(options.width - canvas.width * scale) / 2, (options.height - canvas.height * scale) / 2, 0];
+    const scene = createLottieLayer(3, 'Scene', createLottieTransform(roundLottie(offset), roundLottie(scale * 100)), op, { ind: 1 });
+    scene.ks.o.k = 0;
+
+    // Lottie lists layers top first
+    const layers = [scene].concat(drawOrder.reverse().map((layer, i) => ({ ...layer, ind: i + 2, parent: 1 })));
+    if (!options.transparent) {
+        layers.push(createLottieLayer(1, 'Background', createLottieTransform(), op, {
+            ind: layers.length + 1, sc: options.background, sw: options.width, sh: options.height
+        }));
     }
 
-    State.playCurrentGlobalTime = effectiveTime;
-    draw();
-    requestAnimationFrame(playbackLoop);
+    const name = fileName.replace(/\.json$/i, '');
+    const animation = {
+        v: '5.7.0', fr: fps, ip: 0, op: op, w: options.width, h: options.height,
+        nm: name, ddd: 0, assets: assets, layers: layers, markers: [], meta: { g: 'stickmotion' }
+    };
+    downloadBlob(new Blob([JSON.stringify(animation)], { type: 'application/json' }), fileName);
+    lblExportStatus.textContent = `Saved ${layers.length} layers, ${formatDuration(duration)}s at ${fps} fps.`;
 }
 
-// Refactored to allow Independent Joint Interpolation (Tweens/Passthrough)
-function getPoseAtTime(globalTime) {
-    const numPoints = 12; // Standard Rig Size
-    const resultPoints = new Array(numPoints);
-    
-    // 1. Pre-calculate start times for all frames
-    // (Optimization: Could be cached in State, but fast enough for <100 frames)
-    const frameStartTimes = [];
-    let t = 0;
-    for (let i = 0; i < State.frames.length; i++) {
-        frameStartTimes.push(t);
-        t += State.frames[i].duration;
+// --- GIF Encoder ---
+// GIF89a writer. Each frame gets its own palette of its most common colours
+// (counted at 5 bits per channel), so flat stick-figure art stays exact.
+// Pixels below half alpha become transparent when `transparent` is set.
+function createGIFEncoder(width, height, options = {}) {
+    const chunks = [];
+    const word = (value) => [value & 0xff, (value >> 8) & 0xff];
+    const ascii = (text) => Array.from(text).map(c => c.charCodeAt(0));
+    const transparent = !!options.transparent;
+
+    // Header + logical screen (no global palette)
+    chunks.push(new Uint8Array([...ascii('GIF89a'), ...word(width), ...word(height), 0, 0, 0]));
+
+    // Looping: 0 = forever, N = play N times (once needs no extension)
+    const loops = options.loops === undefined ? 0 : options.loops;
+    if (loops !== 1) {
+        chunks.push(new Uint8Array([0x21, 0xff, 0x0b, ...ascii('NETSCAPE2.0'), 0x03, 0x01, ...word(Math.max(0, loops - 1)), 0x00]));
     }
-    const totalDuration = t;
 
-    // 2. Resolve every point independently
-    for (let pIdx = 0; pIdx < numPoints; pIdx++) {
-        
-        // Find Prev Key (Last non-ignored frame <= globalTime)
-        let prevFrame = null;
-        let prevTime = 0;
-        
-        // Find Next Key (First non-ignored frame > globalTime)
-        let nextFrame = null;
-        let nextTime = totalDuration;
+    return {
+        addFrame(rgba, delay) {
+            const { palette, indices, transparentIndex } = quantizeGIFFrame(rgba, transparent);
+            const bits = Math.max(1, Math.ceil(Math.log2(palette.length / 3)));
+            const table = new Uint8Array(3 << bits);
+            table.set(palette);
+
+            const bytes = [];
+            // Graphic control: delay, transparency; transparent frames clear before the next one
+            const disposal = transparent ? 2 : 1;
+            bytes.push(0x21, 0xf9, 0x04, (disposal << 2) | (transparentIndex >= 0 ? 1 : 0), ...word(delay), Math.max(0, transparentIndex), 0x00);
+            // Image descriptor with a local palette
+            bytes.push(0x2c, 0, 0, 0, 0, ...word(width), ...word(height), 0x80 | (bits - 1));
+            chunks.push(new Uint8Array(bytes), table);
+
+            // LZW data in sub-blocks of up to 255 bytes
+            const minCodeSize = Math.max(2, bits);
+            const data = encodeGIFLZW(indices, minCodeSize);
+            const blocks = new Uint8Array(1 + data.length + Math.ceil(data.length / 255) + 1);
+            let pos = 0;
+            blocks[pos++] = minCodeSize;
+            for (let i = 0; i < data.length; i += 255) {
+                const size = Math.min(255, data.length - i);
+                blocks[pos++] = size;
+                blocks.set(data.subarray(i, i + size), pos);
+                pos += size;
+            }
+            blocks[pos++] = 0;
+            chunks.push(blocks.subarray(0, pos));
+        },
 
-        // Search Backwards for Prev
-        // We find the 'current frame index' interval first to start search
-        let tentativeIdx = 0;
-        for(let i=0; i<frameStartTimes.length; i++) {
-            if (globalTime >= frameStartTimes[i]) tentativeIdx = i;
+        finish() {
+            chunks.push(new Uint8Array([0x3b]));
+            return new Blob(chunks, { type: 'image/gif' });
         }
+    };
+}
 
-        // Scan back from tentative
-        for (let i = tentativeIdx; i >= 0; i--) {
-            if (!State.frames[i].points[pIdx].isIgnored) {
-                prevFrame = State.frames[i];
-                prevTime = frameStartTimes[i];
-                break;
-            }
-        }
-        // If not found (e.g. Frame 0 is ignored?), fallback to Frame 0
-        if (!prevFrame) {
-            prevFrame = State.frames[0];
-            prevTime = 0;
+// Palette (flat RGB, up to 256 entries) and one palette index per pixel
+function quantizeGIFFrame(rgba, transparent) {
+    const pixelCount = rgba.length / 4;
+    const counts = new Uint32Array(32768);
+    const sums = new Float64Array(32768 * 3);
+    const keys = new Int32Array(pixelCount);
+
+    for (let i = 0; i < pixelCount; i++) {
+        const o = i * 4;
+        if (transparent && rgba[o + 3] < 128) {
+            keys[i] = -1;
+            continue;
         }
+        const key = ((rgba[o] >> 3) << 10) | ((rgba[o + 1] >> 3) << 5) | (rgba[o + 2] >> 3);
+        keys[i] = key;
+        counts[key]++;
+        sums[key * 3] += rgba[o];
+        sums[key * 3 + 1] += rgba[o + 1];
+        sums[key * 3 + 2] += rgba[o + 2];
+    }
 
-        // Scan forward for Next
-        for (let i = tentativeIdx + 1; i < State.frames.length; i++) {
-             if (!State.frames[i].points[pIdx].isIgnored) {
-                nextFrame = State.frames[i];
-                nextTime = frameStartTimes[i];
-                break;
-            }
-        }
-        
-        // Handle Edge Case: No future keyframe? 
-        // If looping, we might look at Frame 0? 
-        // For simplicity in this logic, we hold the last value.
-        if (!nextFrame) {
-             // If we are past the last actual keyframe for this point
-             resultPoints[pIdx] = { ...prevFrame.points[pIdx] }; // Hold
-             continue;
+    // Most common colours first, averaged within their bucket
+    const maxColors = transparent ? 255 : 256;
+    const used = [];
+    for (let key = 0; key < 32768; key++) {
+        if (counts[key] > 0) used.push(key);
+    }
+    used.sort((a, b) => counts[b] - counts[a]);
+    const chosen = used.slice(0, maxColors);
+    const palette = [];
+    chosen.forEach(key => {
+        palette.push(
+            Math.round(sums[key * 3] / counts[key]),
+            Math.round(sums[key * 3 + 1] / counts[key]),
+            Math.round(sums[key * 3 + 2] / counts[key])
+        );
+    });
+    if (palette.length === 0) palette.push(0, 0, 0);
+    const transparentIndex = transparent ? palette.length / 3 : -1;
+    if (transparent) palette.push(0, 0, 0);
+
+    // Every bucket maps to its nearest palette colour (looked up once)
+    const lookup = new Int16Array(32768).fill(-1);
+    chosen.forEach((key, idx) => lookup[key] = idx);
+    const colorCount = chosen.length;
+    const indices = new Uint8Array(pixelCount);
+    for (let i = 0; i < pixelCount; i++) {
+        const key = keys[i];
+        if (key < 0) {
+            indices[i] = transparentIndex;
+            continue;
         }
-
-        // 3. Interpolate
-        const duration = nextTime - prevTime;
-        let localT = 0;
-        if (duration > 0.0001) {
-            localT = (globalTime - prevTime) / duration;
+        if (lookup[key] < 0) {
+            const r = sums[key * 3] / counts[key];
+            const g = sums[key * 3 + 1] / counts[key];
+            const b = sums[key * 3 + 2] / counts[key];
+            let best = 0;
+            let bestDist = Infinity;
+            for (let p = 0; p < colorCount; p++) {
+                const dr = palette[p * 3] - r;
+                const dg = palette[p * 3 + 1] - g;
+                const db = palette[p * 3 + 2] - b;
+                const dist = dr * dr + dg * dg + db * db;
+                if (dist < bestDist) {
+                    bestDist = dist;
+                    best = p;
+                }
+            }
+            lookup[key] = best;
         }
-        localT = Math.max(0, Math.min(1, localT));
-        
-        // Use Easing from the Target Keyframe (nextFrame)
-        const pointStart = prevFrame.points[pIdx];
-        const pointEnd = nextFrame.points[pIdx];
-        
-        // Basic Linear Interpolation Helper
-        const type = pointEnd.easing || 'linear';
-        const fn = EasingFunctions[type] || EasingFunctions['linear'];
-        const easedT = fn(localT);
-
-        resultPoints[pIdx] = {
-            id: pIdx,
-            x: pointStart.x + (pointEnd.x - pointStart.x) * easedT,
-            y: pointStart.y + (pointEnd.y - pointStart.y) * easedT
-        };
+        indices[i] = lookup[key];
     }
-    
-    // Note: We are returning raw interpolated points. 
-    // FK (Forward Kinematics) parenting logic in `interpolatePoints` 
-    // was nice for rotation-arc preservation, but doing purely linear point-to-point 
-    // is often more predictable for "Passthrough" behavior tweening.
-    // If we wanted true FK arc interpolation with Passthrough, it gets very complex mathematically.
-    // Sticking to Cartesian Linear Interpolation for robustness here.
-    
-    return resultPoints;
-}
 
-function getCurrentInterpolatedPose() {
-    return getPoseAtTime(State.playCurrentGlobalTime);
+    // The palette size must be a power of two (at least 2 colours)
+    let size = 2;
+    while (size < palette.length / 3) size *= 2;
+    while (palette.length < size * 3) palette.push(0, 0, 0);
+    return { palette, indices, transparentIndex };
 }
 
-// Expanded Easing Functions
-const EasingFunctions = {
-    linear: t => t,
-    easeInOutCubic: t => t < .5 ? 4 * t * t * t : (t - 1) * (2 * t - 2) * (2 * t - 2) + 1,
-    easeInQuad: t => t * t,
-    easeOutQuad: t => t * (2 - t),
-    easeOutBack: t => {
-        const c1 = 1.70158;
-        const c3 = c1 + 1;
-        return 1 + c3 * Math.pow(t - 1, 3) + c1 * Math.pow(t - 1, 2);
-    },
-    easeOutElastic: t => {
-        const c4 = (2 * Math.PI) / 3;
-        return t === 0 ? 0 : t === 1 ? 1 : Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * c4) + 1;
-    },
-    easeOutBounce: t => {
-        const n1 = 7.5625;
-        const d1 = 2.75;
-        if (t < 1 / d1) {
-            return n1 * t * t;
-        } else if (t < 2 / d1) {
-            return n1 * (t -= 1.5 / d1) * t + 0.75;
-        } else if (t < 2.5 / d1) {
-            return n1 * (t -= 2.25 / d1) * t + 0.9375;
-        } else {
-            return n1 * (t -= 2.625 / d1) * t + 0.984375;
+// Variable-width LZW as GIF expects it (codes up to 12 bits, clear code when the table fills)
+function encodeGIFLZW(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const out = [];
+    let bitBuffer = 0;
+    let bitCount = 0;
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let table = new Map();
+
+    const write = (code) => {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            out.push(bitBuffer & 0xff);
+            bitBuffer >>= 8;
+            bitCount -= 8;
         }
-    }
-};
-
-// Hardcoded topological sort order (Parent -> Children) for FK Calculation
-const FK_TRAVERSAL_ORDER = [7, 2, 8, 10, 1, 9, 11, 0, 3, 5, 4, 6];
-
-// Updated Interpolate Points for Per-Point Easing
-function interpolatePoints(pointsA, pointsB, linearT) {
-    const resultPoints = new Array(pointsA.length);
-    const defaultEasing = 'linear';
-
-    // Helper to get eased T for a specific point index
-    const getT = (idx) => {
-        // We use the easing function defined on the TARGET point (Frame B)
-        // because it defines how we get *to* that state.
-        const type = pointsB[idx].easing || defaultEasing;
-        const fn = EasingFunctions[type] || EasingFunctions[defaultEasing];
-        return fn(linearT);
     };
 
-    // 1. Root (Pelvis id:7)
-    const rootA = pointsA[7];
-    const rootB = pointsB[7];
-    
-    if (!rootA || !rootB) return pointsA; 
-
-    // Calculate T specifically for Root
-    const tRoot = getT(7);
+    write(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const pixel = indices[i];
+        const key = (prefix << 8) | pixel;
+        const code = table.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+        write(prefix);
+        if (nextCode < 4096) {
+            table.set(key, nextCode++);
+            if (nextCode > (1 << codeSize) && codeSize < 12) codeSize++;
+        } else {
+            write(clearCode);
+            table = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        }
+        prefix = pixel;
+    }
+    write(prefix);
+    write(endCode);
+    if (bitCount > 0) out.push(bitBuffer & 0xff);
+    return new Uint8Array(out);
+}
 
-    resultPoints[7] = {
-        id: 7,
-        x: rootA.x + (rootB.x - rootA.x) * tRoot,
-        y: rootA.y + (rootB.y - rootA.y) * tRoot,
-        easing: rootB.easing // Carry over easing property
-    };
+// --- WebM Muxer ---
+// Writes encoded video chunks ({ data, timestamp in µs, isKey }) as a single-track WebM file.
+// Timestamps are in milliseconds (the default timecode scale); each key frame starts a cluster.
+const WEBM_CODECS = [
+    { config: 'vp09.00.10.08', track: 'V_VP9' },
+    { config: 'vp8', track: 'V_VP8' }
+];
 
-    // 2. Children
-    for (let i = 0; i < FK_TRAVERSAL_ORDER.length; i++) {
-        const idx = FK_TRAVERSAL_ORDER[i];
-        if (idx === 7) continue; 
+function muxWebM(chunks, track) {
+    const parts = [];
+    parts.push(ebmlElement(0x1a45dfa3, [ // EBML header
+        ebmlElement(0x4286, ebmlUint(1)), // EBMLVersion
+        ebmlElement(0x42f7, ebmlUint(1)), // EBMLReadVersion
+        ebmlElement(0x42f2, ebmlUint(4)), // EBMLMaxIDLength
+        ebmlElement(0x42f3, ebmlUint(8)), // EBMLMaxSizeLength
+        ebmlElement(0x4282, ebmlString('webm')), // DocType
+        ebmlElement(0x4287, ebmlUint(2)), // DocTypeVersion
+        ebmlElement(0x4285, ebmlUint(2)) // DocTypeReadVersion
+    ]));
+
+    const info = ebmlElement(0x1549a966, [
+        ebmlElement(0x2ad7b1, ebmlUint(1000000)), // TimecodeScale: 1ms
+        ebmlElement(0x4d80, ebmlString('stickmotion')), // MuxingApp
+        ebmlElement(0x5741, ebmlString('stickmotion')), // WritingApp
+        ebmlElement(0x4489, ebmlFloat(track.duration)) // Duration (ms)
+    ]);
+    const tracks = ebmlElement(0x1654ae6b, [
+        ebmlElement(0xae, [ // TrackEntry
+            ebmlElement(0xd7, ebmlUint(1)), // TrackNumber
+            ebmlElement(0x73c5, ebmlUint(1)), // TrackUID
+            ebmlElement(0x83, ebmlUint(1)), // TrackType: video
+            ebmlElement(0x86, ebmlString(track.codec)), // CodecID
+            ebmlElement(0xe0, [ // Video
+                ebmlElement(0xb0, ebmlUint(track.width)), // PixelWidth
+                ebmlElement(0xba, ebmlUint(track.height)) // PixelHeight
+            ])
+        ])
+    ]);
+
+    // Clusters: a new one at each key frame (or before the 16-bit relative time overflows)
+    const clusters = [];
+    let current = null;
+    chunks.forEach(chunk => {
+        const time = Math.round(chunk.timestamp / 1000);
+        if (!current || chunk.isKey || time - current.time > 32767) {
+            current = { time, blocks: [] };
+            clusters.push(current);
+        }
+        const header = new Uint8Array(4);
+        header[0] = 0x81; // Track number 1 as a 1-byte vint
+        new DataView(header.buffer).setInt16(1, time - current.time);
+        header[3] = chunk.isKey ? 0x80 : 0x00;
+        current.blocks.push(ebmlElement(0xa3, [header, chunk.data])); // SimpleBlock
+    });
+    const clusterElements = clusters.map(cluster => ebmlElement(0x1f43b675, [
+        ebmlElement(0xe7, ebmlUint(cluster.time)), // Timecode
+        ...cluster.blocks
+    ]));
 
-        const parentIdx = PARENT_MAP[idx];
-        const parentNew = resultPoints[parentIdx]; 
+    parts.push(ebmlElement(0x18538067, [info, tracks, ...clusterElements])); // Segment
+    return new Blob(parts, { type: 'video/webm' });
+}
 
-        const selfA = pointsA[idx];
-        const parentA = pointsA[parentIdx];
-        
-        const selfB = pointsB[idx];
-        const parentB = pointsB[parentIdx];
+// Element: id bytes, size as an 8-byte vint, then the payload (bytes or child elements)
+function ebmlElement(id, payload) {
+    const children = Array.isArray(payload) ? payload : [payload];
+    const size = children.reduce((sum, child) => sum + child.length, 0);
+    const idBytes = [];
+    for (let value = id; value > 0; value = Math.floor(value / 256)) idBytes.unshift(value & 0xff);
+
+    const out = new Uint8Array(idBytes.length + 8 + size);
+    out.set(idBytes, 0);
+    let pos = idBytes.length;
+    out[pos] = 0x01;
+    for (let i = 7, value = size; i >= 1; i--, value = Math.floor(value / 256)) out[pos + i] = value & 0xff;
+    pos += 8;
+    children.forEach(child => {
+        out.set(child, pos);
+        pos += child.length;
+    });
+    return out;
+}
 
-        // Specific T for this joint's rotation/extension
-        const tJoint = getT(idx);
+function ebmlUint(value) {
+    const bytes = [];
+    do {
+        bytes.unshift(value & 0xff);
+        value = Math.floor(value / 256);
+    } while (value > 0);
+    return new Uint8Array(bytes);
+}
 
-        const dxA = selfA.x - parentA.x;
-        const dyA = selfA.y - parentA.y;
-        const angleA = Math.atan2(dyA, dxA);
-        const lenA = Math.sqrt(dxA*dxA + dyA*dyA);
+function ebmlFloat(value) {
+    const out = new Uint8Array(8);
+    new DataView(out.buffer).setFloat64(0, value);
+    return out;
+}
 
-        const dxB = selfB.x - parentB.x;
-        const dyB = selfB.y - parentB.y;
-        const angleB = Math.atan2(dyB, dxB);
-        const lenB = Math.sqrt(dxB*dxB + dyB*dyB);
+function ebmlString(text) {
+    return new TextEncoder().encode(text);
+}
 
-        let diff = angleB - angleA;
-        while (diff < -Math.PI) diff += Math.PI * 2;
-        while (diff > Math.PI) diff -= Math.PI * 2;
-        
-        const angleT = angleA + diff * tJoint;
-        const lenT = lenA + (lenB - lenA) * tJoint;
-
-        resultPoints[idx] = {
-            id: idx,
-            x: parentNew.x + Math.cos(angleT) * lenT,
-            y: parentNew.y + Math.sin(angleT) * lenT,
-            easing: selfB.easing // Carry over easing property
-        };
+// --- ZIP Writer ---
+// Stored (uncompressed) zip archive; PNGs are already compressed.
+const CRC32_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
     }
+    return table;
+})();
 
-    return resultPoints;
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
 }
 
-// --- Export ---
-function showExportModal() {
-    const FPS = 30; // Baking Frame Rate
-    const bakedFrames = [];
-    
-    // Calculate total duration based on keyframes
-    let totalDuration = 0;
-    for (let i = 0; i < State.frames.length - 1; i++) {
-        totalDuration += State.frames[i].duration;
-    }
-    
-    // Determine Export Duration based on Mode
-    let exportDuration = totalDuration;
-    if (State.playbackMode === 'pingpong') {
-        exportDuration = totalDuration * 2;
-    }
-    
-    // Generate In-Between Frames
-    // Step through time at 1/FPS increments
-    let t = 0;
-    // We add a tiny epsilon to ensure we catch the exact end point if float math aligns
-    while (t <= exportDuration + 0.001) {
-        
-        // Calculate Effective Time based on Playback Mode
-        let effectiveTime = t;
-        
-        if (State.playbackMode === 'pingpong') {
-            const cycleHalf = totalDuration;
-            // T goes from 0 -> 2*Total
-            // If T <= Total: Normal
-            // If T > Total: Total - (T - Total) = 2*Total - T
-            if (t <= cycleHalf) {
-                effectiveTime = t;
-            } else {
-                effectiveTime = (cycleHalf * 2) - t;
-            }
-        } else if (State.playbackMode === 'reverse') {
-            effectiveTime = totalDuration - t;
-        }
-        
-        // Clamp safely to track range
-        effectiveTime = Math.max(0, Math.min(totalDuration, effectiveTime));
+function createZipWriter() {
+    const chunks = [];
+    const entries = [];
+    let offset = 0;
 
-        const pose = getPoseAtTime(effectiveTime);
-        
-        bakedFrames.push({
-            time: parseFloat(t.toFixed(3)),
-            points: pose.map(p => ({
-                id: p.id,
-                x: Math.round(p.x * 10) / 10,
-                y: Math.round(p.y * 10) / 10
-            }))
-        });
-        t += 1 / FPS;
-    }
+    // MS-DOS date/time of "now" for every entry
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
 
-    const exportData = {
-        meta: {
-            name: "stickman_project",
-            fps: FPS,
-            mode: State.playbackMode,
-            totalDuration: parseFloat(exportDuration.toFixed(2)),
-            totalFrames: bakedFrames.length
+    const header = (size) => {
+        const bytes = new Uint8Array(size);
+        return { bytes, view: new DataView(bytes.buffer) };
+    };
+
+    return {
+        addFile(name, data) {
+            const nameBytes = new TextEncoder().encode(name);
+            const crc = crc32(data);
+            const local = header(30 + nameBytes.length);
+            local.view.setUint32(0, 0x04034b50, true);
+            local.view.setUint16(4, 20, true); // Version needed
+            local.view.setUint16(8, 0, true); // Stored
+            local.view.setUint16(10, dosTime, true);
+            local.view.setUint16(12, dosDate, true);
+            local.view.setUint32(14, crc, true);
+            local.view.setUint32(18, data.length, true);
+            local.view.setUint32(22, data.length, true);
+            local.view.setUint16(26, nameBytes.length, true);
+            local.bytes.set(nameBytes, 30);
+
+            entries.push({ nameBytes, crc, size: data.length, offset });
+            chunks.push(local.bytes, data);
+            offset += local.bytes.length + data.length;
         },
-        // Original Keyframes (for editing)
-        keyframes: State.frames.map((f, i) => ({
-            id: i + 1,
-            duration: f.duration,
-            points: f.points.map(p => {
-                const pt = { id: p.id, x: Math.round(p.x), y: Math.round(p.y) };
-                if (p.easing) pt.easing = p.easing;
-                return pt;
-            })
-        })),
-        // Baked Animation (Result with in-betweens)
-        bakedAnimation: bakedFrames
+
+        finish() {
+            const directoryOffset = offset;
+            entries.forEach(entry => {
+                const central = header(46 + entry.nameBytes.length);
+                central.view.setUint32(0, 0x02014b50, true);
+                central.view.setUint16(4, 20, true); // Version made by
+                central.view.setUint16(6, 20, true); // Version needed
+                central.view.setUint16(10, 0, true); // Stored
+                central.view.setUint16(12, dosTime, true);
+                central.view.setUint16(14, dosDate, true);
+                central.view.setUint32(16, entry.crc, true);
+                central.view.setUint32(20, entry.size, true);
+                central.view.setUint32(24, entry.size, true);
+                central.view.setUint16(28, entry.nameBytes.length, true);
+                central.view.setUint32(42, entry.offset, true);
+                central.bytes.set(entry.nameBytes, 46);
+                chunks.push(central.bytes);
+                offset += central.bytes.length;
+            });
+
+            const end = header(22);
+            end.view.setUint32(0, 0x06054b50, true);
+            end.view.setUint16(8, entries.length, true);
+            end.view.setUint16(10, entries.length, true);
+            end.view.setUint32(12, offset - directoryOffset, true);
+            end.view.setUint32(16, directoryOffset, true);
+            chunks.push(end.bytes);
+            return new Blob(chunks, { type: 'application/zip' });
+        }
     };
-    
-    exportOutput.value = JSON.stringify(exportData, null, 2);
-    exportModal.classList.remove('hidden');
 }
 
 // Start
@@ -16,7 +16,7 @@ const CONFIG = {
     baseWidth: 4
 };
 
-// Connections (Same as Editor)
+// Default Connections (Editor's 12-point rig, used when a file has no rig)
 const CONNECTIONS = [
     [0, 1], [1, 2], [2, 7], [1, 3], [3, 4], 
     [1, 5], [5, 6], [7, 8], [8, 9], [7, 10], [10, 11]
@@ -24,6 +24,10 @@ const CONNECTIONS = [
 
 // State
 let animationData = null;
+let figureColors = {}; // Figure ID -> Colour (from the export's `figures` list)
+let figureConnections = {}; // Figure ID -> Bones derived from its rig
+let figureStyles = {}; // Figure ID -> Style (head, bone widths/colours, joint dots)
+let props = {}; // Prop ID -> Prop (shape, colour, size, decoded image)
 let isPlaying = false;
 let startTime = 0;
 let currentTime = 0;
@@ -66,6 +70,34 @@ function loadAnimation(data) {
     }
 
     animationData = data.bakedAnimation;
+    figureColors = {};
+    figureConnections = {};
+    figureStyles = {};
+    props = {};
+    if (Array.isArray(data.props)) {
+        data.props.forEach(prop => {
+            props[prop.id] = { ...prop };
+            if (prop.image) {
+                const img = new Image();
+                img.onload = () => {
+                    if (!isPlaying) drawFrameAtTime(currentTime);
+                };
+                img.src = prop.image;
+                props[prop.id].img = img;
+            }
+        });
+    }
+    if (Array.isArray(data.figures)) {
+        data.figures.forEach(fig => {
+            figureColors[fig.id] = fig.color;
+            if (fig.style) figureStyles[fig.id] = fig.style;
+            if (fig.rig && Array.isArray(fig.rig.joints)) {
+                figureConnections[fig.id] = fig.rig.joints
+                    .filter(j => j.parent !== null)
+                    .map(j => [j.parent, j.id]);
+            }
+        });
+    }
     // Calculate total duration from last frame
     const lastFrame = animationData[animationData.length - 1];
     animationDuration = lastFrame ? lastFrame.time : 0;
@@ -174,38 +206,140 @@ function drawFrameAtTime(time) {
     }
     
     if (frame) {
-        drawStickman(frame.points);
+        // Clear
+        // Maintain aspect ratio scaling if canvas size differs from 800x600?
+        // For now assuming 1:1 map since saved coords are absolute pixels.
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        // Older single-figure exports store `points` directly on the frame
+        const figures = frame.figures || [{ id: 1, points: frame.points }];
+        figures.forEach(fig => {
+            drawStickman(
+                fig.points,
+                figureColors[fig.id] || CONFIG.skeletonColor,
+                figureConnections[fig.id] || CONNECTIONS,
+                figureStyles[fig.id] || null
+            );
+        });
+
+        // Props are baked in world space
+        (frame.props || []).forEach(transform => {
+            if (props[transform.id]) drawProp(props[transform.id], transform);
+        });
     }
 }
 
-function drawStickman(points) {
-    // Clear
-    // Maintain aspect ratio scaling if canvas size differs from 800x600?
-    // For now assuming 1:1 map since saved coords are absolute pixels.
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-    
+// Mirrors the editor's drawProp. Shapes point along +x.
+function drawProp(prop, transform) {
+    const s = prop.size;
+    ctx.save();
+    ctx.translate(transform.x, transform.y);
+    ctx.rotate(transform.rotation * Math.PI / 180);
+    ctx.fillStyle = prop.color;
+    ctx.strokeStyle = prop.color;
+    ctx.lineCap = 'round';
+
+    switch (prop.shape) {
+        case 'sword':
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.moveTo(-s * 0.15, 0);
+            ctx.lineTo(s * 0.85, 0);
+            ctx.moveTo(0, -s * 0.12);
+            ctx.lineTo(0, s * 0.12);
+            ctx.stroke();
+            break;
+        case 'hat':
+            ctx.fillRect(-s * 0.08, -s / 2, s * 0.12, s);
+            ctx.fillRect(0, -s * 0.3, s * 0.55, s * 0.6);
+            break;
+        case 'phone':
+            ctx.fillRect(-s / 2, -s * 0.3, s, s * 0.6);
+            ctx.fillStyle = 'rgba(148, 197, 255, 0.6)';
+            ctx.fillRect(-s * 0.4, -s * 0.22, s * 0.8, s * 0.44);
+            break;
+        case 'image':
+            if (prop.img && prop.img.complete && prop.img.naturalWidth > 0) {
+                const h = s * prop.img.naturalHeight / prop.img.naturalWidth;
+                ctx.drawImage(prop.img, -s / 2, -h / 2, s, h);
+            }
+            break;
+        default: // ball
+            ctx.beginPath();
+            ctx.arc(0, 0, s / 2, 0, Math.PI * 2);
+            ctx.fill();
+    }
+
+    ctx.restore();
+}
+
+// Mirrors the editor's drawStickman (style: head circle, per-bone width/colour, joint dots).
+// Files without a style keep the original look: uniform bones and joint dots.
+function drawStickman(points, color, connections, style) {
     // Map points by ID for easy connection lookup
     const pointMap = {};
     points.forEach(p => pointMap[p.id] = p);
 
+    const lineWidth = (style && style.lineWidth) || CONFIG.baseWidth;
+    const boneStyle = (childId) => {
+        const override = (style && style.bones && style.bones[childId]) || {};
+        return { width: override.width || lineWidth, color: override.color || color };
+    };
+
+    const head = style && style.head && style.head.radius > 0 ? pointMap[style.head.jointId] : null;
+    const headRadius = head ? style.head.radius : 0;
+
     ctx.lineCap = 'round';
     ctx.lineJoin = 'round';
-    ctx.strokeStyle = CONFIG.skeletonColor;
-    ctx.lineWidth = CONFIG.baseWidth;
 
     // Draw Connections
-    ctx.beginPath();
-    CONNECTIONS.forEach(([startId, endId]) => {
+    connections.forEach(([startId, endId]) => {
         const p1 = pointMap[startId];
         const p2 = pointMap[endId];
-        if (p1 && p2) {
-            ctx.moveTo(p1.x, p1.y);
-            ctx.lineTo(p2.x, p2.y);
+        if (!p1 || !p2) return;
+
+        let sx = p1.x, sy = p1.y, ex = p2.x, ey = p2.y;
+
+        // Bones touching the head stop at the circle's edge
+        if (head && (p1 === head || p2 === head)) {
+            const len = Math.hypot(ex - sx, ey - sy);
+            if (len <= headRadius) return;
+            const k = headRadius / len;
+            if (p1 === head) {
+                sx += (ex - sx) * k;
+                sy += (ey - sy) * k;
+            } else {
+                ex -= (ex - sx) * k;
+                ey -= (ey - sy) * k;
+            }
         }
+
+        const bone = boneStyle(endId);
+        ctx.beginPath();
+        ctx.strokeStyle = bone.color;
+        ctx.lineWidth = bone.width;
+        ctx.moveTo(sx, sy);
+        ctx.lineTo(ex, ey);
+        ctx.stroke();
     });
-    ctx.stroke();
+
+    // Draw Head
+    if (head) {
+        const bone = boneStyle(style.head.jointId);
+        ctx.beginPath();
+        ctx.arc(head.x, head.y, headRadius, 0, Math.PI * 2);
+        if (style.head.fill) {
+            ctx.fillStyle = bone.color;
+            ctx.fill();
+        } else {
+            ctx.strokeStyle = bone.color;
+            ctx.lineWidth = bone.width;
+            ctx.stroke();
+        }
+    }
 
     // Draw Joints
+    if (style && style.showJoints === false) return;
     ctx.fillStyle = CONFIG.junctionColor;
     points.forEach(p => {
         ctx.beginPath();